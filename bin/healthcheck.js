@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Docker HEALTHCHECK probe. Reads the report the daemon writes to the state
+// directory, so it works without API_ENABLED and without loading the app.
+import fs from 'fs';
+import path from 'path';
+
+const {
+  STATE_DIR = '/state',
+  HEALTH_FILE = path.join(STATE_DIR, 'health.json'),
+  HEALTH_INTERVAL: intervalStr = '30000'
+} = process.env;
+
+// The daemon rewrites the report every interval; a report that stopped updating means a hung process
+const maxAge = Math.max(parseInt(intervalStr, 10) || 30000, 1000) * 4;
+
+const fail = (message) => {
+  console.error(`unhealthy: ${message}`);
+  process.exit(1);
+};
+
+let report;
+try {
+  report = JSON.parse(fs.readFileSync(HEALTH_FILE, 'utf8'));
+} catch (err) {
+  fail(`cannot read ${HEALTH_FILE}: ${err.code || err.message}`);
+}
+
+const age = Date.now() - report.checkedAt;
+if (!(age <= maxAge)) {
+  fail(`report is ${Math.floor(age / 1000)}s old`);
+}
+
+if (!report.healthy) {
+  const failed = Object.keys(report.checks || {}).filter(name => !report.checks[name].healthy);
+  fail(`failing checks: ${failed.join(', ')}`);
+}
+
+console.log('healthy');
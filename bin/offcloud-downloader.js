@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Command-line entry point; the daemon is started with index.js
+
+// Keep stdout for command output: no startup banner, logs on stderr and only warnings by default
+process.env.LOG_STARTUP_HEADER = process.env.LOG_STARTUP_HEADER || 'false';
+process.env.LOG_STDERR = process.env.LOG_STDERR || 'true';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+// Imported after the environment is set, since the logger reads it on load
+const { run } = await import('../lib/cli/index.js');
+process.exitCode = await run(process.argv.slice(2));
@@ -1,11 +1,33 @@
 // Updated Chokidar implementation for index.js
 import chokidar from 'chokidar';
 import OffCloudWatcher from './lib/watchers/offcloud/index.js';
+import OffCloudReconciler from './lib/watchers/offcloud/reconciler.js';
 import Downloader from './lib/downloaders/inline/index.js';
+import FileFilter from './lib/downloaders/inline/filter.js';
 import fs from 'fs';
 import path from 'path';
 import logger from './lib/utils/logger.js';
 import fileOps from './lib/utils/fileOperations.js';
+import StateStore from './lib/utils/stateStore.js';
+import Categories from './lib/utils/categories.js';
+import metrics from './lib/utils/metrics.js';
+import ApiServer from './lib/api/server.js';
+import JobService from './lib/api/jobs.js';
+import registerControlRoutes from './lib/api/control.js';
+import registerQbittorrentRoutes from './lib/api/qbittorrent.js';
+import registerSabnzbdRoutes from './lib/api/sabnzbd.js';
+import registerTransmissionRoutes from './lib/api/transmission.js';
+import registerMetricsRoutes from './lib/api/metrics.js';
+import registerHealthRoutes from './lib/api/health.js';
+import registerBandwidthRoutes from './lib/api/bandwidth.js';
+import HealthMonitor from './lib/utils/health.js';
+import WebhookNotifier from './lib/utils/webhooks.js';
+import Notifiers from './lib/notifiers/index.js';
+import BandwidthLimiter, { parseRate, parseSchedule } from './lib/utils/bandwidth.js';
+import Schedule from './lib/utils/schedule.js';
+import DiskSpaceGuard from './lib/utils/diskSpace.js';
+import ScriptRunner from './lib/postprocess/scripts.js';
+import Extractor from './lib/postprocess/extract.js';
 import { withRetry, sleep } from './lib/utils/retry.js';
 
 // Parse environment variables, ensuring numeric values are converted from strings to numbers
@@ -15,26 +37,87 @@ const {
   DOWNLOAD_DIR = '/download', // Keep for backward compatibility
   IN_PROGRESS_DIR = '/in-progress',
   COMPLETED_DIR = '/completed',
+  STATE_DIR = '/state',
+  QUARANTINE_DIR = '/quarantine',
+  CATEGORIES_FILE = '',
+  RECONCILE_ON_STARTUP = 'true',
+  RECONCILE_ADOPT_CLOUD = 'false',
   WATCH_RATE: watchRateStr = '5000',
   MAX_CONCURRENT_DOWNLOADS: maxDownloadsStr = '3',
+  DOWNLOAD_FILE_CONCURRENCY: fileConcurrencyStr = '2',
+  MAX_HTTP_CONNECTIONS: maxConnectionsStr = '8',
+  DOWNLOAD_SEGMENTS: downloadSegmentsStr = '1',
+  BANDWIDTH_LIMIT = '',
+  BANDWIDTH_JOB_LIMIT = '',
+  BANDWIDTH_SCHEDULE = '',
+  SUBMIT_SCHEDULE = '',
+  DOWNLOAD_SCHEDULE = '',
+  DOWNLOAD_SEGMENT_MIN_SIZE: segmentMinSizeStr = '104857600',
   FILE_POLL_INTERVAL: pollIntervalStr = '1000',
-  FILE_STABLE_TIME: stableTimeStr = '5000'
+  FILE_STABLE_TIME: stableTimeStr = '5000',
+  API_ENABLED = 'false',
+  API_HOST = '0.0.0.0',
+  API_PORT: apiPortStr = '8080',
+  API_TOKEN = '',
+  QBIT_USERNAME = 'admin',
+  HEALTH_INTERVAL: healthIntervalStr = '30000',
+  HEALTH_API_MAX_AGE: healthApiMaxAgeStr = '900000',
+  WEBHOOK_URLS = '',
+  WEBHOOK_SECRET = '',
+  WEBHOOK_EVENTS = '',
+  WEBHOOK_TIMEOUT: webhookTimeoutStr = '10000',
+  NOTIFIERS_FILE = '',
+  LOW_STORAGE_THRESHOLD: lowStorageThresholdStr = '5368709120',
+  LOCAL_STORAGE_RESERVE: localStorageReserveStr = '1073741824',
+  POST_PROCESS_COMMAND = '',
+  POST_PROCESS_TIMEOUT: postProcessTimeoutStr = '600000',
+  POST_PROCESS_ON_FAILURE = 'ignore',
+  EXTRACT_ARCHIVES = 'false',
+  EXTRACT_DELETE_ARCHIVES = 'false',
+  EXTRACT_INCLUDE = '',
+  EXTRACT_EXCLUDE = '',
+  FILE_INCLUDE = '',
+  FILE_EXCLUDE = '',
+  FILE_MIN_SIZE: fileMinSizeStr = '0',
+  FILE_LARGEST_ONLY = 'false',
+  CACHE_POLICY = 'any',
+  CACHE_UNCACHED = 'hold'
 } = process.env;
 
 // Convert string env vars to numbers
 const WATCH_RATE = parseInt(watchRateStr, 10) || 5000;
 const MAX_CONCURRENT_DOWNLOADS = parseInt(maxDownloadsStr, 10) || 3;
+const DOWNLOAD_FILE_CONCURRENCY = parseInt(fileConcurrencyStr, 10) || 1;
+const MAX_HTTP_CONNECTIONS = parseInt(maxConnectionsStr, 10) || 0;
+const DOWNLOAD_SEGMENTS = parseInt(downloadSegmentsStr, 10) || 1;
+const DOWNLOAD_SEGMENT_MIN_SIZE = parseInt(segmentMinSizeStr, 10) || 104857600;
 const FILE_POLL_INTERVAL = parseInt(pollIntervalStr, 10) || 1000;
 const FILE_STABLE_TIME = parseInt(stableTimeStr, 10) || 5000;
+const API_PORT = parseInt(apiPortStr, 10) || 8080;
+const HEALTH_INTERVAL = parseInt(healthIntervalStr, 10) || 30000;
+const HEALTH_API_MAX_AGE = parseInt(healthApiMaxAgeStr, 10) || 900000;
+const WEBHOOK_TIMEOUT = parseInt(webhookTimeoutStr, 10) || 10000;
+const LOW_STORAGE_THRESHOLD = parseInt(lowStorageThresholdStr, 10) || 0;
+const LOCAL_STORAGE_RESERVE = parseInt(localStorageReserveStr, 10) || 0;
+const POST_PROCESS_TIMEOUT = parseInt(postProcessTimeoutStr, 10) || 600000;
+const FILE_MIN_SIZE = parseInt(fileMinSizeStr, 10) || 0;
+
+// Split a comma-separated env var into a list
+const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
 
 if (!OFFCLOUD_API_KEY) {
   logger.error('OFFCLOUD_API_KEY environment variable is not set');
   process.exit(-1);
 }
 
+if (!['any', 'prefer-cached', 'cached-only'].includes(CACHE_POLICY) || !['hold', 'reject'].includes(CACHE_UNCACHED)) {
+  logger.error(`Invalid cache settings: CACHE_POLICY must be any, prefer-cached or cached-only and CACHE_UNCACHED hold or reject`);
+  process.exit(-1);
+}
+
 // Ensure all required directories exist
 const createDirectories = async () => {
-  for (const dir of [WATCH_DIR, IN_PROGRESS_DIR, COMPLETED_DIR]) {
+  for (const dir of [WATCH_DIR, IN_PROGRESS_DIR, COMPLETED_DIR, STATE_DIR, QUARANTINE_DIR]) {
     try {
       await fileOps.ensureDir(dir);
       logger.success(`Ensured directory exists: ${dir}`);
@@ -49,29 +132,196 @@ const createDirectories = async () => {
   // Create required directories
   await createDirectories();
 
+  // Load persisted queue, watch list and dedupe state from the previous run
+  const stateStore = new StateStore(path.join(STATE_DIR, 'state.json'));
+  await stateStore.load();
+
+  // Category subfolders of WATCH_DIR and their per-category settings
+  const categories = await Categories.load(CATEGORIES_FILE, {
+    watchDir: WATCH_DIR,
+    completedDir: COMPLETED_DIR
+  });
+
+  // Download rate limits shared by all downloads, changeable through the API
+  let bandwidth;
+  // When jobs are submitted to Offcloud and when finished jobs are downloaded
+  let submitSchedule;
+  let downloadSchedule;
+  try {
+    bandwidth = new BandwidthLimiter({
+      limit: parseRate(BANDWIDTH_LIMIT),
+      jobLimit: parseRate(BANDWIDTH_JOB_LIMIT),
+      schedule: parseSchedule(BANDWIDTH_SCHEDULE)
+    });
+    submitSchedule = Schedule.parse(SUBMIT_SCHEDULE);
+    downloadSchedule = Schedule.parse(DOWNLOAD_SCHEDULE);
+  } catch (err) {
+    logger.error(`Invalid bandwidth or schedule settings: ${err.message}`);
+    process.exit(-1);
+  }
+
+  // Jobs only start when they fit on the local disks, and downloads pause below the reserve
+  const diskGuard = new DiskSpaceGuard({
+    reserve: LOCAL_STORAGE_RESERVE,
+    inProgressPath: IN_PROGRESS_DIR,
+    getPaths: category => [IN_PROGRESS_DIR, categories.getDestination(category)]
+  });
+
+  // Which files of a job are downloaded
+  const fileFilter = new FileFilter({
+    include: parseList(FILE_INCLUDE),
+    exclude: parseList(FILE_EXCLUDE),
+    minSize: FILE_MIN_SIZE,
+    largestOnly: FILE_LARGEST_ONLY === 'true',
+    categories
+  });
+
   // Create a downloader instance with the new directories
-  const downloader = new Downloader(WATCH_DIR, DOWNLOAD_DIR, IN_PROGRESS_DIR, COMPLETED_DIR);
+  const downloader = new Downloader(WATCH_DIR, DOWNLOAD_DIR, IN_PROGRESS_DIR, COMPLETED_DIR, {
+    categories,
+    segments: DOWNLOAD_SEGMENTS,
+    segmentMinSize: DOWNLOAD_SEGMENT_MIN_SIZE,
+    fileConcurrency: DOWNLOAD_FILE_CONCURRENCY,
+    maxConnections: MAX_HTTP_CONNECTIONS,
+    limiter: bandwidth,
+    diskGuard,
+    filter: fileFilter
+  });
 
   logger.info('Download configuration:');
   logger.info(`Watch directory: ${WATCH_DIR}`);
   logger.info(`In-progress directory: ${IN_PROGRESS_DIR}`);
   logger.info(`Completed directory: ${COMPLETED_DIR}`);
+  logger.info(`Local storage reserve: ${(LOCAL_STORAGE_RESERVE / (1024 * 1024)).toFixed(2)}MB`);
+  logger.info(`State directory: ${STATE_DIR}`);
+  logger.info(`Quarantine directory: ${QUARANTINE_DIR}`);
+  logger.info(`Categories: ${(await categories.list()).join(', ') || 'none'}`);
   logger.info(`Max concurrent downloads: ${MAX_CONCURRENT_DOWNLOADS}`);
+  logger.info(`Files per job at once: ${DOWNLOAD_FILE_CONCURRENCY}, HTTP connections: ${MAX_HTTP_CONNECTIONS || 'unlimited'}`);
+  if (submitSchedule.enabled || downloadSchedule.enabled) {
+    logger.info(`Submission window: ${submitSchedule}, local download window: ${downloadSchedule}`);
+  }
+  if (BANDWIDTH_LIMIT || BANDWIDTH_JOB_LIMIT || BANDWIDTH_SCHEDULE) {
+    logger.info(`Bandwidth limit: ${BANDWIDTH_LIMIT || 'none'}, per job: ${BANDWIDTH_JOB_LIMIT || 'none'}, schedule: ${BANDWIDTH_SCHEDULE || 'none'}`);
+  }
+  if (DOWNLOAD_SEGMENTS > 1) {
+    logger.info(`Segmented downloads: ${DOWNLOAD_SEGMENTS} connections for files from ${(DOWNLOAD_SEGMENT_MIN_SIZE / 1048576).toFixed(0)} MB`);
+  }
   logger.info(`File poll interval: ${FILE_POLL_INTERVAL}ms`);
   logger.info(`File stability threshold: ${FILE_STABLE_TIME}ms`);
 
+  // Outbound webhooks for job lifecycle events
+  const webhooks = new WebhookNotifier({
+    urls: parseList(WEBHOOK_URLS),
+    secret: WEBHOOK_SECRET,
+    events: parseList(WEBHOOK_EVENTS),
+    timeout: WEBHOOK_TIMEOUT
+  });
+  if (webhooks.enabled) {
+    logger.info(`Webhooks: ${webhooks.urls.length} endpoint(s) for ${webhooks.events.join(', ')}`);
+  }
+
+  // Templated notifications (ntfy, Gotify, Discord, email, commands)
+  const notifiers = await Notifiers.load(NOTIFIERS_FILE);
+
+  // Commands run on completed jobs, per category or POST_PROCESS_COMMAND
+  const scripts = new ScriptRunner({
+    commands: POST_PROCESS_COMMAND ? [POST_PROCESS_COMMAND] : [],
+    timeout: POST_PROCESS_TIMEOUT,
+    onFailure: POST_PROCESS_ON_FAILURE,
+    categories
+  });
+
+  // Built-in archive extraction, before the post-processing commands
+  const extractor = new Extractor({
+    enabled: EXTRACT_ARCHIVES === 'true',
+    deleteArchives: EXTRACT_DELETE_ARCHIVES === 'true',
+    include: parseList(EXTRACT_INCLUDE),
+    exclude: parseList(EXTRACT_EXCLUDE),
+    categories
+  });
+
   // Create a watcher instance with the queue system
   const watcher = new OffCloudWatcher(
     OFFCLOUD_API_KEY, 
     downloader.download,
-    MAX_CONCURRENT_DOWNLOADS
+    MAX_CONCURRENT_DOWNLOADS,
+    {
+      stateStore,
+      categories,
+      lowStorageThreshold: LOW_STORAGE_THRESHOLD,
+      submitSchedule,
+      downloadSchedule,
+      cachePolicy: CACHE_POLICY,
+      uncachedAction: CACHE_UNCACHED,
+      diskGuard,
+      getJobDirs: category => [IN_PROGRESS_DIR, categories.getDestination(category)],
+      postProcess: async job => {
+        const extractedJob = await extractor.run(job);
+        await scripts.run(extractedJob);
+        return extractedJob;
+      },
+      onEvent: (event, data) => {
+        webhooks.notify(event, data);
+        notifiers.notify(event, data);
+      }
+    }
   );
 
+  // Pick up queued items and in-flight Offcloud requests from before the restart
+  await watcher.restoreState();
+
+  // Gauges read from the live queue and watch list on every scrape
+  const queueItemsGauge = metrics.gauge('queue_items', 'Queue items by status');
+  const activeJobsGauge = metrics.gauge('active_downloads', 'Jobs downloading remotely on Offcloud or locally to disk');
+  const activeFilesGauge = metrics.gauge('active_file_downloads', 'Files currently being downloaded to disk');
+  const connectionsGauge = metrics.gauge('download_connections', 'Download HTTP connections by state (open, waiting)');
+  const bandwidthGauge = metrics.gauge('bandwidth_limit_bytes', 'Download rate limit in effect in bytes per second (0 for none), global and per job');
+  const storageGauge = metrics.gauge('cloud_storage_bytes', 'Estimated Offcloud storage by type (free, used, total)');
+  const localFreeGauge = metrics.gauge('local_free_bytes', 'Free space last measured in the local download directories');
+  const downloadsPausedGauge = metrics.gauge('downloads_paused', 'Whether local downloads are paused for lack of disk space (1) or not (0)');
+  metrics.onCollect(() => {
+    const stats = watcher.queueManager.getQueueStats();
+    queueItemsGauge.set({ status: 'queued' }, stats.pendingItems);
+    queueItemsGauge.set({ status: 'processing' }, stats.processingItems);
+    queueItemsGauge.set({ status: 'error' }, stats.errorItems);
+    queueItemsGauge.set({ status: 'ready' }, stats.readyItems);
+    queueItemsGauge.set({ status: 'held' }, stats.heldItems);
+
+    const active = watcher.watchList.filter(torrent => torrent.status !== 'invalid');
+    activeJobsGauge.set({ location: 'remote' }, active.filter(torrent => torrent.status !== 'downloading_locally').length);
+    activeJobsGauge.set({ location: 'local' }, active.filter(torrent => torrent.status === 'downloading_locally').length);
+    activeFilesGauge.set({}, downloader.activeDownloads.size);
+    connectionsGauge.set({ state: 'open' }, downloader.connections.active);
+    connectionsGauge.set({ state: 'waiting' }, downloader.connections.waiting.length);
+    bandwidthGauge.set({ scope: 'global' }, bandwidth.getLimit());
+    bandwidthGauge.set({ scope: 'job' }, bandwidth.getJobLimit());
+    for (const [dir, free] of diskGuard.freeSpace) {
+      localFreeGauge.set({ dir }, free);
+    }
+    downloadsPausedGauge.set({}, diskGuard.paused ? 1 : 0);
+
+    if (stats.storageInfo) {
+      storageGauge.set({ type: 'free' }, stats.storageInfo.freeSpace);
+      storageGauge.set({ type: 'used' }, stats.storageInfo.usedSpace);
+      storageGauge.set({ type: 'total' }, stats.storageInfo.totalSpace);
+    }
+  });
+
+  // Reconcile leftovers from a crash before the file watcher starts submitting new jobs
+  if (RECONCILE_ON_STARTUP === 'true') {
+    const reconciler = new OffCloudReconciler(watcher, {
+      inProgressDir: IN_PROGRESS_DIR,
+      completedDir: COMPLETED_DIR,
+      quarantineDir: QUARANTINE_DIR,
+      categories,
+      adoptCloudOrphans: RECONCILE_ADOPT_CLOUD === 'true'
+    });
+    await reconciler.run();
+  }
+
   logger.info(`Watching '${WATCH_DIR}' for new nzbs, magnets and torrents`);
 
-  // Set to track files that are being processed or have been processed
-  const processedFiles = new Map(); // Map of file path to { timestamp, processingStatus }
-  
   // Track watcher state
   let watcherHealthy = true;
   let watcherStartTime = Date.now();
@@ -79,6 +329,56 @@ const createDirectories = async () => {
   let lastFileAddedTime = Date.now();
   let fileWatcher = null;
 
+  // Health report for the /health endpoint and the Docker probe (bin/healthcheck.js)
+  const healthMonitor = new HealthMonitor({
+    watcher,
+    getWatcherState: () => ({ watcherHealthy, consecutiveErrorCount }),
+    directories: { watch: WATCH_DIR, inProgress: IN_PROGRESS_DIR, completed: COMPLETED_DIR },
+    apiMaxAge: HEALTH_API_MAX_AGE,
+    filePath: path.join(STATE_DIR, 'health.json')
+  });
+
+  // Embedded HTTP server for the control API
+  let apiServer = null;
+  if (API_ENABLED === 'true') {
+    const jobs = new JobService({ watcher, watchDir: WATCH_DIR, categories });
+    apiServer = new ApiServer({ port: API_PORT, host: API_HOST, token: API_TOKEN });
+    registerControlRoutes(apiServer, jobs);
+    registerQbittorrentRoutes(apiServer, jobs, { username: QBIT_USERNAME });
+    registerSabnzbdRoutes(apiServer, jobs);
+    registerTransmissionRoutes(apiServer, jobs);
+    registerMetricsRoutes(apiServer, metrics);
+    registerHealthRoutes(apiServer, healthMonitor);
+    registerBandwidthRoutes(apiServer, bandwidth);
+
+    try {
+      await apiServer.start();
+    } catch (err) {
+      logger.error(`Error starting API server on ${API_HOST}:${API_PORT}:`, err.message);
+      apiServer = null;
+    }
+  }
+
+  // Set to track files that are being processed or have been processed
+  const processedFiles = new Map(); // Map of file path to { timestamp, processingStatus }
+
+  // Restore finished entries only; anything still 'processing' was interrupted and may be picked up again
+  for (const [fileId, info] of stateStore.get('watchedFiles', [])) {
+    if (info && info.status !== 'processing') {
+      processedFiles.set(fileId, info);
+    }
+  }
+
+  const persistProcessedFiles = () => {
+    stateStore.set('watchedFiles', [...processedFiles.entries()]);
+  };
+  
+  const watcherRecreations = metrics.counter('watcher_recreations_total', 'File watcher recreations by reason');
+  const watcherHealthyGauge = metrics.gauge('watcher_healthy', 'Whether the file watcher is healthy (1) or not (0)');
+  metrics.onCollect(() => {
+    watcherHealthyGauge.set({}, watcherHealthy ? 1 : 0);
+  });
+
   // Function to check if a file should be ignored
   const shouldIgnoreFile = (filePath, stats) => {
     // Skip if it's a directory
@@ -96,7 +396,7 @@ const createDirectories = async () => {
     
     // Only process specific extensions
     const extension = path.extname(filePath).toLowerCase();
-    if (!['.torrent', '.magnet', '.nzb'].includes(extension)) return true;
+    if (!['.torrent', '.magnet', '.url', '.nzb'].includes(extension)) return true;
     
     return false;
   };
@@ -164,7 +464,7 @@ const createDirectories = async () => {
     // Skip ignored files
     if (shouldIgnoreFile(filePath, stats)) {
       const extension = path.extname(filePath).toLowerCase();
-      if (!['.torrent', '.magnet', '.nzb'].includes(extension)) {
+      if (!['.torrent', '.magnet', '.url', '.nzb'].includes(extension)) {
         logger.debug(`Ignoring '${filePath}' because it has an unknown extension (${extension})`);
       } else {
         logger.debug(`Ignoring '${filePath}' because it matched ignore patterns`);
@@ -210,6 +510,7 @@ const createDirectories = async () => {
         timestamp: Date.now(),
         status: 'processed'
       });
+      persistProcessedFiles();
       
       logger.success(`Successfully queued file: ${filePath}`);
     } catch (err) {
@@ -221,11 +522,13 @@ const createDirectories = async () => {
         status: 'error',
         error: err.message
       });
+      persistProcessedFiles();
     }
   };
 
   // Initialize the watcher
   fileWatcher = createNewWatcher();
+  healthMonitor.start(HEALTH_INTERVAL);
 
   // Function to safely recreate watcher
   const recreateWatcher = async () => {
@@ -262,31 +565,48 @@ const createDirectories = async () => {
     logger.debug('Performing manual directory scan');
     
     try {
-      const dirents = await fs.promises.readdir(WATCH_DIR, { withFileTypes: true });
+      // Scan the watch directory root and its category subfolders
+      const scanDirs = [WATCH_DIR];
+      const rootDirents = await fs.promises.readdir(WATCH_DIR, { withFileTypes: true });
+      for (const dirent of rootDirents) {
+        if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+          scanDirs.push(path.join(WATCH_DIR, dirent.name));
+        }
+      }
       
-      for (const dirent of dirents) {
-        if (!dirent.isFile()) continue;
-        
-        const filePath = path.join(WATCH_DIR, dirent.name);
-        
+      for (const dir of scanDirs) {
+        let dirents;
         try {
-          const stats = await fs.promises.stat(filePath);
+          dirents = dir === WATCH_DIR ? rootDirents : await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          logger.error(`Error reading category directory ${dir}:`, err.message);
+          continue;
+        }
+        
+        for (const dirent of dirents) {
+          if (!dirent.isFile()) continue;
           
-          // Don't reprocess files that are being processed or were recently processed
-          const fileId = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+          const filePath = path.join(dir, dirent.name);
           
-          if (processedFiles.has(fileId)) {
-            const fileInfo = processedFiles.get(fileId);
+          try {
+            const stats = await fs.promises.stat(filePath);
+            
+            // Don't reprocess files that are being processed or were recently processed
+            const fileId = `${filePath}:${stats.size}:${stats.mtimeMs}`;
             
-            if (fileInfo.status === 'processing' || 
-                (fileInfo.status === 'processed' && Date.now() - fileInfo.timestamp < 3600000)) {
-              continue;
+            if (processedFiles.has(fileId)) {
+              const fileInfo = processedFiles.get(fileId);
+              
+              if (fileInfo.status === 'processing' || 
+                  (fileInfo.status === 'processed' && Date.now() - fileInfo.timestamp < 3600000)) {
+                continue;
+              }
             }
+            
+            await processFile(filePath, stats);
+          } catch (err) {
+            logger.error(`Error processing file during scan (${filePath}):`, err.message);
           }
-          
-          await processFile(filePath, stats);
-        } catch (err) {
-          logger.error(`Error processing file during scan (${filePath}):`, err.message);
         }
       }
     } catch (err) {
@@ -305,6 +625,11 @@ const createDirectories = async () => {
       watcherRuntime > 86400000; // Recreate watcher every 24 hours for good measure
     
     if (needsRecreation) {
+      let reason = 'age';
+      if (!watcherHealthy) reason = 'unhealthy';
+      else if (consecutiveErrorCount > 5) reason = 'errors';
+      watcherRecreations.inc({ reason });
+      
       logger.warn(`Watcher needs recreation. Healthy: ${watcherHealthy}, Errors: ${consecutiveErrorCount}, Runtime: ${Math.floor(watcherRuntime / 60000)}m`);
       await recreateWatcher();
     }
@@ -338,6 +663,7 @@ const createDirectories = async () => {
     
     if (cleanupCount > 0) {
       logger.info(`Cleaned up ${cleanupCount} old processed file entries`);
+      persistProcessedFiles();
     }
   }, 3600000); // Every hour
 
@@ -345,6 +671,8 @@ const createDirectories = async () => {
   const gracefulShutdown = async (signal) => {
     logger.info(`Received ${signal}, shutting down gracefully...`);
     
+    healthMonitor.stop();
+    
     // Close file watcher
     if (fileWatcher) {
       try {
@@ -355,6 +683,15 @@ const createDirectories = async () => {
       }
     }
     
+    // Stop accepting API requests
+    if (apiServer) {
+      try {
+        await apiServer.stop();
+      } catch (err) {
+        logger.error(`Error stopping API server:`, err.message);
+      }
+    }
+    
     // Clean up offcloud watcher
     if (watcher) {
       try {
@@ -365,6 +702,14 @@ const createDirectories = async () => {
       }
     }
     
+    // Write out the latest queue and watch list state
+    try {
+      await stateStore.flush();
+      logger.info('State saved');
+    } catch (err) {
+      logger.error(`Error saving state:`, err.message);
+    }
+    
     logger.info('Shutdown complete');
     process.exit(0);
   };
@@ -0,0 +1,30 @@
+// Bandwidth limit routes: read and change the download limits at runtime
+import { HttpError, parseBody, sendJson } from './http.js';
+
+/**
+ * Register the /api/v1/bandwidth routes
+ * @param {ApiServer} server - API server
+ * @param {BandwidthLimiter} limiter - Bandwidth limiter of the downloader
+ */
+function registerBandwidthRoutes(server, limiter) {
+  server.route('GET', '/api/v1/bandwidth', async (req, res) => {
+    sendJson(res, 200, limiter.getStatus());
+  });
+
+  // { "limit": "5MB", "jobLimit": "1MB" }; 0 removes a limit, null goes back to the configured one
+  server.route('PUT', '/api/v1/bandwidth', async (req, res) => {
+    const { fields } = await parseBody(req);
+    if (fields.limit === undefined && fields.jobLimit === undefined) {
+      throw new HttpError(400, 'Expected a limit or jobLimit');
+    }
+
+    try {
+      limiter.set({ limit: fields.limit, jobLimit: fields.jobLimit });
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+    sendJson(res, 200, limiter.getStatus());
+  });
+}
+
+export default registerBandwidthRoutes;
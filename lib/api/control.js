@@ -0,0 +1,88 @@
+// Control API routes for queue inspection and job management
+import { HttpError, parseBody, sendJson } from './http.js';
+
+/**
+ * Register the control API routes
+ * @param {ApiServer} server - API server
+ * @param {JobService} jobs - Job service
+ */
+function registerControlRoutes(server, jobs) {
+  const queueManager = jobs.queueManager;
+
+  // Queue items and statistics
+  server.route('GET', '/api/v1/queue', async (req, res) => {
+    sendJson(res, 200, {
+      stats: queueManager.getQueueStats(),
+      items: jobs.listQueue()
+    });
+  });
+
+  // Jobs submitted to Offcloud, with local and remote status
+  server.route('GET', '/api/v1/watchlist', async (req, res) => {
+    sendJson(res, 200, { items: jobs.listWatchList() });
+  });
+
+  server.route('GET', '/api/v1/jobs', async (req, res) => {
+    sendJson(res, 200, { items: jobs.list() });
+  });
+
+  // Finished jobs, newest first
+  server.route('GET', '/api/v1/history', async (req, res) => {
+    sendJson(res, 200, { items: jobs.listHistory() });
+  });
+
+  server.route('GET', '/api/v1/jobs/:id', async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      throw new HttpError(404, `Job ${req.params.id} not found`);
+    }
+    sendJson(res, 200, job);
+  });
+
+  // Submit a magnet/URL as JSON or form field, or upload a .torrent/.nzb as multipart
+  server.route('POST', '/api/v1/jobs', async (req, res) => {
+    const { fields, files } = await parseBody(req);
+    const category = fields.category || req.query.category || '';
+
+    let job;
+    if (files.length > 0) {
+      job = await jobs.submitFile(files[0].fileName, files[0].data, { category });
+    } else if (fields.magnet || fields.url || fields.link) {
+      job = await jobs.submitLink(fields.magnet || fields.url || fields.link, {
+        category,
+        name: fields.name
+      });
+    } else {
+      throw new HttpError(400, 'Expected a magnet, url or an uploaded file');
+    }
+
+    sendJson(res, 201, job);
+  });
+
+  server.route('DELETE', '/api/v1/jobs/:id', async (req, res) => {
+    sendJson(res, 200, await jobs.cancel(req.params.id));
+  });
+
+  // Submit a queued, failed or cancelled job again
+  server.route('POST', '/api/v1/jobs/:id/retry', async (req, res) => {
+    sendJson(res, 200, await jobs.retry(req.params.id));
+  });
+
+  // Re-prioritise a queued job
+  server.route('PATCH', '/api/v1/jobs/:id', async (req, res) => {
+    const { fields } = await parseBody(req);
+    if (fields.priority === undefined) {
+      throw new HttpError(400, 'Expected a priority');
+    }
+    sendJson(res, 200, jobs.setPriority(req.params.id, fields.priority));
+  });
+
+  // Remove old completed downloads from Offcloud
+  server.route('POST', '/api/v1/cleanup', async (req, res) => {
+    const { fields } = await parseBody(req);
+    const maxAgeHours = fields.maxAgeHours !== undefined ? fields.maxAgeHours : (req.query.maxAgeHours || 24);
+    sendJson(res, 200, await jobs.cleanup(maxAgeHours));
+  });
+}
+
+export default registerControlRoutes;
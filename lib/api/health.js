@@ -0,0 +1,34 @@
+// Health endpoints for container orchestrators and uptime monitors
+import { sendJson } from './http.js';
+
+/**
+ * Register the /health routes. Both are public; the full report with paths,
+ * errors and stalled downloads is only returned to authorized requests.
+ * @param {ApiServer} server - API server
+ * @param {HealthMonitor} monitor - Health monitor
+ */
+function registerHealthRoutes(server, monitor) {
+  // Liveness: the process is up and serving requests
+  server.route('GET', '/health/live', async (req, res) => {
+    sendJson(res, 200, { status: 'ok' });
+  }, { auth: false });
+
+  // Readiness: all health checks pass
+  server.route('GET', '/health', async (req, res) => {
+    const report = await monitor.check();
+    const status = report.healthy ? 200 : 503;
+
+    if (server.isAuthorized(req)) {
+      sendJson(res, status, report);
+      return;
+    }
+
+    const checks = {};
+    for (const [name, check] of Object.entries(report.checks)) {
+      checks[name] = check.healthy;
+    }
+    sendJson(res, status, { healthy: report.healthy, checks });
+  }, { auth: false });
+}
+
+export default registerHealthRoutes;
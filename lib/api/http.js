@@ -0,0 +1,165 @@
+// lib/api/http.js
+import querystring from 'querystring';
+
+const MAX_BODY_SIZE = 10 * 1024 * 1024; // 10MB, plenty for .torrent and .nzb uploads
+
+/**
+ * Error with an HTTP status code, thrown by route handlers
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Buffer>} - Request body
+ */
+async function readBody(req, limit = MAX_BODY_SIZE) {
+  if (req.rawBody) return req.rawBody;
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new HttpError(413, `Request body exceeds ${limit} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  req.rawBody = Buffer.concat(chunks);
+  return req.rawBody;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} boundary - Multipart boundary from the content-type header
+ * @returns {Object} - { fields, files } where files are { field, fileName, contentType, data }
+ */
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const files = [];
+  const delimiter = Buffer.from(`--${boundary}`);
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+
+    // The closing delimiter is followed by "--"
+    if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+
+    const headerEnd = body.indexOf('\r\n\r\n', start);
+    const next = body.indexOf(delimiter, start);
+    if (headerEnd === -1 || next === -1) break;
+
+    const headers = body.slice(start, headerEnd).toString('utf8');
+    // Part data ends with CRLF before the next delimiter
+    const data = body.slice(headerEnd + 4, next - 2);
+
+    const disposition = /content-disposition:([^\r\n]*)/i.exec(headers);
+    const nameMatch = disposition && /\bname="([^"]*)"/i.exec(disposition[1]);
+
+    if (nameMatch) {
+      const fileNameMatch = /\bfilename="([^"]*)"/i.exec(disposition[1]);
+      const typeMatch = /content-type:\s*([^\r\n]*)/i.exec(headers);
+
+      if (fileNameMatch) {
+        files.push({
+          field: nameMatch[1],
+          fileName: fileNameMatch[1],
+          contentType: typeMatch ? typeMatch[1].trim() : 'application/octet-stream',
+          data
+        });
+      } else {
+        fields[nameMatch[1]] = data.toString('utf8');
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Read and parse the request body based on its content type
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - { fields, files }
+ */
+async function parseBody(req) {
+  const body = await readBody(req);
+  const contentType = req.headers['content-type'] || '';
+
+  if (body.length === 0) {
+    return { fields: {}, files: [] };
+  }
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundary) {
+      throw new HttpError(400, 'Missing multipart boundary');
+    }
+    return parseMultipart(body, boundary[1] || boundary[2]);
+  }
+
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return { fields: querystring.parse(body.toString('utf8')), files: [] };
+  }
+
+  try {
+    const fields = JSON.parse(body.toString('utf8'));
+    return { fields: fields && typeof fields === 'object' ? fields : {}, files: [] };
+  } catch (err) {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Data to serialize
+ * @param {Object} headers - Extra response headers
+ */
+function sendJson(res, status, data, headers = {}) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    ...headers
+  });
+  res.end(body);
+}
+
+/**
+ * Send a plain text response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} text - Response text
+ * @param {Object} headers - Extra response headers
+ */
+function sendText(res, status, text, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    ...headers
+  });
+  res.end(text);
+}
+
+export {
+  HttpError,
+  readBody,
+  parseBody,
+  parseMultipart,
+  sendJson,
+  sendText
+};
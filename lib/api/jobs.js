@@ -0,0 +1,498 @@
+// Job operations shared by the control API and the download client emulations
+import debug from 'debug';
+const log = debug('patbrid:api:jobs');
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import fileOps from '../utils/fileOperations.js';
+import magnet from '../parsers/magnet.js';
+import { HttpError } from './http.js';
+
+const UPLOAD_EXTENSIONS = ['.torrent', '.nzb'];
+const MAX_FETCH_SIZE = 10 * 1024 * 1024; // 10MB
+const FETCH_TIMEOUT = 30000;
+
+/**
+ * Parse a submitted http(s) URL
+ * @param {string} link - URL
+ * @returns {URL} - Parsed URL
+ * @throws {HttpError} - 400 if the URL can't be parsed, e.g. "http://"
+ */
+function parseUrl(link) {
+  try {
+    return new URL(link);
+  } catch (err) {
+    throw new HttpError(400, `Invalid URL '${link}'`);
+  }
+}
+
+/**
+ * Decode a percent-encoded file name, keeping it as is if the encoding is malformed
+ * @param {string} value - Encoded name
+ * @returns {string} - Decoded name
+ */
+function decodeName(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+class JobService {
+  /**
+   * @param {Object} options - Options object
+   * @param {OffCloudWatcher} options.watcher - Watcher holding the queue and watch list
+   * @param {string} options.watchDir - Watch directory submitted jobs are written to
+   * @param {Categories} options.categories - Categories, used for save paths
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.watcher = options.watcher;
+    this.queueManager = options.watcher.queueManager;
+    this.watchDir = options.watchDir;
+    this.categories = options.categories || null;
+  }
+
+  /**
+   * Get the hash of a job: its BitTorrent infohash, or a stable hash of the
+   * job ID for jobs that aren't torrents (NZBs, URLs)
+   * @param {Object} job - Job description
+   * @returns {string} - 40 character lowercase hex hash
+   */
+  hashOf(job) {
+    if (job.infoHash) return job.infoHash;
+    return crypto.createHash('sha1').update(String(job.id)).digest('hex');
+  }
+
+  /**
+   * Get the completed directory of a category
+   * @param {string} category - Category name
+   * @returns {string|null} - Directory, or null when categories aren't configured
+   */
+  getSavePath(category) {
+    return this.categories ? this.categories.getDestination(category) : null;
+  }
+
+  /**
+   * Describe a queue item
+   * @param {Object} item - Queue item
+   * @returns {Object} - Job description
+   */
+  describeQueueItem(item) {
+    return {
+      id: item.id,
+      file: item.file,
+      name: item.name || path.basename(item.file).replace(/\.[^/.]+$/, ''),
+      category: item.category || '',
+      state: item.status,
+      priority: item.priority,
+      addedTime: item.addedTime,
+      retries: item.retries,
+      estimatedSize: item.estimatedSize,
+      infoHash: item.infoHash || null,
+      cached: item.cached !== undefined ? item.cached : null,
+      progress: 0,
+      error: item.lastError || null
+    };
+  }
+
+  /**
+   * Describe an in-flight torrent with its local and remote status
+   * @param {OffCloudTorrent} torrent - Torrent
+   * @returns {Object} - Job description
+   */
+  describeTorrent(torrent) {
+    // Offcloud progress while downloading remotely, held below 1 until the local copy is done
+    let progress = torrent.remoteSize > 0 ? torrent.remoteAmount / torrent.remoteSize : 0;
+    if (['ready', 'downloaded', 'downloading_locally'].includes(torrent.status) || torrent.remoteStatus === 'downloaded') {
+      progress = 1;
+    }
+
+    return {
+      id: torrent.jobId,
+      requestId: torrent.id,
+      file: torrent.file,
+      name: torrent.getJobName(),
+      category: torrent.category || '',
+      state: torrent.status,
+      localStatus: torrent.status,
+      remoteStatus: torrent.remoteStatus || null,
+      addedTime: torrent.addedTime,
+      lastUpdate: torrent.lastUpdate,
+      size: torrent.remoteSize,
+      infoHash: torrent.infoHash || null,
+      progress: Math.min(progress, 0.99),
+      error: torrent.errorMessage || null
+    };
+  }
+
+  /**
+   * Describe a finished job
+   * @param {Object} entry - History entry
+   * @returns {Object} - Job description
+   */
+  describeHistory(entry) {
+    return {
+      id: entry.jobId,
+      requestId: entry.requestId || null,
+      file: entry.file,
+      name: entry.name,
+      category: entry.category || '',
+      state: entry.status,
+      addedTime: entry.addedTime || null,
+      finishedTime: entry.finishedTime,
+      size: entry.size || 0,
+      path: entry.path || null,
+      files: entry.files || [],
+      skipped: entry.skipped || [],
+      infoHash: entry.infoHash || null,
+      progress: entry.status === 'completed' ? 1 : 0,
+      error: entry.error || null
+    };
+  }
+
+  listHistory() {
+    return this.watcher.history.map(entry => this.describeHistory(entry));
+  }
+
+  listQueue() {
+    return this.queueManager.queue.map(item => this.describeQueueItem(item));
+  }
+
+  listWatchList() {
+    return this.watcher.watchList.map(torrent => this.describeTorrent(torrent));
+  }
+
+  /**
+   * List all jobs: queued items and in-flight torrents
+   * @returns {Array<Object>} - Job descriptions
+   */
+  list() {
+    const torrents = this.listWatchList();
+    const torrentIds = new Set(torrents.map(job => job.id));
+    const queued = this.listQueue().filter(job => !torrentIds.has(job.id));
+    return [...queued, ...torrents];
+  }
+
+  /**
+   * Get a job by job ID, Offcloud request ID or source file
+   * @param {string} id - Job identifier
+   * @returns {Object|null} - Job description or null if not found
+   */
+  get(id) {
+    const torrent = this.watcher.findTorrent(id);
+    if (torrent) return this.describeTorrent(torrent);
+
+    const item = this.queueManager.findItem(id);
+    if (item) return this.describeQueueItem(item);
+
+    const entry = this.watcher.history.find(e => e.jobId === id || (e.requestId && e.requestId === id));
+    return entry ? this.describeHistory(entry) : null;
+  }
+
+  /**
+   * Find active and finished jobs by hash
+   * @param {string} hash - Job hash (see hashOf)
+   * @returns {Array<Object>} - Job descriptions
+   */
+  findByHash(hash) {
+    hash = String(hash).toLowerCase();
+    return [...this.list(), ...this.listHistory()].filter(job => this.hashOf(job) === hash);
+  }
+
+  /**
+   * Remove a job: active jobs are cancelled, finished jobs are removed from
+   * the history and optionally have their completed folder deleted
+   * @param {string} id - Job identifier
+   * @param {Object} options - Options object
+   * @param {boolean} options.deleteFiles - Delete the completed folder of finished jobs
+   * @returns {Promise<Object>} - Description of the removed job
+   */
+  async remove(id, options = {}) {
+    if (this.watcher.findTorrent(id) || this.queueManager.findItem(id)) {
+      return await this.cancel(id);
+    }
+
+    const entry = this.watcher.removeFromHistory(id);
+    if (!entry) {
+      throw new HttpError(404, `Job ${id} not found`);
+    }
+
+    if (options.deleteFiles && entry.path) {
+      await fileOps.removeDirectory(entry.path);
+    }
+
+    return this.describeHistory(entry);
+  }
+
+  /**
+   * List known categories
+   * @returns {Promise<Array<string>>} - Category names
+   */
+  async listCategories() {
+    return this.categories ? await this.categories.list() : [];
+  }
+
+  /**
+   * Resolve the watch folder of a category
+   * @param {string} category - Category name
+   * @returns {string} - Directory path
+   */
+  getCategoryDir(category) {
+    if (!category) return this.watchDir;
+
+    const name = fileOps.sanitizeFolderName(String(category));
+    if (name === '.' || name === '..' || name.startsWith('.')) {
+      throw new HttpError(400, `Invalid category: ${category}`);
+    }
+    return path.join(this.watchDir, name);
+  }
+
+  /**
+   * Write a job file into the watch folder and queue it
+   * @param {string} fileName - File name including extension
+   * @param {string|Buffer} data - File contents
+   * @param {string} category - Category name
+   * @returns {Promise<Object>} - Job description
+   */
+  async writeAndQueue(fileName, data, category) {
+    const dir = this.getCategoryDir(category);
+    await fileOps.ensureDir(dir);
+
+    let filePath = path.join(dir, fileOps.sanitizeFolderName(fileName));
+    if (await fileOps.fileExists(filePath)) {
+      const extension = path.extname(filePath);
+      filePath = `${filePath.slice(0, -extension.length)}_${Date.now()}${extension}`;
+    }
+
+    await fileOps.safeWriteFile(filePath, data);
+    logger.info(`Job submitted through the API: ${filePath}`);
+
+    const item = await this.watcher.addFile(filePath);
+    if (!item) {
+      throw new HttpError(409, `${path.basename(filePath)} is already queued or downloading`);
+    }
+    return this.describeQueueItem(item);
+  }
+
+  /**
+   * Submit a magnet link or URL
+   * @param {string} link - Magnet link or URL
+   * @param {Object} options - Options object
+   * @param {string} options.category - Category name
+   * @param {string} options.name - Job name (derived from the link when missing)
+   * @returns {Promise<Object>} - Job description
+   */
+  async submitLink(link, options = {}) {
+    link = String(link || '').trim();
+
+    let extension;
+    let name = options.name;
+
+    if (link.startsWith('magnet:')) {
+      extension = '.magnet';
+      if (!name) {
+        const parsed = magnet.parseMagnet(link);
+        name = parsed && (parsed.name || parsed.infoHash);
+      }
+    } else if (/^https?:\/\//i.test(link)) {
+      extension = '.url';
+      if (!name) {
+        const url = parseUrl(link);
+        name = decodeName(path.basename(url.pathname)).replace(/\.[^/.]+$/, '') || url.hostname;
+      }
+    } else {
+      throw new HttpError(400, 'Expected a magnet link or an http(s) URL');
+    }
+
+    return await this.writeAndQueue(`${name || `link_${Date.now()}`}${extension}`, link, options.category);
+  }
+
+  /**
+   * Submit an uploaded .torrent or .nzb file
+   * @param {string} fileName - Original file name
+   * @param {Buffer} data - File contents
+   * @param {Object} options - Options object
+   * @param {string} options.category - Category name
+   * @returns {Promise<Object>} - Job description
+   */
+  async submitFile(fileName, data, options = {}) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      throw new HttpError(400, `Unsupported file type '${extension}', expected .torrent or .nzb`);
+    }
+
+    if (!data || data.length === 0) {
+      throw new HttpError(400, 'Uploaded file is empty');
+    }
+
+    return await this.writeAndQueue(path.basename(fileName), data, options.category);
+  }
+
+  /**
+   * Download a .torrent or .nzb file from a URL and submit it
+   * @param {string} url - URL of the file
+   * @param {Object} options - Options object
+   * @param {string} options.category - Category name
+   * @param {string} options.name - Job name (taken from the response when missing)
+   * @param {string} options.extension - Extension to use when the response doesn't tell
+   * @returns {Promise<Object>} - Job description
+   */
+  async submitRemoteFile(url, options = {}) {
+    if (!/^https?:\/\//i.test(String(url || ''))) {
+      throw new HttpError(400, 'Expected an http(s) URL');
+    }
+    const parsed = parseUrl(url);
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: FETCH_TIMEOUT,
+        maxContentLength: MAX_FETCH_SIZE
+      });
+    } catch (err) {
+      throw new HttpError(502, `Could not fetch ${url}: ${err.message}`);
+    }
+
+    // Prefer the server's file name, then the URL path
+    let fileName = null;
+    const disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(response.headers['content-disposition'] || '');
+    if (disposition) {
+      fileName = decodeName(disposition[1]);
+    } else {
+      fileName = decodeName(path.basename(parsed.pathname));
+    }
+
+    let extension = path.extname(fileName).toLowerCase();
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      extension = options.extension || '.nzb';
+    }
+
+    const name = options.name || fileName.replace(/\.[^/.]+$/, '') || `download_${Date.now()}`;
+    return await this.submitFile(`${name}${extension}`, Buffer.from(response.data), options);
+  }
+
+  /**
+   * Cancel a job: queued items are removed from the queue, in-flight jobs are
+   * removed from Offcloud. The source file is deleted in both cases.
+   * @param {string} id - Job identifier
+   * @returns {Promise<Object>} - Description of the cancelled job
+   */
+  async cancel(id) {
+    const torrent = this.watcher.findTorrent(id);
+    if (torrent) {
+      const job = this.describeTorrent(torrent);
+      try {
+        await torrent.cancel();
+      } catch (err) {
+        throw new HttpError(409, err.message);
+      }
+      return job;
+    }
+
+    let item;
+    try {
+      item = this.queueManager.cancel(id);
+    } catch (err) {
+      throw new HttpError(409, err.message);
+    }
+
+    if (!item) {
+      throw new HttpError(404, `Job ${id} not found`);
+    }
+
+    try {
+      await fs.promises.unlink(item.file);
+    } catch (err) {
+      logger.warn(`Could not delete source file of cancelled job ${item.file}: ${err.message}`);
+    }
+
+    return this.describeQueueItem(item);
+  }
+
+  /**
+   * Retry a job: queued items are submitted again right away, failed and
+   * cancelled jobs are queued again from their link or their source file
+   * @param {string} id - Job identifier
+   * @returns {Promise<Object>} - Description of the retried job
+   */
+  async retry(id) {
+    if (this.watcher.findTorrent(id)) {
+      throw new HttpError(409, `Job ${id} was already submitted to Offcloud`);
+    }
+
+    let item;
+    try {
+      item = this.queueManager.retry(id);
+    } catch (err) {
+      throw new HttpError(409, err.message);
+    }
+    if (item) return this.describeQueueItem(item);
+
+    const entry = this.watcher.history.find(e => e.jobId === id || (e.requestId && e.requestId === id));
+    if (!entry) {
+      throw new HttpError(404, `Job ${id} not found`);
+    }
+    if (entry.status === 'completed') {
+      throw new HttpError(409, `Job ${id} already completed`);
+    }
+
+    let job;
+    if (entry.file && await fileOps.fileExists(entry.file)) {
+      // Jobs that failed before reaching Offcloud keep their source file
+      this.queueManager.forgetFile(entry.file);
+      item = await this.watcher.addFile(entry.file);
+      if (!item) {
+        throw new HttpError(409, `${path.basename(entry.file)} is already queued or downloading`);
+      }
+      job = this.describeQueueItem(item);
+    } else if (entry.link) {
+      job = await this.submitLink(entry.link, { category: entry.category, name: entry.name });
+    } else {
+      throw new HttpError(409, `The source of job ${id} is no longer available`);
+    }
+
+    this.watcher.removeFromHistory(entry.jobId);
+    return job;
+  }
+
+  /**
+   * Change the priority of a queued job
+   * @param {string} id - Job identifier
+   * @param {number} priority - New priority (lower number = higher priority)
+   * @returns {Object} - Job description
+   */
+  setPriority(id, priority) {
+    const value = Number(priority);
+    if (!Number.isFinite(value)) {
+      throw new HttpError(400, 'Priority must be a number');
+    }
+
+    const item = this.queueManager.setPriority(id, value);
+    if (item) return this.describeQueueItem(item);
+
+    if (this.watcher.findTorrent(id)) {
+      throw new HttpError(409, `Job ${id} was already submitted to Offcloud`);
+    }
+    throw new HttpError(404, `Job ${id} not found`);
+  }
+
+  /**
+   * Remove old completed downloads from Offcloud
+   * @param {number} maxAgeHours - Maximum age in hours
+   * @returns {Promise<Object>} - Cleanup result
+   */
+  async cleanup(maxAgeHours = 24) {
+    const hours = Number(maxAgeHours);
+    if (!Number.isFinite(hours) || hours < 0) {
+      throw new HttpError(400, 'maxAgeHours must be a positive number');
+    }
+    return await this.queueManager.cleanupCompletedDownloads(hours);
+  }
+}
+
+export default JobService;
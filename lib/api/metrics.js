@@ -0,0 +1,15 @@
+// Prometheus metrics endpoint
+import { sendText } from './http.js';
+
+/**
+ * Register the /metrics route
+ * @param {ApiServer} server - API server
+ * @param {Metrics} metrics - Metrics registry
+ */
+function registerMetricsRoutes(server, metrics) {
+  server.route('GET', '/metrics', async (req, res) => {
+    sendText(res, 200, await metrics.render(), { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  });
+}
+
+export default registerMetricsRoutes;
@@ -0,0 +1,272 @@
+// qBittorrent v2 Web API emulation, enough for Sonarr/Radarr to use us as a download client
+import debug from 'debug';
+const log = debug('patbrid:api:qbittorrent');
+import crypto from 'crypto';
+import path from 'path';
+import logger from '../utils/logger.js';
+import fileOps from '../utils/fileOperations.js';
+import { HttpError, parseBody, sendJson, sendText } from './http.js';
+
+const APP_VERSION = 'v4.6.7';
+const WEBAPI_VERSION = '2.9.3';
+const UNKNOWN_ETA = 8640000; // qBittorrent's "infinity" ETA
+const SESSION_TIMEOUT = 3600000; // Idle sessions expire after an hour, like qBittorrent's default
+const MAX_SESSIONS = 100;
+
+/**
+ * Map a job state to a qBittorrent torrent state
+ * @param {Object} job - Job description
+ * @returns {string} - qBittorrent state
+ */
+function toQbitState(job) {
+  switch (job.state) {
+    case 'queued':
+    case 'error':
+      return 'queuedDL';
+    case 'processing':
+    case 'pending':
+      return 'metaDL';
+    case 'downloading':
+      return job.remoteStatus === 'queued' ? 'queuedDL' : 'downloading';
+    case 'ready':
+      return 'queuedDL';
+    case 'downloaded':
+    case 'downloading_locally':
+      return 'downloading';
+    case 'completed':
+      return 'pausedUP';
+    default:
+      return 'error';
+  }
+}
+
+/**
+ * Register the qBittorrent v2 Web API routes
+ * @param {ApiServer} server - API server
+ * @param {JobService} jobs - Job service
+ * @param {Object} options - Options object
+ * @param {string} options.username - Username accepted by auth/login; the password is the API token
+ */
+function registerQbittorrentRoutes(server, jobs, options = {}) {
+  const username = options.username || 'admin';
+  // Session ID => time of its last use, least recently used first
+  const sessions = new Map();
+
+  const pruneSessions = () => {
+    const now = Date.now();
+    for (const [sid, lastUsed] of sessions) {
+      if (now - lastUsed > SESSION_TIMEOUT) sessions.delete(sid);
+    }
+  };
+
+  // Cookie session from auth/login, or the regular API token
+  const requireSession = (req) => {
+    const cookie = /(?:^|;\s*)SID=([^;]+)/.exec(req.headers.cookie || '');
+    const sid = cookie ? cookie[1] : null;
+    if (sid && sessions.has(sid) && Date.now() - sessions.get(sid) <= SESSION_TIMEOUT) {
+      // Move it to the end, so the least recently used session is evicted first
+      sessions.delete(sid);
+      sessions.set(sid, Date.now());
+      return;
+    }
+    if (server.isAuthorized(req)) return;
+    throw new HttpError(403, 'Forbidden');
+  };
+
+  const toQbitTorrent = (job) => {
+    const finished = job.state === 'completed';
+    const savePath = finished && job.path ? path.dirname(job.path) : (jobs.getSavePath(job.category) || '');
+    const size = job.size || job.estimatedSize || 0;
+
+    return {
+      hash: jobs.hashOf(job),
+      name: job.name,
+      size,
+      total_size: size,
+      progress: job.progress,
+      downloaded: Math.round(size * job.progress),
+      amount_left: Math.round(size * (1 - job.progress)),
+      dlspeed: 0,
+      upspeed: 0,
+      eta: finished ? 0 : UNKNOWN_ETA,
+      state: toQbitState(job),
+      category: job.category,
+      tags: '',
+      save_path: savePath,
+      content_path: job.path || path.join(savePath, job.name),
+      added_on: Math.floor((job.addedTime || Date.now()) / 1000),
+      completion_on: finished ? Math.floor(job.finishedTime / 1000) : -1,
+      priority: job.priority || 0,
+      ratio: 0,
+      ratio_limit: -2,
+      seeding_time: 0,
+      seeding_time_limit: -2,
+      num_seeds: 0,
+      num_leechs: 0
+    };
+  };
+
+  const listTorrents = () => [...jobs.list(), ...jobs.listHistory()].map(toQbitTorrent);
+
+  server.route('POST', '/api/v2/auth/login', async (req, res) => {
+    const { fields } = await parseBody(req);
+
+    if (server.token && (fields.username !== username || !server.tokenMatches(fields.password || ''))) {
+      logger.warn('qBittorrent API login failed');
+      sendText(res, 200, 'Fails.');
+      return;
+    }
+
+    // Clients log in again whenever their cookie stops working, so keep only recent sessions
+    pruneSessions();
+    while (sessions.size >= MAX_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+
+    const sid = crypto.randomBytes(16).toString('hex');
+    sessions.set(sid, Date.now());
+    log('login', sid);
+    sendText(res, 200, 'Ok.', { 'Set-Cookie': `SID=${sid}; HttpOnly; path=/` });
+  }, { auth: false });
+
+  server.route('POST', '/api/v2/auth/logout', async (req, res) => {
+    const cookie = /(?:^|;\s*)SID=([^;]+)/.exec(req.headers.cookie || '');
+    if (cookie) sessions.delete(cookie[1]);
+    sendText(res, 200, '');
+  }, { auth: false });
+
+  server.route('GET', '/api/v2/app/version', async (req, res) => {
+    requireSession(req);
+    sendText(res, 200, APP_VERSION);
+  }, { auth: false });
+
+  server.route('GET', '/api/v2/app/webapiVersion', async (req, res) => {
+    requireSession(req);
+    sendText(res, 200, WEBAPI_VERSION);
+  }, { auth: false });
+
+  server.route('GET', '/api/v2/app/preferences', async (req, res) => {
+    requireSession(req);
+    sendJson(res, 200, {
+      save_path: jobs.getSavePath('') || '',
+      queueing_enabled: false,
+      max_ratio_enabled: false,
+      max_ratio: -1,
+      max_seeding_time_enabled: false,
+      max_seeding_time: -1,
+      dht: false
+    });
+  }, { auth: false });
+
+  server.route('POST', '/api/v2/torrents/add', async (req, res) => {
+    requireSession(req);
+    const { fields, files } = await parseBody(req);
+    const category = fields.category || '';
+
+    const urls = String(fields.urls || '').split(/\r?\n/).map(url => url.trim()).filter(Boolean);
+    if (urls.length === 0 && files.length === 0) {
+      sendText(res, 200, 'Fails.');
+      return;
+    }
+
+    try {
+      for (const url of urls) {
+        await jobs.submitLink(url, { category });
+      }
+      for (const file of files) {
+        await jobs.submitFile(file.fileName, file.data, { category });
+      }
+      sendText(res, 200, 'Ok.');
+    } catch (err) {
+      logger.warn(`qBittorrent API add failed: ${err.message}`);
+      sendText(res, 200, 'Fails.');
+    }
+  }, { auth: false });
+
+  server.route('GET', '/api/v2/torrents/info', async (req, res) => {
+    requireSession(req);
+    let torrents = listTorrents();
+
+    if (req.query.category !== undefined) {
+      torrents = torrents.filter(torrent => torrent.category === req.query.category);
+    }
+
+    if (req.query.hashes) {
+      const hashes = new Set(req.query.hashes.toLowerCase().split('|'));
+      torrents = torrents.filter(torrent => hashes.has(torrent.hash));
+    }
+
+    const filter = req.query.filter || 'all';
+    if (filter === 'completed') {
+      torrents = torrents.filter(torrent => torrent.progress === 1);
+    } else if (filter === 'downloading') {
+      torrents = torrents.filter(torrent => torrent.progress < 1 && torrent.state !== 'error');
+    } else if (filter === 'errored') {
+      torrents = torrents.filter(torrent => torrent.state === 'error');
+    }
+
+    sendJson(res, 200, torrents);
+  }, { auth: false });
+
+  server.route('GET', '/api/v2/torrents/properties', async (req, res) => {
+    requireSession(req);
+    const torrent = listTorrents().find(t => t.hash === String(req.query.hash || '').toLowerCase());
+    if (!torrent) {
+      throw new HttpError(404, 'Torrent not found');
+    }
+
+    sendJson(res, 200, {
+      save_path: torrent.save_path,
+      total_size: torrent.total_size,
+      addition_date: torrent.added_on,
+      completion_date: torrent.completion_on,
+      seeding_time: 0,
+      share_ratio: 0
+    });
+  }, { auth: false });
+
+  server.route('POST', '/api/v2/torrents/delete', async (req, res) => {
+    requireSession(req);
+    const { fields } = await parseBody(req);
+    const deleteFiles = String(fields.deleteFiles) === 'true';
+
+    const matches = fields.hashes === 'all'
+      ? [...jobs.list(), ...jobs.listHistory()]
+      : String(fields.hashes || '').split('|').flatMap(hash => jobs.findByHash(hash));
+
+    for (const job of matches) {
+      try {
+        await jobs.remove(job.id, { deleteFiles });
+      } catch (err) {
+        logger.warn(`qBittorrent API could not delete ${job.name}: ${err.message}`);
+      }
+    }
+
+    sendText(res, 200, '');
+  }, { auth: false });
+
+  server.route('GET', '/api/v2/torrents/categories', async (req, res) => {
+    requireSession(req);
+    const categories = {};
+
+    for (const name of await jobs.listCategories()) {
+      categories[name] = { name, savePath: jobs.getSavePath(name) || '' };
+    }
+
+    sendJson(res, 200, categories);
+  }, { auth: false });
+
+  // Categories are watch folders; their save path is configured in CATEGORIES_FILE
+  server.route('POST', '/api/v2/torrents/createCategory', async (req, res) => {
+    requireSession(req);
+    const { fields } = await parseBody(req);
+    if (!fields.category) {
+      throw new HttpError(400, 'Missing category');
+    }
+
+    await fileOps.ensureDir(jobs.getCategoryDir(fields.category));
+    sendText(res, 200, '');
+  }, { auth: false });
+}
+
+export default registerQbittorrentRoutes;
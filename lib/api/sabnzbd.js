@@ -0,0 +1,259 @@
+// SABnzbd API emulation, enough for Usenet indexers and *arr apps to submit NZBs
+import debug from 'debug';
+const log = debug('patbrid:api:sabnzbd');
+import path from 'path';
+import logger from '../utils/logger.js';
+import { HttpError, parseBody, sendJson } from './http.js';
+
+const VERSION = '4.3.2';
+const NZO_PREFIX = 'SABnzbd_nzo_';
+const MB = 1024 * 1024;
+
+/**
+ * Format a byte count the way SABnzbd does (e.g. "1.4 GB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes || 0;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Map a job state to a SABnzbd queue status
+ * @param {Object} job - Job description
+ * @returns {string} - SABnzbd status
+ */
+function toSabStatus(job) {
+  switch (job.state) {
+    case 'queued':
+    case 'error':
+    case 'processing':
+    case 'pending':
+      return 'Queued';
+    case 'downloading':
+      return job.remoteStatus === 'queued' ? 'Queued' : 'Downloading';
+    case 'ready':
+      return 'Queued';
+    case 'downloaded':
+    case 'downloading_locally':
+      return 'Moving';
+    default:
+      return 'Downloading';
+  }
+}
+
+/**
+ * Register the SABnzbd API route
+ * @param {ApiServer} server - API server
+ * @param {JobService} jobs - Job service
+ */
+function registerSabnzbdRoutes(server, jobs) {
+  const isNzb = (job) => path.extname(job.file || '').toLowerCase() === '.nzb';
+  const toNzoId = (job) => `${NZO_PREFIX}${job.id}`;
+  const fromNzoId = (nzoId) => String(nzoId).trim().replace(NZO_PREFIX, '');
+
+  const filterCategory = (list, category) => {
+    if (!category || category === '*') return list;
+    return list.filter(job => job.category === category);
+  };
+
+  // Paging as in SABnzbd: start offset and limit
+  const page = (list, params) => {
+    const start = parseInt(params.start, 10) || 0;
+    const limit = parseInt(params.limit, 10) || 0;
+    return limit > 0 ? list.slice(start, start + limit) : list.slice(start);
+  };
+
+  const toQueueSlot = (job, index) => {
+    const size = job.size || job.estimatedSize || 0;
+    const left = size * (1 - job.progress);
+
+    return {
+      index,
+      nzo_id: toNzoId(job),
+      filename: job.name,
+      cat: job.category || '*',
+      status: toSabStatus(job),
+      priority: 'Normal',
+      percentage: String(Math.floor(job.progress * 100)),
+      mb: (size / MB).toFixed(2),
+      mbleft: (left / MB).toFixed(2),
+      size: formatSize(size),
+      sizeleft: formatSize(left),
+      timeleft: '0:00:00',
+      labels: job.error ? [job.error] : []
+    };
+  };
+
+  const toHistorySlot = (job) => {
+    const completed = job.state === 'completed';
+    const started = job.addedTime || job.finishedTime;
+
+    return {
+      nzo_id: toNzoId(job),
+      name: job.name,
+      nzb_name: path.basename(job.file || ''),
+      category: job.category || '*',
+      status: completed ? 'Completed' : 'Failed',
+      fail_message: completed ? '' : (job.error || 'Download failed'),
+      storage: job.path || '',
+      path: job.path || '',
+      bytes: job.size || 0,
+      size: formatSize(job.size),
+      completed: Math.floor(job.finishedTime / 1000),
+      download_time: Math.max(0, Math.round((job.finishedTime - started) / 1000))
+    };
+  };
+
+  // Cancelled jobs are deleted jobs in SABnzbd terms and don't appear in its history
+  const listHistory = () => jobs.listHistory().filter(job => isNzb(job) && job.state !== 'cancelled');
+
+  const deleteJobs = async (value, params) => {
+    const deleteFiles = ['1', 'true'].includes(String(params.del_files));
+    const ids = String(value || '').split(',').map(fromNzoId).filter(Boolean);
+    const deleted = [];
+
+    for (const id of ids) {
+      try {
+        await jobs.remove(id, { deleteFiles });
+        deleted.push(`${NZO_PREFIX}${id}`);
+      } catch (err) {
+        logger.warn(`SABnzbd API could not delete ${id}: ${err.message}`);
+      }
+    }
+
+    return { status: true, nzo_ids: deleted };
+  };
+
+  const modes = {
+    version: async () => ({ version: VERSION }),
+
+    get_config: async (params) => {
+      const categories = [{ name: '*', order: 0, pp: '3', script: 'None', dir: '', priority: -100 }];
+      for (const [index, name] of (await jobs.listCategories()).entries()) {
+        categories.push({ name, order: index + 1, pp: '', script: 'Default', dir: jobs.getSavePath(name) || '', priority: -100 });
+      }
+
+      const config = {
+        misc: {
+          complete_dir: jobs.getSavePath('') || '',
+          download_dir: '',
+          history_retention: '',
+          pre_check: 0,
+          enable_tv_sorting: 0,
+          enable_movie_sorting: 0,
+          enable_date_sorting: 0
+        },
+        categories
+      };
+
+      return { config: params.section ? { [params.section]: config[params.section] } : config };
+    },
+
+    addfile: async (params, files) => {
+      const upload = files.find(file => file.field === 'name' || file.field === 'nzbfile') || files[0];
+      if (!upload) {
+        throw new HttpError(400, 'expects one parameter');
+      }
+
+      const fileName = params.nzbname ? `${params.nzbname}.nzb` : upload.fileName;
+      const job = await jobs.submitFile(fileName, upload.data, { category: params.cat });
+      return { status: true, nzo_ids: [toNzoId(job)] };
+    },
+
+    addurl: async (params) => {
+      if (!params.name) {
+        throw new HttpError(400, 'expects one parameter');
+      }
+
+      const job = await jobs.submitRemoteFile(params.name, {
+        category: params.cat,
+        name: params.nzbname,
+        extension: '.nzb'
+      });
+      return { status: true, nzo_ids: [toNzoId(job)] };
+    },
+
+    queue: async (params) => {
+      if (params.name === 'delete') {
+        return await deleteJobs(params.value, params);
+      }
+
+      const active = filterCategory(jobs.list().filter(isNzb), params.category || params.cat);
+      const slots = page(active, params).map(toQueueSlot);
+      const totalBytes = active.reduce((sum, job) => sum + (job.size || job.estimatedSize || 0), 0);
+
+      return {
+        queue: {
+          status: slots.some(slot => slot.status === 'Downloading') ? 'Downloading' : 'Idle',
+          paused: false,
+          noofslots: active.length,
+          noofslots_total: active.length,
+          speed: '0',
+          kbpersec: '0.00',
+          speedlimit: '',
+          mb: (totalBytes / MB).toFixed(2),
+          timeleft: '0:00:00',
+          slots
+        }
+      };
+    },
+
+    history: async (params) => {
+      if (params.name === 'delete') {
+        return await deleteJobs(params.value, params);
+      }
+
+      const finished = filterCategory(listHistory(), params.category || params.cat);
+      return {
+        history: {
+          noofslots: finished.length,
+          slots: page(finished, params).map(toHistorySlot)
+        }
+      };
+    },
+
+    // Not a SABnzbd mode; kept as a shortcut for queue/history name=delete
+    delete: async (params) => await deleteJobs(params.value, params)
+  };
+
+  // SABnzbd takes its parameters from the query string or a form body
+  server.route('*', '/api', async (req, res) => {
+    const { fields, files } = await parseBody(req);
+    const params = { ...req.query, ...fields };
+
+    // Like SABnzbd, the version can be read without a key
+    if (params.mode !== 'version' && !server.isAuthorized(req) && !server.tokenMatches(params.apikey || '')) {
+      sendJson(res, 200, { status: false, error: 'API Key Incorrect' });
+      return;
+    }
+
+    // Own modes only, so names like "constructor" don't reach Object.prototype
+    const handler = Object.hasOwn(modes, params.mode) ? modes[params.mode] : null;
+    if (!handler) {
+      sendJson(res, 200, { status: false, error: 'not implemented' });
+      return;
+    }
+
+    log('mode', params.mode);
+    try {
+      sendJson(res, 200, await handler(params, files));
+    } catch (err) {
+      // SABnzbd reports errors in the body with a 200 status
+      if (!err.status || err.status >= 500) {
+        logger.error(`SABnzbd API ${params.mode} failed: ${err.message}`);
+      }
+      sendJson(res, 200, { status: false, error: err.message });
+    }
+  }, { auth: false });
+}
+
+export default registerSabnzbdRoutes;
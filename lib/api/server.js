@@ -0,0 +1,176 @@
+// Embedded HTTP server for the control API and download client emulations
+import debug from 'debug';
+const log = debug('patbrid:api:server');
+import http from 'http';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { HttpError, sendJson } from './http.js';
+
+class ApiServer {
+  /**
+   * @param {Object} options - Options object
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Address to bind to
+   * @param {string} options.token - API token; authentication is disabled when empty
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.port = options.port || 8080;
+    this.host = options.host || '0.0.0.0';
+    this.token = options.token || '';
+    this.routes = [];
+    this.server = null;
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method, or '*' for any method
+   * @param {string} pattern - Path pattern, ':name' segments become params
+   * @param {function} handler - async (req, res) handler
+   * @param {Object} options - Options object
+   * @param {boolean} options.auth - Require the API token (default: true)
+   */
+  route(method, pattern, handler, options = {}) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/\/:([^/]+)/g, (_, key) => {
+      keys.push(key);
+      return '/([^/]+)';
+    }) + '/?$');
+
+    this.routes.push({
+      method: method.toUpperCase(),
+      regex,
+      keys,
+      handler,
+      auth: options.auth !== false
+    });
+  }
+
+  /**
+   * Check the API token of a request. The token can be sent as a bearer token,
+   * in the X-Api-Key header or as the apikey/token query parameter.
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} - True if the request is authorized
+   */
+  isAuthorized(req) {
+    if (!this.token) return true;
+
+    const authorization = req.headers.authorization || '';
+    const candidates = [
+      authorization.startsWith('Bearer ') ? authorization.slice(7) : null,
+      req.headers['x-api-key'],
+      req.query.apikey,
+      req.query.token
+    ];
+
+    return candidates.some(candidate => typeof candidate === 'string' && this.tokenMatches(candidate));
+  }
+
+  /**
+   * Compare a value against the API token in constant time
+   * @param {string} value - Value to compare
+   * @returns {boolean} - True if the value equals the token
+   */
+  tokenMatches(value) {
+    if (!this.token) return true;
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(String(value));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async handle(req, res) {
+    req.path = req.url;
+    req.query = {};
+
+    try {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (err) {
+        // e.g. "//", which parses as a URL without a host
+        throw new HttpError(400, 'Invalid request URL');
+      }
+      req.path = url.pathname;
+      req.query = Object.fromEntries(url.searchParams);
+
+      log('request', req.method, req.path);
+
+      const pathMatches = this.routes.filter(route => route.regex.test(req.path));
+      const route = pathMatches.find(r => r.method === req.method || r.method === '*');
+
+      if (!route) {
+        throw new HttpError(pathMatches.length > 0 ? 405 : 404, pathMatches.length > 0 ? 'Method not allowed' : 'Not found');
+      }
+
+      if (route.auth && !this.isAuthorized(req)) {
+        throw new HttpError(401, 'Unauthorized');
+      }
+
+      const match = route.regex.exec(req.path);
+      req.params = {};
+      route.keys.forEach((key, i) => {
+        try {
+          req.params[key] = decodeURIComponent(match[i + 1]);
+        } catch (err) {
+          // Malformed percent-encoding, e.g. "%zz"
+          throw new HttpError(400, `Invalid ${key} in path`);
+        }
+      });
+
+      await route.handler(req, res);
+    } catch (err) {
+      const status = err.status || 500;
+      if (status >= 500) {
+        logger.error(`API error on ${req.method} ${req.path}: ${err.message}`);
+      } else {
+        logger.debug(`API ${status} on ${req.method} ${req.path}: ${err.message}`);
+      }
+
+      if (!res.headersSent) {
+        sendJson(res, status, { error: err.message });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      // handle() answers errors itself; this only catches failures while answering
+      this.handle(req, res).catch(err => {
+        logger.error(`API error on ${req.method} ${req.url}: ${err.message}`);
+        if (!res.headersSent) res.statusCode = 500;
+        res.end();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    logger.success(`API server listening on ${this.host}:${this.port}${this.token ? ' (token required)' : ''}`);
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    logger.info('API server stopped');
+  }
+}
+
+export default ApiServer;
@@ -0,0 +1,259 @@
+// Transmission RPC emulation for clients that only speak the Transmission protocol
+import debug from 'debug';
+const log = debug('patbrid:api:transmission');
+import crypto from 'crypto';
+import path from 'path';
+import logger from '../utils/logger.js';
+import torrentParser from '../parsers/torrent.js';
+import magnet from '../parsers/magnet.js';
+import { HttpError, parseBody, sendJson, sendText } from './http.js';
+
+const VERSION = '4.0.5 (a6fe2a64aa)';
+const RPC_VERSION = 17;
+const SESSION_HEADER = 'x-transmission-session-id';
+const UNKNOWN_ETA = -2; // Transmission's "unknown" ETA
+
+// Transmission torrent status codes
+const STATUS = {
+  STOPPED: 0,
+  DOWNLOAD_WAIT: 3,
+  DOWNLOAD: 4
+};
+
+// Methods accepted without effect; seeding and bandwidth settings don't apply to Offcloud jobs
+const NOOP_METHODS = ['torrent-set', 'torrent-start', 'torrent-start-now', 'torrent-stop', 'session-set',
+  'queue-move-top', 'queue-move-up', 'queue-move-down', 'queue-move-bottom'];
+
+/**
+ * Map a job state to a Transmission status code
+ * @param {Object} job - Job description
+ * @returns {number} - Transmission status
+ */
+function toTransmissionStatus(job) {
+  switch (job.state) {
+    case 'queued':
+    case 'error':
+    case 'processing':
+    case 'pending':
+      return STATUS.DOWNLOAD_WAIT;
+    case 'downloading':
+      return job.remoteStatus === 'queued' ? STATUS.DOWNLOAD_WAIT : STATUS.DOWNLOAD;
+    case 'ready':
+      return STATUS.DOWNLOAD_WAIT;
+    case 'downloaded':
+    case 'downloading_locally':
+      return STATUS.DOWNLOAD;
+    default:
+      return STATUS.STOPPED;
+  }
+}
+
+/**
+ * Register the Transmission RPC route
+ * @param {ApiServer} server - API server
+ * @param {JobService} jobs - Job service
+ */
+function registerTransmissionRoutes(server, jobs) {
+  const sessionId = crypto.randomBytes(24).toString('base64url');
+
+  // Basic auth as sent by Transmission clients (any username, API token as password), or the regular API token
+  const isAuthorized = (req) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      return server.tokenMatches(credentials.slice(credentials.indexOf(':') + 1));
+    }
+    return server.isAuthorized(req);
+  };
+
+  // Transmission IDs are integers; derive a stable one from the job hash
+  const idOf = (job) => parseInt(jobs.hashOf(job).slice(0, 7), 16);
+
+  // Cancelled jobs were removed by the user and aren't shown
+  const listJobs = () => [...jobs.list(), ...jobs.listHistory().filter(job => job.state !== 'cancelled')];
+
+  const toTorrent = (job) => {
+    const finished = job.state === 'completed';
+    const failed = job.state === 'failed';
+    const size = job.size || job.estimatedSize || 0;
+    const left = Math.round(size * (1 - job.progress));
+    const downloadDir = finished && job.path ? path.dirname(job.path) : (jobs.getSavePath(job.category) || '');
+
+    return {
+      id: idOf(job),
+      hashString: jobs.hashOf(job),
+      name: job.name,
+      status: toTransmissionStatus(job),
+      percentDone: job.progress,
+      totalSize: size,
+      sizeWhenDone: size,
+      leftUntilDone: left,
+      downloadedEver: size - left,
+      uploadedEver: 0,
+      uploadRatio: 0,
+      downloadDir,
+      labels: job.category ? [job.category] : [],
+      error: failed ? 3 : 0,
+      errorString: failed ? (job.error || 'Download failed') : '',
+      eta: finished || failed ? -1 : UNKNOWN_ETA,
+      isFinished: finished,
+      addedDate: Math.floor((job.addedTime || Date.now()) / 1000),
+      doneDate: finished ? Math.floor(job.finishedTime / 1000) : 0,
+      rateDownload: 0,
+      rateUpload: 0,
+      seedRatioLimit: 0,
+      seedRatioMode: 0,
+      seedIdleLimit: 0,
+      seedIdleMode: 0,
+      secondsDownloading: 0,
+      secondsSeeding: 0,
+      fileCount: job.files ? job.files.length : 0,
+      queuePosition: 0
+    };
+  };
+
+  // ids can be a single id, an array of ids/hashes or "recently-active"
+  const selectJobs = (ids) => {
+    const all = listJobs();
+    if (ids === undefined || ids === 'recently-active') return all;
+
+    const wanted = (Array.isArray(ids) ? ids : [ids]).map(id => String(id).toLowerCase());
+    return all.filter(job => wanted.includes(String(idOf(job))) || wanted.includes(jobs.hashOf(job)));
+  };
+
+  // Category from the labels, or from a download-dir matching a category's completed folder
+  const resolveCategory = async (args) => {
+    if (Array.isArray(args.labels) && args.labels.length > 0) {
+      return String(args.labels[0]);
+    }
+
+    if (args['download-dir']) {
+      const dir = path.resolve(args['download-dir']);
+      for (const name of await jobs.listCategories()) {
+        if (jobs.getSavePath(name) === dir) return name;
+      }
+    }
+    return '';
+  };
+
+  const addTorrent = async (args) => {
+    const category = await resolveCategory(args);
+    const magnetLink = String(args.filename || '').startsWith('magnet:') ? args.filename : null;
+
+    let data = null;
+    let name = `upload_${Date.now()}`;
+    let hash = null;
+
+    if (args.metainfo) {
+      data = Buffer.from(args.metainfo, 'base64');
+      try {
+        const parsed = torrentParser.parseTorrent(data);
+        hash = parsed.infoHash;
+        if (parsed.name) name = parsed.name;
+      } catch (err) {
+        throw new HttpError(400, `invalid or corrupt torrent file: ${err.message}`);
+      }
+    } else if (magnetLink) {
+      hash = (magnet.parseMagnet(magnetLink) || {}).infoHash;
+    } else if (!args.filename) {
+      throw new HttpError(400, 'no filename or metainfo specified');
+    }
+
+    // Transmission reports torrents it already has instead of adding them again
+    const existing = hash ? jobs.list().find(job => jobs.hashOf(job) === hash) : null;
+    if (existing) {
+      return { 'torrent-duplicate': { id: idOf(existing), hashString: hash, name: existing.name } };
+    }
+
+    let job;
+    if (data) {
+      job = await jobs.submitFile(`${name}.torrent`, data, { category });
+    } else if (magnetLink) {
+      job = await jobs.submitLink(magnetLink, { category });
+    } else {
+      job = await jobs.submitRemoteFile(args.filename, { category, extension: '.torrent' });
+    }
+
+    return { 'torrent-added': { id: idOf(job), hashString: jobs.hashOf(job), name: job.name } };
+  };
+
+  const methods = {
+    'session-get': async () => ({
+      version: VERSION,
+      'rpc-version': RPC_VERSION,
+      'rpc-version-minimum': 14,
+      'session-id': sessionId,
+      'download-dir': jobs.getSavePath('') || '',
+      'incomplete-dir-enabled': false,
+      seedRatioLimit: 0,
+      seedRatioLimited: false,
+      'idle-seeding-limit': 0,
+      'idle-seeding-limit-enabled': false,
+      'download-queue-enabled': false
+    }),
+
+    'torrent-add': addTorrent,
+
+    'torrent-get': async (args) => {
+      const fields = Array.isArray(args.fields) ? args.fields : null;
+      const torrents = selectJobs(args.ids).map(job => {
+        const torrent = toTorrent(job);
+        return fields ? Object.fromEntries(fields.filter(field => field in torrent).map(field => [field, torrent[field]])) : torrent;
+      });
+      return { torrents, removed: [] };
+    },
+
+    'torrent-remove': async (args) => {
+      const deleteFiles = args['delete-local-data'] === true;
+      for (const job of selectJobs(args.ids)) {
+        try {
+          await jobs.remove(job.id, { deleteFiles });
+        } catch (err) {
+          logger.warn(`Transmission RPC could not remove ${job.name}: ${err.message}`);
+        }
+      }
+      return {};
+    }
+  };
+
+  server.route('*', '/transmission/rpc', async (req, res) => {
+    if (!isAuthorized(req)) {
+      sendText(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="Transmission"' });
+      return;
+    }
+
+    // CSRF protection handshake: clients retry with the session ID from the 409
+    if (req.headers[SESSION_HEADER] !== sessionId) {
+      sendText(res, 409, `${SESSION_HEADER}: ${sessionId}`, { 'X-Transmission-Session-Id': sessionId });
+      return;
+    }
+
+    const { fields: request } = await parseBody(req);
+    const respond = (result, args = {}) => sendJson(res, 200, { result, arguments: args, tag: request.tag });
+
+    log('method', request.method);
+    if (NOOP_METHODS.includes(request.method)) {
+      respond('success');
+      return;
+    }
+
+    // Own methods only, so names like "constructor" don't reach Object.prototype
+    const handler = Object.hasOwn(methods, request.method) ? methods[request.method] : null;
+    if (!handler) {
+      respond('method name not recognized');
+      return;
+    }
+
+    try {
+      respond('success', await handler(request.arguments || {}));
+    } catch (err) {
+      // Transmission reports failures in the result string with a 200 status
+      if (!err.status || err.status >= 500) {
+        logger.error(`Transmission RPC ${request.method} failed: ${err.message}`);
+      }
+      respond(err.message);
+    }
+  }, { auth: false });
+}
+
+export default registerTransmissionRoutes;
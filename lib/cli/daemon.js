@@ -0,0 +1,126 @@
+// CLI backend talking to a running daemon through the control API
+import debug from 'debug';
+const log = debug('patbrid:cli:daemon');
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import FormData from 'form-data';
+
+class DaemonClient {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.url - Base URL of the control API
+   * @param {string} options.token - API token
+   */
+  constructor(options = {}) {
+    log('ctor', options.url);
+    this.http = axios.create({
+      baseURL: `${options.url.replace(/\/+$/, '')}/api/v1`,
+      timeout: 30000,
+      headers: options.token ? { Authorization: `Bearer ${options.token}` } : {}
+    });
+  }
+
+  /**
+   * Run a control API request and unwrap its response
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} - Response body
+   */
+  async request(config) {
+    try {
+      const response = await this.http.request(config);
+      return response.data;
+    } catch (err) {
+      if (err.response) {
+        const message = err.response.data && err.response.data.error ? err.response.data.error : err.message;
+        throw new Error(`${message} (HTTP ${err.response.status})`);
+      }
+      if (err.code === 'ECONNREFUSED') {
+        throw new Error(`Daemon not reachable at ${this.http.defaults.baseURL}; is API_ENABLED set, or did you mean --direct?`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Submit a magnet link, URL or a .torrent/.nzb/.magnet/.url file
+   * @param {string} source - Link or file path
+   * @param {Object} options - Options object
+   * @param {string} options.category - Category name
+   * @returns {Promise<Object>} - Job description
+   */
+  async add(source, options = {}) {
+    const extension = path.extname(source).toLowerCase();
+
+    if (/^(magnet:|https?:\/\/)/i.test(source)) {
+      return await this.request({ method: 'POST', url: '/jobs', data: { link: source, category: options.category } });
+    }
+
+    // Link files are submitted by their contents so the daemon doesn't need access to the path
+    if (extension === '.magnet' || extension === '.url') {
+      const link = (await fs.promises.readFile(source, 'utf8')).trim();
+      const name = path.basename(source, path.extname(source));
+      return await this.request({ method: 'POST', url: '/jobs', data: { link, name, category: options.category } });
+    }
+
+    const form = new FormData();
+    form.append('file', await fs.promises.readFile(source), path.basename(source));
+    if (options.category) form.append('category', options.category);
+
+    return await this.request({ method: 'POST', url: '/jobs', data: form, headers: form.getHeaders() });
+  }
+
+  /**
+   * Get the status of one job, or queue statistics with all active jobs
+   * @param {string} id - Job identifier (optional)
+   * @returns {Promise<Object>} - Job, or { stats, jobs }
+   */
+  async status(id) {
+    if (id) {
+      return await this.request({ url: `/jobs/${encodeURIComponent(id)}` });
+    }
+
+    const queue = await this.request({ url: '/queue' });
+    const jobs = await this.request({ url: '/jobs' });
+    return { stats: queue.stats, jobs: jobs.items };
+  }
+
+  async queue() {
+    return (await this.request({ url: '/jobs' })).items;
+  }
+
+  async history() {
+    return (await this.request({ url: '/history' })).items;
+  }
+
+  async cancel(id) {
+    return await this.request({ method: 'DELETE', url: `/jobs/${encodeURIComponent(id)}` });
+  }
+
+  async retry(id) {
+    return await this.request({ method: 'POST', url: `/jobs/${encodeURIComponent(id)}/retry` });
+  }
+
+  /**
+   * Remove old completed downloads from Offcloud
+   * @param {number} maxAgeHours - Maximum age in hours
+   * @returns {Promise<Object>} - { cleanedCount, cleanedSpace, errors }
+   */
+  async cleanup(maxAgeHours) {
+    return await this.request({ method: 'POST', url: '/cleanup', data: { maxAgeHours } });
+  }
+
+  /**
+   * Show or change the download bandwidth limits
+   * @param {Object} settings - { limit, jobLimit } to change, empty to only show them
+   * @returns {Promise<Object>} - Bandwidth status
+   */
+  async bandwidth(settings = {}) {
+    if (settings.limit === undefined && settings.jobLimit === undefined) {
+      return await this.request({ method: 'GET', url: '/bandwidth' });
+    }
+    return await this.request({ method: 'PUT', url: '/bandwidth', data: settings });
+  }
+}
+
+export default DaemonClient;
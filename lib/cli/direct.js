@@ -0,0 +1,150 @@
+// CLI backend running one-shot against the Offcloud API, without a daemon
+import debug from 'debug';
+const log = debug('patbrid:cli:direct');
+import fs from 'fs';
+import path from 'path';
+import OffCloudAPI from '../watchers/offcloud/offcloudapi.js';
+import OffCloudQueueManager from '../watchers/offcloud/queuemanager.js';
+
+/**
+ * Describe an Offcloud cloud history item in the job format of the control API
+ * @param {Object} item - Cloud history item
+ * @returns {Object} - Job description
+ */
+function describeCloudItem(item) {
+  const size = parseInt(item.fileSize, 10) || 0;
+  const amount = parseInt(item.amount, 10) || 0;
+
+  return {
+    id: item.requestId,
+    requestId: item.requestId,
+    name: item.fileName,
+    category: '',
+    state: item.status,
+    remoteStatus: item.status,
+    size,
+    progress: item.status === 'downloaded' ? 1 : (size > 0 ? amount / size : 0),
+    addedTime: item.createdOn ? new Date(item.createdOn).getTime() : null,
+    error: item.status === 'error' ? (item.errorMessage || 'Download failed') : null
+  };
+}
+
+class DirectClient {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.apiKey - Offcloud API key
+   */
+  constructor(options = {}) {
+    log('ctor');
+    if (!options.apiKey) {
+      throw new Error('OFFCLOUD_API_KEY must be set to run without the daemon');
+    }
+    this.client = new OffCloudAPI(options.apiKey);
+  }
+
+  async listCloud() {
+    const history = await this.client.cloudHistory();
+    if (!Array.isArray(history)) {
+      throw new Error('Invalid history format received from API');
+    }
+    return history.map(describeCloudItem);
+  }
+
+  /**
+   * Submit a magnet link, URL or a .torrent/.nzb/.magnet/.url file to Offcloud.
+   * Nothing is downloaded locally; the daemon adopts or cleans up the result.
+   * @param {string} source - Link or file path
+   * @returns {Promise<Object>} - Job description
+   */
+  async add(source) {
+    const extension = path.extname(source).toLowerCase();
+    let link = source;
+
+    if (extension === '.magnet' || extension === '.url') {
+      link = (await fs.promises.readFile(source, 'utf8')).trim();
+    }
+
+    let result;
+    if (/^(magnet:|https?:\/\/)/i.test(link)) {
+      result = await this.client.addCloud(link);
+    } else {
+      // Same two steps as OffCloudTorrent: upload the file, then add its URL
+      const upload = await this.client.addFile(source);
+      if (upload.success !== true) {
+        throw new Error(`Failed to add file: ${JSON.stringify(upload)}`);
+      }
+      result = extension === '.nzb'
+        ? await this.client.addUsenet(upload.url, upload.fileName)
+        : await this.client.addCloud(upload.url);
+    }
+
+    if (!result || !result.requestId) {
+      throw new Error(`Offcloud did not accept ${source}: ${JSON.stringify(result)}`);
+    }
+    return describeCloudItem(result);
+  }
+
+  /**
+   * Get the status of one cloud download, or counts of all of them
+   * @param {string} id - Offcloud request ID (optional)
+   * @returns {Promise<Object>} - Job, or { stats, jobs }
+   */
+  async status(id) {
+    if (id) {
+      const info = await this.client.CloudStatus(id);
+      if (!info || !info.status) {
+        throw new Error(`Download ${id} not found`);
+      }
+      return describeCloudItem({ requestId: id, ...info.status });
+    }
+
+    const jobs = await this.listCloud();
+    const stats = { totalItems: jobs.length };
+    for (const job of jobs) {
+      stats[job.state] = (stats[job.state] || 0) + 1;
+    }
+    stats.usedSpace = jobs.reduce((sum, job) => sum + job.size, 0);
+    return { stats, jobs: jobs.filter(job => job.state !== 'downloaded') };
+  }
+
+  async queue() {
+    return (await this.listCloud()).filter(job => job.state !== 'downloaded');
+  }
+
+  async history() {
+    return (await this.listCloud()).sort((a, b) => (b.addedTime || 0) - (a.addedTime || 0));
+  }
+
+  async cancel(id) {
+    await this.client.delete(id);
+    return { id, name: id };
+  }
+
+  async retry(id) {
+    const result = await this.client.retryDownload(id);
+    if (result && result.success === false) {
+      throw new Error(result.message || `Could not retry ${id}`);
+    }
+    return { id, name: id };
+  }
+
+  /**
+   * Remove old completed downloads from Offcloud
+   * @param {number} maxAgeHours - Maximum age in hours
+   * @returns {Promise<Object>} - { cleanedCount, cleanedSpace, errors }
+   */
+  async cleanup(maxAgeHours) {
+    const queueManager = new OffCloudQueueManager(this.client, 1);
+    try {
+      return await queueManager.cleanupCompletedDownloads(maxAgeHours);
+    } finally {
+      queueManager.cleanup();
+    }
+  }
+
+  async bandwidth() {
+    throw new Error('Bandwidth limits belong to the daemon; run limit without --direct');
+  }
+}
+
+export default DirectClient;
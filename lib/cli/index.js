@@ -0,0 +1,248 @@
+// offcloud-downloader command-line interface
+import DaemonClient from './daemon.js';
+import DirectClient from './direct.js';
+
+const USAGE = `Usage: offcloud-downloader <command> [options]
+
+Commands:
+  add <magnet|url|file>       Submit a magnet link, URL or .torrent/.nzb/.magnet/.url file
+  status [id]                 Show queue statistics, or the status of one job
+  queue                       List queued and active jobs
+  cancel <id>                 Cancel a job
+  retry <id>                  Retry a queued, failed or cancelled job
+  cleanup [--older-than 12h]  Remove completed downloads from Offcloud (default: 24h)
+  history                     List finished jobs
+  limit [rate|off|auto]       Show or set the download limit (e.g. 5MB); auto returns to the configured limit/schedule
+
+Options:
+  --url <url>          Control API of the daemon (default: API_URL or http://127.0.0.1:API_PORT)
+  --token <token>      Control API token (default: API_TOKEN)
+  --direct             Run against the Offcloud API without the daemon (uses OFFCLOUD_API_KEY)
+  --category <name>    Category for add
+  --job <rate>         Per-job download limit for limit (also off or auto)
+  --json               Print raw JSON
+  -h, --help           Show this help`;
+
+const COMMANDS = ['add', 'status', 'queue', 'cancel', 'retry', 'cleanup', 'history', 'limit'];
+
+// Options that take a value
+const VALUE_OPTIONS = ['url', 'token', 'category', 'older-than', 'job'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without node and the script
+ * @returns {Object} - { command, args, options }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (VALUE_OPTIONS.includes(key)) {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+          throw new Error(`--${key} expects a value`);
+        }
+        options[key] = value;
+      } else {
+        options[key] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+/**
+ * Parse a duration like 12h, 30m, 2d or 90s into hours; plain numbers are hours
+ * @param {string} value - Duration
+ * @returns {number} - Hours
+ */
+function parseHours(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration '${value}', expected e.g. 12h, 30m or 2d`);
+  }
+
+  const units = { s: 1 / 3600, m: 1 / 60, h: 1, d: 24, w: 168, '': 1 };
+  return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
+function formatSize(bytes) {
+  if (!bytes) return '-';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function formatRate(bytesPerSecond) {
+  return bytesPerSecond ? `${formatSize(bytesPerSecond)}/s` : 'unlimited';
+}
+
+// "auto" goes back to the configured limit, anything else is a rate for the daemon to parse
+function toLimitSetting(value) {
+  return value === undefined ? undefined : (value === 'auto' ? null : value);
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+/**
+ * Print rows as an aligned table
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<Array>} columns - [header, row => value] pairs
+ */
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(([, get]) => String(get(row) ?? '-')));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...cells.map(line => line[i].length)));
+  const format = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(columns.map(([header]) => header)));
+  cells.forEach(line => console.log(format(line)));
+}
+
+const JOB_COLUMNS = [
+  ['ID', job => job.id],
+  ['STATE', job => job.remoteStatus && job.remoteStatus !== job.state ? `${job.state}/${job.remoteStatus}` : job.state],
+  ['PROGRESS', job => `${Math.floor((job.progress || 0) * 100)}%`],
+  ['SIZE', job => formatSize(job.size || job.estimatedSize)],
+  ['CATEGORY', job => job.category || '-'],
+  ['NAME', job => job.name]
+];
+
+const HISTORY_COLUMNS = [
+  ['ID', job => job.id],
+  ['STATE', job => job.state],
+  ['FINISHED', job => formatTime(job.finishedTime || job.addedTime)],
+  ['SIZE', job => formatSize(job.size)],
+  ['CATEGORY', job => job.category || '-'],
+  ['NAME', job => job.error ? `${job.name} (${job.error})` : job.name]
+];
+
+function printJob(job) {
+  const entries = Object.entries(job).filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0));
+  const width = Math.max(...entries.map(([key]) => key.length));
+
+  for (const [key, value] of entries) {
+    console.log(`${key.padEnd(width)}  ${Array.isArray(value) ? value.join(', ') : value}`);
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and the script
+ * @param {Object} env - Environment variables
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 2;
+  }
+
+  const { command, args, options } = parsed;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command '${command}'\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const requireId = () => {
+    if (!args[0]) throw new Error(`${command} expects a job ID`);
+    return args[0];
+  };
+
+  try {
+    const client = options.direct
+      ? new DirectClient({ apiKey: env.OFFCLOUD_API_KEY })
+      : new DaemonClient({
+        url: options.url || env.API_URL || `http://127.0.0.1:${env.API_PORT || 8080}`,
+        token: options.token || env.API_TOKEN || ''
+      });
+
+    let result;
+    let print;
+
+    switch (command) {
+      case 'add':
+        if (!args[0]) throw new Error('add expects a magnet link, URL or file');
+        result = await client.add(args[0], { category: options.category });
+        print = () => console.log(`Queued ${result.name} (${result.id})`);
+        break;
+      case 'status':
+        result = await client.status(args[0]);
+        print = () => {
+          if (args[0]) return printJob(result);
+          printJob(result.stats);
+          console.log('');
+          printTable(result.jobs, JOB_COLUMNS);
+        };
+        break;
+      case 'queue':
+        result = await client.queue();
+        print = () => printTable(result, JOB_COLUMNS);
+        break;
+      case 'history':
+        result = await client.history();
+        print = () => printTable(result, HISTORY_COLUMNS);
+        break;
+      case 'cancel':
+        result = await client.cancel(requireId());
+        print = () => console.log(`Cancelled ${result.name} (${result.id})`);
+        break;
+      case 'retry':
+        result = await client.retry(requireId());
+        print = () => console.log(`Retrying ${result.name} (${result.id})`);
+        break;
+      case 'cleanup': {
+        const hours = parseHours(options['older-than'] || '24h');
+        result = await client.cleanup(hours);
+        print = () => console.log(`Removed ${result.cleanedCount} downloads (${formatSize(result.cleanedSpace)}) older than ${hours}h${result.errors ? `, ${result.errors} errors` : ''}`);
+        break;
+      }
+      case 'limit':
+        result = await client.bandwidth({ limit: toLimitSetting(args[0]), jobLimit: toLimitSetting(options.job) });
+        print = () => {
+          const source = result.override !== null ? 'set at runtime'
+            : (result.activeWindow ? `schedule ${result.activeWindow}` : 'configured');
+          console.log(`Download limit: ${formatRate(result.limit)} (${source}), per job: ${formatRate(result.jobLimit)}`);
+        };
+        break;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      print();
+    }
+
+    return command === 'cleanup' && result.errors > 0 ? 1 : 0;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+}
+
+export { parseArgs, parseHours, run };
@@ -0,0 +1,96 @@
+// Rules for which files of a job are downloaded
+import debug from 'debug';
+const log = debug('patbrid:downloaders:filter');
+import glob from '../../utils/glob.js';
+
+class FileFilter {
+  /**
+   * @param {Object} options - Options object
+   * @param {Array<string>} options.include - Only download files matching one of these globs or /regex/ patterns
+   * @param {Array<string>} options.exclude - Never download files matching one of these patterns
+   * @param {number} options.minSize - Skip files smaller than this many bytes, 0 for no minimum
+   * @param {boolean} options.largestOnly - Only download the largest file of a job
+   * @param {Categories} options.categories - Categories; a category's files setting overrides the defaults
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+    this.minSize = options.minSize || 0;
+    this.largestOnly = options.largestOnly || false;
+    this.categories = options.categories || null;
+  }
+
+  /**
+   * Get the filter settings of a category. A category can set "files" to
+   * { "include": [...], "exclude": [...], "minSize": 0, "largestOnly": true }
+   * to override single settings.
+   * @param {string} category - Category name
+   * @returns {Object} - { include, exclude, minSize, largestOnly }
+   */
+  getSettings(category) {
+    const defaults = {
+      include: this.include,
+      exclude: this.exclude,
+      minSize: this.minSize,
+      largestOnly: this.largestOnly
+    };
+    const setting = this.categories ? this.categories.get(category).files : undefined;
+
+    if (!setting) return defaults;
+    return {
+      include: setting.include !== undefined ? [].concat(setting.include) : defaults.include,
+      exclude: setting.exclude !== undefined ? [].concat(setting.exclude) : defaults.exclude,
+      minSize: setting.minSize !== undefined ? parseInt(setting.minSize, 10) || 0 : defaults.minSize,
+      largestOnly: setting.largestOnly !== undefined ? setting.largestOnly === true : defaults.largestOnly
+    };
+  }
+
+  /**
+   * Check if the settings need the file sizes
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {boolean} - True for a minimum size or the largest file only mode
+   */
+  needsSizes(settings) {
+    return settings.minSize > 0 || settings.largestOnly;
+  }
+
+  /**
+   * Split the files of a job into the ones to download and the ones to skip.
+   * Patterns are matched against the file name and its path in the job, so
+   * both "*.nfo" and "Extras/**" work. Files of unknown size are kept.
+   * @param {Array<Object>} files - { link, path, size } per file, size null if unknown
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} - { selected, skipped }, skipped files with a reason
+   */
+  apply(files, settings) {
+    const selected = [];
+    const skipped = [];
+    const matches = (file, patterns) =>
+      glob.matchesAny(file.path.split('/').pop(), patterns) || glob.matchesAny(file.path, patterns);
+
+    for (const file of files) {
+      if (settings.include.length > 0 && !matches(file, settings.include)) {
+        skipped.push({ ...file, reason: 'not included' });
+      } else if (matches(file, settings.exclude)) {
+        skipped.push({ ...file, reason: 'excluded' });
+      } else if (settings.minSize > 0 && file.size !== null && file.size < settings.minSize) {
+        skipped.push({ ...file, reason: 'smaller than the minimum size' });
+      } else {
+        selected.push(file);
+      }
+    }
+
+    if (settings.largestOnly && selected.length > 1 && selected.some(file => file.size !== null)) {
+      const largest = selected.reduce((a, b) => (b.size || 0) > (a.size || 0) ? b : a);
+      for (const file of selected.filter(file => file !== largest)) {
+        skipped.push({ ...file, reason: 'not the largest file' });
+      }
+      return { selected: [largest], skipped };
+    }
+
+    return { selected, skipped };
+  }
+}
+
+export default FileFilter;
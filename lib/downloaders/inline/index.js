@@ -3,23 +3,143 @@ const log = debug('patbrid:downloaders:inline');
 import fs from 'fs';
 import path from 'path';
 import axios from 'axios';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import fileOps from '../../utils/fileOperations.js';
-import { withRetry } from '../../utils/retry.js';
+import metrics from '../../utils/metrics.js';
+import { withRetry, isRetriableError } from '../../utils/retry.js';
+import Semaphore from '../../utils/semaphore.js';
+
+const downloadedBytes = metrics.counter('downloaded_bytes_total', 'Bytes downloaded from Offcloud to the local disk');
+const downloadThroughput = metrics.rate('download_throughput_bytes', 'Local download throughput in bytes per second over the last 30 seconds');
+const downloadedFiles = metrics.counter('downloaded_files_total', 'Files downloaded from Offcloud, by result');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+const PROGRESS_UPDATE_INTERVAL = 10000; // Log progress every 10 seconds
+
+/**
+ * Split a file into ranges of about the same size
+ * @param {number} total - File size
+ * @param {number} count - Number of segments
+ * @returns {Array<Object>} - { start, end, received } per segment, end inclusive
+ */
+function splitSegments(total, count) {
+  const segmentSize = Math.ceil(total / count);
+  const segments = [];
+  for (let start = 0; start < total; start += segmentSize) {
+    segments.push({ start, end: Math.min(start + segmentSize, total) - 1, received: 0 });
+  }
+  return segments;
+}
+
+/**
+ * Create an error the next download attempt recovers from, by continuing or
+ * restarting the partial file
+ * @param {string} message - Error message
+ * @returns {Error} - Error marked for a retry
+ */
+function restartError(message) {
+  const err = new Error(message);
+  err.restart = true;
+  return err;
+}
+
+/**
+ * Get the decoded segments of a link's path
+ * @param {string} link - Download link
+ * @returns {Array<string>} - Path segments, the file name last
+ */
+function linkSegments(link) {
+  let pathname;
+  try {
+    pathname = new URL(link).pathname;
+  } catch (err) {
+    pathname = link.split('?')[0];
+  }
+
+  return pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (err) {
+      return segment;
+    }
+  });
+}
+
+/**
+ * Get the folder of each link relative to the folders all links share. The
+ * links of a multi-file job carry its remote layout in their path, like
+ * ".../<requestId>/<name>/Season 1/Episode 1.mkv", so this leaves "Season 1".
+ * @param {Array<string>} links - Download links
+ * @returns {Map<string, string>} - Relative folder by link, '' for the job folder itself
+ */
+function relativeFolders(links) {
+  const folders = links.map(link => linkSegments(link).slice(0, -1));
+  let common = 0;
+  while (folders.length > 0 &&
+         folders.every(segments => segments.length > common && segments[common] === folders[0][common])) {
+    common++;
+  }
+  return new Map(links.map((link, index) => [link, folders[index].slice(common).join('/')]));
+}
+
+/**
+ * Pick the validator for an If-Range header; weak ETags aren't allowed there
+ * @param {Object} partial - Partial download info
+ * @returns {string|null} - ETag or Last-Modified date
+ */
+function ifRangeValidator(partial) {
+  return partial.etag && !partial.etag.startsWith('W/') ? partial.etag : partial.lastModified || null;
+}
 
 class InlineDownloader {
-  constructor(watch, downloadPath, inProgressPath = null, completedPath = null) {
+  /**
+   * @param {string} watch - Watch directory
+   * @param {string} downloadPath - Legacy download directory
+   * @param {string} inProgressPath - Directory for in-progress downloads
+   * @param {string} completedPath - Directory for completed downloads
+   * @param {Object} options - Options object
+   * @param {Categories} options.categories - Categories for completed folders
+   * @param {number} options.segments - Connections per file for segmented downloads, 1 to disable
+   * @param {number} options.segmentMinSize - Smallest file size downloaded in segments (bytes)
+   * @param {number} options.fileConcurrency - Files of one job downloaded at the same time
+   * @param {number} options.maxConnections - HTTP connections open at once across all jobs, 0 for no limit
+   * @param {BandwidthLimiter} options.limiter - Rate limiter shared by all downloads (optional)
+   * @param {DiskSpaceGuard} options.diskGuard - Pauses writing while the disk is below its reserve (optional)
+   * @param {FileFilter} options.filter - Rules for which files of a job are downloaded (optional)
+   */
+  constructor(watch, downloadPath, inProgressPath = null, completedPath = null, options = {}) {
     log('ctor');
     this.watch = watch;
     this.downloadPath = downloadPath; // Keep for backward compatibility in function signatures
     this.inProgressPath = inProgressPath || downloadPath;
     this.completedPath = completedPath || downloadPath;
+    this.categories = options.categories || null;
+    this.segments = options.segments || 1;
+    this.segmentMinSize = options.segmentMinSize || 104857600;
+    this.fileConcurrency = options.fileConcurrency || 1;
+    // Every download request, including each segment, holds one of these while it runs
+    this.connections = new Semaphore(options.maxConnections || 0);
+    this.limiter = options.limiter || null;
+    this.diskGuard = options.diskGuard || null;
+    this.filter = options.filter || null;
     this.download = this._download.bind(this);
     this.success = false;
     this.activeDownloads = new Map(); // Track active downloads by URL
+    // Links whose server ignored a range request; their retries download as a single stream
+    this.unsegmentable = new Set();
   }
 
-  async _download(links, supppath) {
-    log('_download', links);
+  /**
+   * Download links into the in-progress folder and move them to the completed folder
+   * @param {Array<string>} links - Links to download
+   * @param {string} supppath - Job name or path of the source file, used as folder name
+   * @param {Object} options - Options object
+   * @param {string} options.category - Category of the job
+   * @returns {Promise<Object>} - Successful and failed downloads, completed folder and total size
+   */
+  async _download(links, supppath, options = {}) {
+    log('_download', links, options.category);
 
     // Extract the original torrent/magnet/nzb filename to use as folder name
     let originalFileName = '';
@@ -53,47 +173,69 @@ class InlineDownloader {
       // Make sure the in-progress folder exists
       await fileOps.ensureDir(inProgressFolder);
 
-      const completedFolder = path.join(this.completedPath, originalFileName);
+      // Category jobs go to the destination of their category
+      const completedRoot = this.categories ? this.categories.getDestination(options.category) : this.completedPath;
+      const completedFolder = path.join(completedRoot, originalFileName);
       // Make sure the completed folder exists
       await fileOps.ensureDir(completedFolder);
 
       // Keep track of successful and failed downloads
       const results = {
         success: [],
-        failed: []
+        failed: [],
+        skipped: [],
+        folder: completedFolder,
+        size: 0
       };
 
       // Remove any duplicate links
       const uniqueLinks = [...new Set(links)];
+      // Files of multi-file jobs keep their remote folders inside the job folder
+      const folders = relativeFolders(uniqueLinks);
+      const selectedLinks = this.filter ? await this._filterLinks(uniqueLinks, folders, options.category, results) : uniqueLinks;
+      // Subfolders created in the in-progress folder, removed again once empty
+      const subfolders = new Set();
       
-      // Process each file - use a more controlled approach to avoid parallel downloads
-      for (const link of uniqueLinks) {
+      // Download one link and record its result
+      const processLink = async (link) => {
         try {
           // Check if this link is already being downloaded
           if (this.activeDownloads.has(link)) {
             console.log(`[!] Link ${link} is already being downloaded, skipping duplicate`);
-            continue;
+            return;
           }
           
           // Mark as active download
           this.activeDownloads.set(link, Date.now());
           
           try {
+            // Throws for folders that would leave the job folder, like '..'
+            const fileFolder = folders.get(link) ? fileOps.safeJoin(inProgressFolder, folders.get(link)) : inProgressFolder;
+            await fileOps.ensureDir(fileFolder);
+            for (let folder = fileFolder; folder !== inProgressFolder; folder = path.dirname(folder)) {
+              subfolders.add(folder);
+            }
+
             // Download the file
-            const fileDetails = await this._downloadSingleFile(link, inProgressFolder);
+            const fileDetails = await this._downloadSingleFile(link, fileFolder, inProgressFolder);
             
             if (fileDetails.success) {
               // Source file path in the in-progress directory
-              const sourceFilePath = path.join(inProgressFolder, fileDetails.fileName);
+              const sourceFilePath = path.join(fileFolder, fileDetails.fileName);
+              const relativePath = path.relative(inProgressFolder, sourceFilePath);
               
               // Destination file path in the completed directory
-              const completedFilePath = path.join(completedFolder, fileDetails.fileName);
+              const completedFilePath = path.join(completedFolder, relativePath);
+              await fileOps.ensureDir(path.dirname(completedFilePath));
               
               // Move the file to the completed folder
               await fileOps.moveFile(sourceFilePath, completedFilePath);
-              results.success.push(fileDetails.fileName);
+              results.success.push(relativePath);
+              results.size += fileDetails.size;
+              downloadedFiles.inc({ result: 'success' });
             } else {
               results.failed.push(link);
+              downloadedFiles.inc({ result: 'failed' });
             }
           } finally {
             // Remove from active downloads when done (success or failure)
@@ -101,16 +243,37 @@ class InlineDownloader {
           }
         } catch (err) {
           console.log(`[!] Error processing link ${link}: ${err.message}`);
+          downloadedFiles.inc({ result: 'failed' });
           results.failed.push(link);
           
           // Make sure we remove from active downloads
           this.activeDownloads.delete(link);
         }
+      };
+
+      // A small pool of workers takes the links in order; the connection limit
+      // shared by all jobs still caps the number of open requests
+      const pendingLinks = [...selectedLinks];
+      const worker = async () => {
+        while (pendingLinks.length > 0) {
+          await processLink(pendingLinks.shift());
+        }
+      };
+      const workerCount = Math.min(this.fileConcurrency, pendingLinks.length);
+      if (workerCount > 1) {
+        console.log(`[+] Downloading ${pendingLinks.length} files, ${workerCount} at a time`);
+      }
+      await Promise.all(Array.from({ length: workerCount }, worker));
+      if (this.limiter) {
+        this.limiter.removeJob(inProgressFolder);
       }
 
-      // Only now try to clean up the in-progress folder
+      // Only now try to clean up the in-progress folder, deepest subfolders first
       if (results.success.length > 0) {
         try {
+          for (const folder of [...subfolders].sort((a, b) => b.length - a.length)) {
+            await fileOps.removeDirectoryIfEmpty(folder);
+          }
           await fileOps.removeDirectoryIfEmpty(inProgressFolder);
         } catch (cleanupErr) {
           console.log(`[!] Error during cleanup: ${cleanupErr.message}`);
@@ -129,87 +292,416 @@ class InlineDownloader {
     }
   }
 
-  // Process a single file download with retry mechanism
-  async _downloadSingleFile(link, destFolder) {
-    console.log(`[+] Starting download of: ${link}`);
+  /**
+   * Apply the file filters of a category to the links of a job and record the
+   * skipped files in the result
+   * @param {Array<string>} links - Download links
+   * @param {Map<string, string>} folders - Relative folder by link
+   * @param {string} category - Category of the job
+   * @param {Object} results - Job result the skipped files are added to
+   * @returns {Promise<Array<string>>} - Links to download
+   * @throws {Error} - If every file is skipped
+   */
+  async _filterLinks(links, folders, category, results) {
+    const settings = this.filter.getSettings(category);
+    const needsSizes = this.filter.needsSizes(settings);
+
+    const files = await Promise.all(links.map(async link => ({
+      link,
+      path: [folders.get(link), linkSegments(link).pop()].filter(Boolean).join('/'),
+      size: needsSizes ? await this._getRemoteSize(link) : null
+    })));
+    const { selected, skipped } = this.filter.apply(files, settings);
+
+    for (const file of skipped) {
+      console.log(`[+] Skipping ${file.path}: ${file.reason}`);
+      results.skipped.push({ file: file.path, size: file.size, reason: file.reason });
+    }
+    if (selected.length === 0) {
+      throw new Error(`All ${files.length} files were skipped by the file filters`);
+    }
+    return selected.map(file => file.link);
+  }
+
+  /**
+   * Ask the server for the size of a file without downloading it
+   * @param {string} link - Download link
+   * @returns {Promise<number|null>} - Size in bytes, null if unknown
+   */
+  async _getRemoteSize(link) {
+    try {
+      const response = await this.connections.run(() => axios({
+        method: 'HEAD',
+        url: link,
+        timeout: 30000,
+        headers: { 'User-Agent': USER_AGENT }
+      }));
+      const size = parseInt(response.headers['content-length'], 10);
+      return Number.isNaN(size) ? null : size;
+    } catch (err) {
+      log('_getRemoteSize', link, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the file name of a download from the Content-Disposition header or the URL
+   * @param {Object} headers - Response headers
+   * @param {string} link - Download link
+   * @returns {string} - Sanitized file name
+   */
+  _getFileName(headers, link) {
+    let fileName = '';
+    if (headers['content-disposition']) {
+      fileName = headers['content-disposition'];
+      if (fileName.includes("'")) {
+        fileName = fileName.substring(fileName.lastIndexOf("'") + 1);
+      }
+      
+      // Extract from filename= parameter if present
+      const filenameMatch = fileName.match(/filename=["']?([^"']+)["']?/);
+      if (filenameMatch && filenameMatch[1]) {
+        fileName = filenameMatch[1];
+      }
+      
+      // Extract from filename*= parameter if present (has precedence)
+      const filenameStarMatch = fileName.match(/filename\*=UTF-8''([^;]+)/);
+      if (filenameStarMatch && filenameStarMatch[1]) {
+        fileName = decodeURIComponent(filenameStarMatch[1]);
+      }
+    }
+    
+    // If we couldn't get a filename from the headers, extract it from the URL
+    if (!fileName || fileName.trim() === '') {
+      const urlParts = link.split('/');
+      fileName = urlParts[urlParts.length - 1];
+      if (fileName.includes('?')) {
+        fileName = fileName.split('?')[0];
+      }
+    }
+    
+    // Remove any special characters from filename for safety
+    return fileOps.sanitizeFolderName(fileName);
+  }
+
+  /**
+   * Find the partial file of a link left by an earlier attempt or run. Partial
+   * downloads are written to "<name>.part", next to "<name>.part.json" with
+   * the link and the validators needed to resume them.
+   * @param {string} link - Download link
+   * @param {string} destFolder - In-progress folder
+   * @returns {Promise<Object|null>} - { fileName, received, total, etag, lastModified } or null
+   */
+  async _findPartial(link, destFolder) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(destFolder);
+    } catch (err) {
+      return null;
+    }
+
+    for (const entry of entries.filter(name => name.endsWith('.part.json'))) {
+      try {
+        const partial = JSON.parse(await fs.promises.readFile(path.join(destFolder, entry), 'utf8'));
+        if (partial.url !== link) continue;
+
+        const stats = await fs.promises.stat(path.join(destFolder, `${partial.fileName}.part`)).catch(() => null);
+        return { ...partial, received: stats ? stats.size : 0 };
+      } catch (err) {
+        log('unreadable partial download info', entry, err.message);
+      }
+    }
+    return null;
+  }
+
+  async _removePartial(fileName, destFolder) {
+    const partPath = path.join(destFolder, `${fileName}.part`);
+    await fs.promises.rm(partPath, { force: true });
+    await fs.promises.rm(`${partPath}.json`, { force: true });
+  }
+
+  /**
+   * Rename a finished partial file to its final name
+   * @param {string} fileName - File name
+   * @param {string} destFolder - In-progress folder
+   * @param {number} size - Size of the file
+   * @param {number} total - Size announced by the server, 0 if unknown
+   * @returns {Promise<Object>} - Download result
+   */
+  async _finishPartial(fileName, destFolder, size, total) {
+    const partPath = path.join(destFolder, `${fileName}.part`);
+    await fs.promises.rename(partPath, path.join(destFolder, fileName));
+    await fs.promises.rm(`${partPath}.json`, { force: true });
+
+    if (total > 0) {
+      console.log(`[+] File downloaded: ${fileName} (${size} / ${total} bytes)`);
+    } else {
+      console.log(`[+] File downloaded: ${fileName} (${size} bytes)`);
+    }
+
+    return {
+      success: true,
+      fileName: fileName,
+      size: size,
+      totalSize: total
+    };
+  }
+
+  /**
+   * Wait until data may be written: while the disk is below its reserve and
+   * until the bandwidth limiter lets it through
+   * @param {string} job - Key of the job the limiter uses for per-job limits
+   * @param {number} bytes - Number of bytes about to be written
+   */
+  async _beforeWrite(job, bytes) {
+    if (this.diskGuard) {
+      await this.diskGuard.waitForSpace();
+    }
+    if (this.limiter) {
+      await this.limiter.throttle(job, bytes);
+    }
+  }
+
+  /**
+   * Transform that holds chunks back until _beforeWrite() lets them through;
+   * backpressure then slows down reading from the connection
+   * @param {string} job - Key of the job the limiter uses for per-job limits
+   * @returns {Transform} - Throttling stream
+   */
+  _throttle(job) {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        this._beforeWrite(job, chunk.length).then(() => callback(null, chunk), callback);
+      }
+    });
+  }
+
+  /**
+   * Check if a file should be downloaded in segments
+   * @param {Object} headers - Response headers of the full download
+   * @param {number} total - File size, 0 if unknown
+   * @returns {boolean} - True if segmenting is enabled, the file is large enough and the server supports ranges
+   */
+  _canSegment(headers, total) {
+    return this.segments > 1 &&
+      total >= this.segmentMinSize &&
+      /\bbytes\b/i.test(headers['accept-ranges'] || '');
+  }
 
-    // Create a temp filename until we get the real one from headers
-    const tempFileName = `temp_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
-    const tempFilePath = path.join(destFolder, tempFileName);
+  /**
+   * Download a file as parallel ranged segments into one partial file. The
+   * progress of every segment is saved in the .part.json file, so an
+   * interrupted download continues each segment where it stopped.
+   * @param {string} link - Download link
+   * @param {string} destFolder - In-progress folder the file is written to
+   * @param {Object} partial - Partial download info with segments
+   * @param {string} job - Key of the job the limiter uses for per-job limits
+   * @returns {Promise<Object>} - Download result
+   */
+  async _downloadSegmented(link, destFolder, partial, job = destFolder) {
+    const { fileName, total, segments } = partial;
+    const partPath = path.join(destFolder, `${fileName}.part`);
+    const saveProgress = () => fs.promises.writeFile(`${partPath}.json`, JSON.stringify(partial));
+    const receivedBytes = () => segments.reduce((sum, segment) => sum + segment.received, 0);
+
+    const pending = segments.filter(segment => segment.start + segment.received <= segment.end);
+    console.log(`[+] Downloading ${fileName} (${(total / 1048576).toFixed(2)} MB) in ${segments.length} segments` +
+      (pending.length < segments.length || receivedBytes() > 0 ? `, resuming at ${(receivedBytes() / 1048576).toFixed(2)} MB` : ''));
+
+    await saveProgress();
+    const handle = await fs.promises.open(partPath, (await fileOps.fileExists(partPath)) ? 'r+' : 'w');
+    // Stops the other segments as soon as one fails
+    const controller = new AbortController();
+    let lastProgressTime = Date.now();
+
+    const downloadSegment = segment => this.connections.run(async () => {
+      // Segments still waiting for a connection when another one failed
+      if (controller.signal.aborted) return;
+
+      const headers = {
+        'User-Agent': USER_AGENT,
+        Range: `bytes=${segment.start + segment.received}-${segment.end}`
+      };
+      const validator = ifRangeValidator(partial);
+      if (validator) {
+        headers['If-Range'] = validator;
+      }
+
+      const response = await axios({
+        method: 'GET',
+        url: link,
+        responseType: 'stream',
+        timeout: 300000,
+        headers,
+        signal: controller.signal
+      });
+
+      const range = /bytes (\d+)-/.exec(response.headers['content-range'] || '');
+      if (response.status !== 206 || !range || parseInt(range[1], 10) !== segment.start + segment.received) {
+        response.data.destroy();
+        const err = restartError(`Server did not return the requested range (status ${response.status}), restarting as a single download`);
+        err.rangeUnsupported = true;
+        throw err;
+      }
+
+      for await (const chunk of response.data) {
+        // Never write past the segment, in case the server sends more than asked for
+        const data = chunk.subarray(0, segment.end + 1 - segment.start - segment.received);
+        await this._beforeWrite(job, data.length);
+        await handle.write(data, 0, data.length, segment.start + segment.received);
+        segment.received += data.length;
+        downloadedBytes.inc({}, data.length);
+        downloadThroughput.add(data.length);
+
+        const now = Date.now();
+        if (now - lastProgressTime > PROGRESS_UPDATE_INTERVAL) {
+          lastProgressTime = now;
+          const received = receivedBytes();
+          console.log(`[+] Download progress: ${(received / 1048576).toFixed(2)}MB / ${(total / 1048576).toFixed(2)}MB ` +
+            `(${(received / total * 100).toFixed(2)}%, ${segments.filter(s => s.start + s.received <= s.end).length} segments active)`);
+          saveProgress().catch(err => log('saving segment progress failed', err.message));
+        }
+
+        if (segment.start + segment.received > segment.end) {
+          response.data.destroy();
+          break;
+        }
+      }
+
+      if (segment.start + segment.received <= segment.end) {
+        throw restartError(`Segment ${segment.start}-${segment.end} ended early (${segment.received} / ${segment.end - segment.start + 1} bytes)`);
+      }
+    });
+
+    let firstError = null;
+    try {
+      await Promise.all(pending.map(segment => downloadSegment(segment).catch(err => {
+        firstError = firstError || err;
+        controller.abort();
+      })));
+    } finally {
+      await handle.close();
+    }
+
+    if (firstError) {
+      if (firstError.rangeUnsupported) {
+        this.unsegmentable.add(link);
+        await this._removePartial(fileName, destFolder);
+      } else {
+        // Keep the progress, the next attempt continues every segment
+        await saveProgress();
+      }
+      throw firstError;
+    }
+
+    return await this._finishPartial(fileName, destFolder, receivedBytes(), total);
+  }
+
+  // Process a single file download with retry mechanism. Interrupted downloads
+  // continue from their partial file with a Range request. destFolder is where
+  // the file is written, job the job folder the per-job limits apply to.
+  async _downloadSingleFile(link, destFolder, job = destFolder) {
+    console.log(`[+] Starting download of: ${link}`);
 
     // Progress tracking variables
     let lastProgressTime = Date.now();
-    const PROGRESS_UPDATE_INTERVAL = 10000; // Log progress every 10 seconds
 
     // Define the actual download function
     const performDownload = async () => {
+      const partial = await this._findPartial(link, destFolder);
+      if (partial && partial.segments) {
+        return await this._downloadSegmented(link, destFolder, partial, job);
+      }
+      if (partial && partial.total > 0 && partial.received === partial.total) {
+        // Interrupted after the last byte but before the rename
+        return await this._finishPartial(partial.fileName, destFolder, partial.total, partial.total);
+      }
+
+      const headers = { 'User-Agent': USER_AGENT };
+      const resuming = partial !== null && partial.received > 0;
+      if (resuming) {
+        headers.Range = `bytes=${partial.received}-`;
+        // The server sends the whole file instead if it changed since
+        const validator = ifRangeValidator(partial);
+        if (validator) {
+          headers['If-Range'] = validator;
+        }
+        console.log(`[+] Resuming ${partial.fileName} at ${(partial.received / 1048576).toFixed(2)} MB`);
+      }
+
       let outputStream = null;
+      let releaseConnection = null;
       try {
+        releaseConnection = await this.connections.acquire();
+
         // Configure axios for streaming response
         const response = await axios({
           method: 'GET',
           url: link,
           responseType: 'stream',
           timeout: 300000, // 5 minute timeout
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-          }
+          headers,
+          validateStatus: status => (status >= 200 && status < 300) || status === 416
         });
 
-        // Handle non-success status codes
-        if (response.status !== 200) {
+        if (response.status === 416) {
+          // The partial file is larger than the remote file, so it can't be continued
+          response.data.destroy();
+          await this._removePartial(partial.fileName, destFolder);
+          throw restartError('Server rejected the range of the partial file, restarting from the beginning');
+        }
+
+        const resumed = resuming && response.status === 206;
+        if (response.status !== 200 && !resumed) {
           console.log(`[!] Server returned status code ${response.status}`);
           throw new Error(`Server returned status code ${response.status}`);
         }
-        
-        // Get content length
-        const total = parseInt(response.headers['content-length'] || '0');
-        
-        // Extract filename from content-disposition header
-        let fileName = '';
-        if (response.headers['content-disposition']) {
-          fileName = response.headers['content-disposition'];
-          if (fileName.includes("'")) {
-            fileName = fileName.substring(fileName.lastIndexOf("'") + 1);
-          }
-          
-          // Extract from filename= parameter if present
-          const filenameMatch = fileName.match(/filename=["']?([^"']+)["']?/);
-          if (filenameMatch && filenameMatch[1]) {
-            fileName = filenameMatch[1];
-          }
-          
-          // Extract from filename*= parameter if present (has precedence)
-          const filenameStarMatch = fileName.match(/filename\*=UTF-8''([^;]+)/);
-          if (filenameStarMatch && filenameStarMatch[1]) {
-            fileName = decodeURIComponent(filenameStarMatch[1]);
+
+        let offset = 0;
+        let total = parseInt(response.headers['content-length'] || '0');
+        if (resumed) {
+          // For a 206, Content-Length is the rest of the file and Content-Range has its total size
+          const range = /bytes (\d+)-\d+\/(\d+|\*)/.exec(response.headers['content-range'] || '');
+          if (!range || parseInt(range[1], 10) !== partial.received) {
+            response.data.destroy();
+            await this._removePartial(partial.fileName, destFolder);
+            throw restartError(`Server returned an unexpected range (${response.headers['content-range']}), restarting from the beginning`);
           }
+          offset = partial.received;
+          total = range[2] !== '*' ? parseInt(range[2], 10) : partial.total || 0;
+        } else if (resuming) {
+          console.log(`[!] Server did not honour the range request, restarting ${partial.fileName} from the beginning`);
         }
-        
-        // If we couldn't get a filename from the headers, extract it from the URL
-        if (!fileName || fileName.trim() === '') {
-          const urlParts = link.split('/');
-          fileName = urlParts[urlParts.length - 1];
-          if (fileName.includes('?')) {
-            fileName = fileName.split('?')[0];
+
+        const fileName = resumed ? partial.fileName : this._getFileName(response.headers, link);
+        const partPath = path.join(destFolder, `${fileName}.part`);
+
+        if (!resumed) {
+          if (partial && partial.fileName !== fileName) {
+            await this._removePartial(partial.fileName, destFolder);
+          }
+          const info = {
+            url: link,
+            fileName,
+            total,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null
+          };
+
+          if (!this.unsegmentable.has(link) && this._canSegment(response.headers, total)) {
+            // The ranges are requested separately, so this response isn't needed
+            response.data.destroy();
+            releaseConnection();
+            await fs.promises.rm(partPath, { force: true });
+            return await this._downloadSegmented(link, destFolder, { ...info, segments: splitSegments(total, this.segments) }, job);
           }
+          await fs.promises.writeFile(`${partPath}.json`, JSON.stringify(info));
         }
+
+        // Append to the partial file when resuming, start a new one otherwise
+        outputStream = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
         
-        // Remove any special characters from filename for safety
-        fileName = fileOps.sanitizeFolderName(fileName);
-        
-        const finalFilePath = path.join(destFolder, fileName);
-        
-        // Create write stream for the actual file
-        outputStream = fs.createWriteStream(finalFilePath);
-        
-        // Set up error handler for write stream
-        outputStream.on('error', (err) => {
-          console.log(`[!] Error writing file: ${err.message}`);
-          throw err;
-        });
-        
-        console.log(`[+] Writing to in-progress folder: ${finalFilePath}`);
+        console.log(`[+] Writing to in-progress folder: ${path.join(destFolder, fileName)}`);
         
         // If we have content length, show initial file size info
         if (total > 0) {
@@ -217,75 +709,51 @@ class InlineDownloader {
           console.log(`[+] File size: ${totalMB} MB`);
         }
 
-        // Return a promise that resolves when the download is complete
-        return await new Promise((resolve, reject) => {
-          // Set up progress tracking
-          let dataReceived = 0;
+        // Set up progress tracking
+        let dataReceived = offset;
+        
+        response.data.on('data', (chunk) => {
+          dataReceived += chunk.length;
+          downloadedBytes.inc({}, chunk.length);
+          downloadThroughput.add(chunk.length);
           
-          response.data.on('data', (chunk) => {
-            dataReceived += chunk.length;
+          // Show periodic progress updates for large files
+          const now = Date.now();
+          if ((total > 10485760 || dataReceived > 10485760) && 
+              now - lastProgressTime > PROGRESS_UPDATE_INTERVAL) {
+            const percent = total ? (dataReceived / total * 100).toFixed(2) : 'unknown';
+            const downloadedMB = (dataReceived / 1048576).toFixed(2);
+            const totalMB = total ? (total / 1048576).toFixed(2) : 'unknown';
             
-            // Show periodic progress updates for large files
-            const now = Date.now();
-            if ((total > 10485760 || dataReceived > 10485760) && 
-                now - lastProgressTime > PROGRESS_UPDATE_INTERVAL) {
-              const percent = total ? (dataReceived / total * 100).toFixed(2) : 'unknown';
-              const downloadedMB = (dataReceived / 1048576).toFixed(2);
-              const totalMB = total ? (total / 1048576).toFixed(2) : 'unknown';
-              
-              console.log(`[+] Download progress: ${downloadedMB}MB / ${totalMB}MB (${percent}%)`);
-              lastProgressTime = now;
-            }
-          });
-          
-          // When download is finished
-          response.data.on('end', () => {
-            if (outputStream) {
-              outputStream.end(() => {
-                if (total > 0) {
-                  console.log(`[+] File downloaded: ${fileName} (${dataReceived} / ${total} bytes)`);
-                } else {
-                  console.log(`[+] File downloaded: ${fileName} (${dataReceived} bytes)`);
-                }
-                
-                resolve({ 
-                  success: true, 
-                  fileName: fileName, 
-                  size: dataReceived, 
-                  totalSize: total 
-                });
-              });
-            }
-          });
-          
-          // Handle errors on the response stream
-          response.data.on('error', (err) => {
-            console.log(`[!] Stream error: ${err.message}`);
-            if (outputStream) {
-              outputStream.close();
-            }
-            reject(err);
-          });
-          
-          // Pipe the response to the file
-          response.data.pipe(outputStream);
+            console.log(`[+] Download progress: ${downloadedMB}MB / ${totalMB}MB (${percent}%)`);
+            lastProgressTime = now;
+          }
         });
+
+        // Resolves when the response ended and the file was flushed
+        if (this.limiter || this.diskGuard) {
+          await pipeline(response.data, this._throttle(job), outputStream);
+        } else {
+          await pipeline(response.data, outputStream);
+        }
+
+        // A connection closed early ends the stream without an error
+        if (total > 0 && dataReceived !== total) {
+          throw restartError(`Download ended early (${dataReceived} / ${total} bytes)`);
+        }
+
+        return await this._finishPartial(fileName, destFolder, dataReceived, total);
       } catch (err) {
+        // The partial file is kept, so the next attempt continues where this one stopped
         console.log(`[!] Download error: ${err.message}`);
         if (outputStream) {
-          outputStream.close();
+          outputStream.destroy();
         }
-        
-        // Try to clean up the temp file
-        try {
-          if (await fileOps.fileExists(tempFilePath)) {
-            await fs.promises.unlink(tempFilePath);
-          }
-        } catch (e) {
-          // Ignore errors during cleanup
-        }
-        
         throw err;
+      } finally {
+        if (releaseConnection) {
+          releaseConnection();
+        }
       }
     };
 
@@ -296,12 +764,15 @@ class InlineDownloader {
         {
           maxRetries: 3,
           baseDelay: 1000,
+          shouldRetry: err => err.restart === true || isRetriableError(err),
           operationName: `Download ${link}`
         }
       );
     } catch (err) {
       console.log(`[!] Download failed after retries: ${err.message}`);
       throw err;
+    } finally {
+      this.unsegmentable.delete(link);
     }
   }
 }
@@ -0,0 +1,53 @@
+// Notifier running a local command
+import debug from 'debug';
+const log = debug('patbrid:notifiers:command');
+import { execFile } from 'child_process';
+import { buildContext, render } from './template.js';
+
+class CommandNotifier {
+  /**
+   * The message is passed in NOTIFY_* environment variables; arguments can use
+   * the same {{placeholders}} as the message templates.
+   * @param {Object} options - Options object
+   * @param {string} options.command - Executable to run
+   * @param {Array<string>} options.args - Arguments (optional)
+   * @param {number} options.timeout - Time after which the command is killed (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    if (!options.command) {
+      throw new Error('command notifier requires a command');
+    }
+    this.command = options.command;
+    this.args = options.args || [];
+    this.timeout = options.timeout || 30000;
+  }
+
+  async send(message) {
+    log('send', message.event, this.command);
+
+    const context = buildContext(message.event, message.data);
+    const args = this.args.map(arg => render(arg, context));
+    const env = {
+      ...process.env,
+      NOTIFY_EVENT: message.event,
+      NOTIFY_TITLE: message.title,
+      NOTIFY_BODY: message.body,
+      NOTIFY_PRIORITY: message.priority,
+      NOTIFY_DATA: JSON.stringify(message.data)
+    };
+
+    await new Promise((resolve, reject) => {
+      execFile(this.command, args, { env, timeout: this.timeout }, (err, stdout, stderr) => {
+        if (stdout) log('stdout', stdout.trim());
+        if (err) {
+          const reason = err.killed ? `timed out after ${this.timeout}ms` : (stderr.trim() || err.message);
+          return reject(new Error(`${this.command} failed: ${reason}`));
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+export default CommandNotifier;
@@ -0,0 +1,46 @@
+// Discord-style webhook notifier (Discord, or services accepting the same embeds)
+import debug from 'debug';
+const log = debug('patbrid:notifiers:discord');
+import axios from 'axios';
+
+// Embed colors by event
+const COLORS = {
+  completed: 0x2ecc71,
+  failed: 0xe74c3c,
+  low_storage: 0xf39c12
+};
+const DEFAULT_COLOR = 0x3498db;
+
+class DiscordNotifier {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.url - Webhook URL
+   * @param {string} options.username - Name the message is posted as (optional)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    if (!options.url) {
+      throw new Error('discord notifier requires a url');
+    }
+    this.url = options.url;
+    this.username = options.username || 'Offcloud Downloader';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(message) {
+    log('send', message.event);
+    await axios.post(this.url, {
+      username: this.username,
+      embeds: [{
+        // Discord limits embed titles to 256 and descriptions to 4096 characters
+        title: message.title.slice(0, 256),
+        description: message.body.slice(0, 4096),
+        color: COLORS[message.event] || DEFAULT_COLOR,
+        timestamp: new Date().toISOString()
+      }]
+    }, { timeout: this.timeout });
+  }
+}
+
+export default DiscordNotifier;
@@ -0,0 +1,35 @@
+// Gotify (https://gotify.net) notifier
+import debug from 'debug';
+const log = debug('patbrid:notifiers:gotify');
+import axios from 'axios';
+
+const PRIORITIES = { low: 2, default: 5, high: 8 };
+
+class GotifyNotifier {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.url - Gotify server URL
+   * @param {string} options.token - Application token
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    if (!options.url || !options.token) {
+      throw new Error('gotify notifier requires a url and an application token');
+    }
+    this.url = `${options.url.replace(/\/+$/, '')}/message`;
+    this.token = options.token;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(message) {
+    log('send', message.event);
+    await axios.post(this.url, {
+      title: message.title,
+      message: message.body,
+      priority: PRIORITIES[message.priority] || PRIORITIES.default
+    }, { headers: { 'X-Gotify-Key': this.token }, timeout: this.timeout });
+  }
+}
+
+export default GotifyNotifier;
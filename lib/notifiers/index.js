@@ -0,0 +1,159 @@
+// Notifier subsystem: templated messages for job events, sent to pluggable targets
+import debug from 'debug';
+const log = debug('patbrid:notifiers');
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+import { EVENTS, renderMessage } from './template.js';
+import NtfyNotifier from './ntfy.js';
+import GotifyNotifier from './gotify.js';
+import DiscordNotifier from './discord.js';
+import SmtpNotifier from './smtp.js';
+import CommandNotifier from './command.js';
+
+/**
+ * Built-in notifier types. A notifier is a class constructed with the target
+ * settings that implements `async send(message)`, where message is
+ * { event, title, body, priority, data }. Other types are loaded from a module
+ * with `"type": "module", "path": "/config/my-notifier.js"`.
+ */
+const TYPES = {
+  ntfy: NtfyNotifier,
+  gotify: GotifyNotifier,
+  discord: DiscordNotifier,
+  smtp: SmtpNotifier,
+  command: CommandNotifier
+};
+
+/**
+ * Merge template overrides per event and field
+ * @param {Object} base - Templates by event
+ * @param {Object} overrides - Templates by event
+ * @returns {Object} - Merged templates
+ */
+function mergeTemplates(base = {}, overrides = {}) {
+  const merged = { ...base };
+  for (const [event, template] of Object.entries(overrides)) {
+    merged[event] = { ...merged[event], ...template };
+  }
+  return merged;
+}
+
+class Notifiers {
+  /**
+   * @param {Object} options - Options object
+   * @param {Array<Object>} options.targets - { name, notifier, events, templates } per target
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.targets = options.targets || [];
+  }
+
+  /**
+   * Load notifier targets from a JSON file:
+   *
+   *   {
+   *     "templates": { "completed": { "title": "Done: {{name}}" } },
+   *     "targets": [
+   *       { "type": "ntfy", "url": "https://ntfy.sh/my-topic", "events": ["failed", "low_storage"] },
+   *       { "type": "smtp", "host": "mail.example.com", "from": "dl@example.com", "to": "me@example.com" }
+   *     ]
+   *   }
+   *
+   * Targets receive all events unless `events` is set. `templates` can be set
+   * globally and per target, overriding the default of an event per field.
+   * @param {string} filePath - Path of the config file (optional)
+   * @returns {Promise<Notifiers>} - Notifiers instance
+   */
+  static async load(filePath) {
+    const targets = [];
+    if (!filePath) return new Notifiers({ targets });
+
+    let config;
+    try {
+      config = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      logger.error(`Error loading notifier settings from ${filePath}: ${err.message}`);
+      return new Notifiers({ targets });
+    }
+
+    for (const [index, settings] of (config.targets || []).entries()) {
+      const name = settings.name || `${settings.type}#${index + 1}`;
+      try {
+        targets.push({
+          name,
+          notifier: await Notifiers.create(settings, path.dirname(filePath)),
+          events: settings.events || EVENTS,
+          templates: mergeTemplates(config.templates, settings.templates)
+        });
+      } catch (err) {
+        logger.error(`Error setting up notifier ${name}: ${err.message}`);
+      }
+    }
+
+    logger.info(`Loaded ${targets.length} notifier(s) from ${filePath}`);
+    return new Notifiers({ targets });
+  }
+
+  /**
+   * Create the notifier for a target
+   * @param {Object} settings - Target settings
+   * @param {string} baseDir - Directory relative module paths are resolved against
+   * @returns {Promise<Object>} - Notifier
+   */
+  static async create(settings, baseDir) {
+    if (settings.type === 'module') {
+      if (!settings.path) {
+        throw new Error('module notifiers require a path');
+      }
+      const module = await import(pathToFileURL(path.resolve(baseDir, settings.path)).href);
+      return new module.default(settings);
+    }
+
+    const Type = TYPES[settings.type];
+    if (!Type) {
+      throw new Error(`Unknown notifier type '${settings.type}' (known: ${[...Object.keys(TYPES), 'module'].join(', ')})`);
+    }
+    return new Type(settings);
+  }
+
+  get enabled() {
+    return this.targets.length > 0;
+  }
+
+  /**
+   * Send an event to all targets that subscribed to it. Never throws;
+   * failures are logged so a broken target doesn't affect downloads.
+   * @param {string} event - Event name
+   * @param {Object} data - Job description, or storage info for low_storage
+   * @returns {Promise<void>}
+   */
+  async notify(event, data) {
+    await Promise.all(this.targets
+      .filter(target => target.events.includes(event))
+      .map(target => this.send(target, renderMessage(event, data, target.templates))));
+  }
+
+  async send(target, message) {
+    log('send', target.name, message.event);
+
+    try {
+      await withRetry(
+        async () => await target.notifier.send(message),
+        {
+          maxRetries: 2,
+          baseDelay: 2000,
+          operationName: `Notify ${target.name} of ${message.event}`
+        }
+      );
+    } catch (err) {
+      const status = err.response ? ` (HTTP ${err.response.status})` : '';
+      logger.warn(`Notifier ${target.name} failed to send ${message.event}${status}: ${err.message}`);
+    }
+  }
+}
+
+export { TYPES };
+export default Notifiers;
@@ -0,0 +1,55 @@
+// ntfy (https://ntfy.sh) notifier
+import debug from 'debug';
+const log = debug('patbrid:notifiers:ntfy');
+import axios from 'axios';
+
+const PRIORITIES = { low: 2, default: 3, high: 4 };
+
+class NtfyNotifier {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.url - Topic URL, e.g. https://ntfy.sh/my-topic
+   * @param {string} options.token - Access token (optional)
+   * @param {string} options.username - Username for basic auth (optional)
+   * @param {string} options.password - Password for basic auth (optional)
+   * @param {Array<string>} options.tags - Tags/emojis added to every message (optional)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    if (!options.url) {
+      throw new Error('ntfy notifier requires a url');
+    }
+
+    // Publish as JSON to the server root so titles can contain any character
+    const url = new URL(options.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    this.topic = segments.pop();
+    if (!this.topic) {
+      throw new Error('ntfy url must include the topic, e.g. https://ntfy.sh/my-topic');
+    }
+    this.serverUrl = `${url.origin}/${segments.join('/')}`;
+
+    this.headers = {};
+    if (options.token) {
+      this.headers.Authorization = `Bearer ${options.token}`;
+    } else if (options.username) {
+      this.headers.Authorization = 'Basic ' + Buffer.from(`${options.username}:${options.password || ''}`).toString('base64');
+    }
+    this.tags = options.tags || [];
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send(message) {
+    log('send', message.event);
+    await axios.post(this.serverUrl, {
+      topic: this.topic,
+      title: message.title,
+      message: message.body,
+      priority: PRIORITIES[message.priority] || PRIORITIES.default,
+      tags: [...this.tags, message.event]
+    }, { headers: this.headers, timeout: this.timeout });
+  }
+}
+
+export default NtfyNotifier;
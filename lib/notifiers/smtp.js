@@ -0,0 +1,252 @@
+// SMTP email notifier, a minimal client for plain text mail
+import debug from 'debug';
+const log = debug('patbrid:notifiers:smtp');
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * One SMTP conversation over a socket that can be upgraded with STARTTLS
+ */
+class SmtpSession {
+  constructor(timeout) {
+    this.timeout = timeout;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.waiter = null;
+    this.error = null;
+  }
+
+  /**
+   * Use a connected socket
+   * @param {net.Socket} socket - Socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    this.handlers = {
+      data: chunk => {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+          this.lines.push(this.buffer.slice(0, index));
+          this.buffer = this.buffer.slice(index + 2);
+        }
+        this.wake();
+      },
+      error: err => {
+        this.error = err;
+        this.wake();
+      },
+      close: () => {
+        this.error = this.error || new Error('SMTP connection closed');
+        this.wake();
+      },
+      timeout: () => socket.destroy(new Error(`SMTP timeout after ${this.timeout}ms`))
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout);
+    for (const [name, handler] of Object.entries(this.handlers)) {
+      socket.on(name, handler);
+    }
+  }
+
+  /**
+   * Stop reading from the socket so it can be handed to TLS for STARTTLS
+   * @returns {net.Socket} - Socket
+   */
+  detach() {
+    for (const [name, handler] of Object.entries(this.handlers)) {
+      this.socket.removeListener(name, handler);
+    }
+    this.socket.setTimeout(0);
+    return this.socket;
+  }
+
+  wake() {
+    if (this.waiter) {
+      const waiter = this.waiter;
+      this.waiter = null;
+      waiter();
+    }
+  }
+
+  /**
+   * Read a (multi-line) reply
+   * @returns {Promise<Object>} - { code, lines }
+   */
+  async readReply() {
+    const reply = [];
+
+    for (;;) {
+      while (this.lines.length > 0) {
+        const line = this.lines.shift();
+        reply.push(line.slice(4));
+        // "250-..." continues the reply, "250 ..." ends it
+        if (line[3] !== '-') {
+          return { code: parseInt(line.slice(0, 3), 10), lines: reply };
+        }
+      }
+
+      if (this.error) throw this.error;
+      await new Promise(resolve => { this.waiter = resolve; });
+    }
+  }
+
+  /**
+   * Send a command and check the reply code
+   * @param {string} line - Command, or null to only read a reply
+   * @param {Array<number>} expected - Accepted reply codes
+   * @param {string} display - Text shown in errors instead of the command (for credentials)
+   * @returns {Promise<Object>} - { code, lines }
+   */
+  async command(line, expected, display = line) {
+    if (line !== null) {
+      log('>', display);
+      this.socket.write(line + '\r\n');
+    }
+
+    const reply = await this.readReply();
+    log('<', reply.code, reply.lines.join(' | '));
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${display || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+}
+
+/**
+ * Encode a header value with RFC 2047 when it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} - Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+class SmtpNotifier {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.host - SMTP server
+   * @param {number} options.port - Port (default: 465 with secure, 587 otherwise)
+   * @param {boolean} options.secure - Connect with TLS right away (port 465)
+   * @param {boolean} options.starttls - Require STARTTLS; when not set it is used if the server offers it
+   * @param {string} options.username - Username (optional)
+   * @param {string} options.password - Password (optional)
+   * @param {string} options.from - Sender address
+   * @param {string|Array<string>} options.to - Recipient addresses
+   * @param {boolean} options.rejectUnauthorized - Verify the server certificate (default: true)
+   * @param {number} options.timeout - Connection timeout (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    if (!options.host || !options.from || !options.to) {
+      throw new Error('smtp notifier requires host, from and to');
+    }
+    this.host = options.host;
+    this.secure = options.secure === true;
+    this.port = options.port || (this.secure ? 465 : 587);
+    this.starttls = options.starttls;
+    this.username = options.username || '';
+    this.password = options.password || '';
+    this.from = options.from;
+    this.to = Array.isArray(options.to) ? options.to : [options.to];
+    this.rejectUnauthorized = options.rejectUnauthorized !== false;
+    this.timeout = options.timeout || 30000;
+  }
+
+  tlsOptions() {
+    // SNI only applies to host names
+    return {
+      servername: net.isIP(this.host) ? undefined : this.host,
+      rejectUnauthorized: this.rejectUnauthorized
+    };
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, ...this.tlsOptions() }, () => resolve(socket))
+        : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  upgrade(socket) {
+    return new Promise((resolve, reject) => {
+      const secureSocket = tls.connect({ socket, ...this.tlsOptions() }, () => resolve(secureSocket));
+      secureSocket.once('error', reject);
+    });
+  }
+
+  /**
+   * Build the message in RFC 5322 format with a base64 encoded text body
+   * @param {Object} message - Rendered message
+   * @returns {string} - Message data
+   */
+  buildMessage(message) {
+    const body = Buffer.from(message.body).toString('base64').replace(/.{76}/g, '$&\r\n');
+    const headers = [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${encodeHeader(message.title)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64'
+    ];
+    return headers.join('\r\n') + '\r\n\r\n' + body;
+  }
+
+  async send(message) {
+    log('send', message.event, this.host);
+
+    const session = new SmtpSession(this.timeout);
+    session.attach(await this.connect());
+
+    try {
+      await session.command(null, [220]);
+      let capabilities = (await session.command(`EHLO ${os.hostname()}`, [250])).lines;
+
+      const offersStarttls = capabilities.some(line => /^STARTTLS\b/i.test(line));
+      if (!this.secure && (this.starttls === true || (this.starttls !== false && offersStarttls))) {
+        if (!offersStarttls) {
+          throw new Error(`SMTP server ${this.host} does not support STARTTLS`);
+        }
+        await session.command('STARTTLS', [220]);
+        session.attach(await this.upgrade(session.detach()));
+        capabilities = (await session.command(`EHLO ${os.hostname()}`, [250])).lines;
+      }
+
+      if (this.username) {
+        const auth = capabilities.find(line => /^AUTH\b/i.test(line)) || '';
+        if (/\bPLAIN\b/i.test(auth)) {
+          const credentials = Buffer.from(`\0${this.username}\0${this.password}`).toString('base64');
+          await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+        } else {
+          await session.command('AUTH LOGIN', [334]);
+          await session.command(Buffer.from(this.username).toString('base64'), [334], 'AUTH LOGIN username');
+          await session.command(Buffer.from(this.password).toString('base64'), [235], 'AUTH LOGIN password');
+        }
+      }
+
+      await session.command(`MAIL FROM:<${this.from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+      for (const recipient of this.to) {
+        await session.command(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+      }
+      await session.command('DATA', [354]);
+
+      // Lines starting with a dot are escaped by doubling it
+      const data = this.buildMessage(message).replace(/^\./gm, '..');
+      await session.command(`${data}\r\n.`, [250], 'message data');
+      await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+      session.socket.destroy();
+    }
+  }
+}
+
+export default SmtpNotifier;
@@ -0,0 +1,115 @@
+// Message templates for notifiers
+//
+// Templates use {{name}} placeholders (dotted paths like {{storage.freeSpace}}
+// work too) and {{#name}}...{{/name}} sections that are only rendered when the
+// value is set. Arrays are joined with ', '.
+
+const DEFAULT_TEMPLATES = {
+  queued: {
+    title: 'Queued: {{name}}',
+    body: '{{name}} was added to the queue{{#category}} ({{category}}){{/category}}.'
+  },
+  submitted: {
+    title: 'Submitted: {{name}}',
+    body: '{{name}} was submitted to Offcloud (request {{requestId}}).'
+  },
+  remote_downloaded: {
+    title: 'Offcloud finished: {{name}}',
+    body: 'Offcloud finished downloading {{name}}{{#remoteSize}} ({{remoteSizeText}}){{/remoteSize}}.'
+  },
+  download_started: {
+    title: 'Downloading: {{name}}',
+    body: 'Downloading {{name}}{{#remoteSize}} ({{remoteSizeText}}){{/remoteSize}} to the local disk.'
+  },
+  completed: {
+    title: 'Completed: {{name}}',
+    body: '{{name}} was downloaded to {{path}} ({{sizeText}}).'
+  },
+  failed: {
+    title: 'Failed: {{name}}',
+    body: '{{name}} failed: {{error}}',
+    priority: 'high'
+  },
+  low_storage: {
+    title: 'Offcloud storage low',
+    body: 'Only {{freeSpaceText}} of {{totalSpaceText}} Offcloud storage left (threshold {{thresholdText}}).',
+    priority: 'high'
+  }
+};
+
+const EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+function formatSize(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Build the values available to templates
+ * @param {string} event - Event name
+ * @param {Object} data - Job description, or storage info for low_storage
+ * @returns {Object} - Template context
+ */
+function buildContext(event, data = {}) {
+  const context = { ...data, event, time: new Date().toISOString() };
+
+  // Human-readable variants of all byte counts, e.g. {{sizeText}}
+  for (const key of ['size', 'remoteSize', 'estimatedSize', 'freeSpace', 'usedSpace', 'totalSpace', 'threshold']) {
+    if (typeof data[key] === 'number') {
+      context[`${key}Text`] = formatSize(data[key]);
+    }
+  }
+
+  return context;
+}
+
+function lookup(context, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context);
+}
+
+function isSet(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} context - Values by name
+ * @returns {string} - Rendered text
+ */
+function render(template, context) {
+  return String(template || '')
+    .replace(/\{\{#\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (_, key, inner) => (isSet(lookup(context, key)) ? inner : ''))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => stringify(lookup(context, key)));
+}
+
+/**
+ * Render the message for an event
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Object} templates - Templates by event, overriding the defaults per field
+ * @returns {Object} - { event, title, body, priority, data }
+ */
+function renderMessage(event, data, templates = {}) {
+  const template = { ...DEFAULT_TEMPLATES[event], ...templates[event] };
+  const context = buildContext(event, data);
+
+  return {
+    event,
+    title: render(template.title || event, context),
+    body: render(template.body || '', context),
+    priority: template.priority || 'default',
+    data
+  };
+}
+
+export { DEFAULT_TEMPLATES, EVENTS, buildContext, formatSize, render, renderMessage };
@@ -0,0 +1,104 @@
+// lib/parsers/bencode.js
+import crypto from 'crypto';
+
+/**
+ * Decode a bencoded buffer. Byte strings are returned as Buffers, since
+ * torrent metadata mixes text with binary data (e.g. piece hashes).
+ *
+ * The byte range of every dictionary value is recorded so callers can hash
+ * the raw `info` dictionary exactly as it appears in the file.
+ *
+ * @param {Buffer} buffer - Bencoded data
+ * @returns {Object} - { value, ranges } where ranges maps top-level keys to [start, end]
+ */
+function decode(buffer) {
+  let pos = 0;
+  const ranges = {};
+
+  const fail = (message) => {
+    throw new Error(`Invalid bencode at byte ${pos}: ${message}`);
+  };
+
+  const readInteger = (terminator) => {
+    const end = buffer.indexOf(terminator, pos);
+    if (end === -1) fail('unterminated integer');
+
+    const text = buffer.toString('ascii', pos, end);
+    if (!/^-?\d+$/.test(text)) fail(`bad integer '${text}'`);
+
+    pos = end + 1;
+    return Number(text);
+  };
+
+  const readValue = (depth, topLevelKey) => {
+    if (pos >= buffer.length) fail('unexpected end of data');
+    const type = buffer[pos];
+
+    // Integer: i<digits>e
+    if (type === 0x69) {
+      pos++;
+      return readInteger(0x65);
+    }
+
+    // List: l<values>e
+    if (type === 0x6c) {
+      pos++;
+      const list = [];
+      while (buffer[pos] !== 0x65) {
+        list.push(readValue(depth + 1));
+      }
+      pos++;
+      return list;
+    }
+
+    // Dictionary: d<key><value>e
+    if (type === 0x64) {
+      pos++;
+      const dict = {};
+      while (buffer[pos] !== 0x65) {
+        const key = readValue(depth + 1).toString('utf8');
+        const start = pos;
+        dict[key] = readValue(depth + 1);
+        if (depth === 0) {
+          ranges[key] = [start, pos];
+        }
+      }
+      pos++;
+      return dict;
+    }
+
+    // Byte string: <length>:<bytes>
+    if (type >= 0x30 && type <= 0x39) {
+      const length = readInteger(0x3a);
+      if (pos + length > buffer.length) fail('string exceeds data');
+      const value = buffer.subarray(pos, pos + length);
+      pos += length;
+      return value;
+    }
+
+    fail(`unexpected byte 0x${type.toString(16)}`);
+  };
+
+  const value = readValue(0);
+  return { value, ranges };
+}
+
+/**
+ * Compute the BitTorrent v1 infohash of a .torrent file
+ * @param {Buffer} buffer - Contents of the .torrent file
+ * @returns {string} - Lowercase hex SHA-1 of the bencoded info dictionary
+ */
+function infoHash(buffer) {
+  const { ranges } = decode(buffer);
+  if (!ranges.info) {
+    throw new Error('Torrent has no info dictionary');
+  }
+
+  const [start, end] = ranges.info;
+  return crypto.createHash('sha1').update(buffer.subarray(start, end)).digest('hex');
+}
+
+export default {
+  decode,
+  infoHash
+};
@@ -0,0 +1,59 @@
+// lib/parsers/magnet.js
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Convert a base32 encoded infohash to hex
+ * @param {string} value - 32 character base32 string
+ * @returns {string} - Lowercase hex string
+ */
+function base32ToHex(value) {
+  let bits = '';
+  for (const char of value.toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'`);
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Parse a magnet link
+ * @param {string} link - Magnet link
+ * @returns {Object|null} - { infoHash, name, length, trackers } or null if it's not a magnet link; infoHash is null without a valid btih, length without an xl
+ */
+function parseMagnet(link) {
+  link = String(link || '').trim();
+  if (!link.startsWith('magnet:?')) return null;
+
+  const params = new URLSearchParams(link.slice(link.indexOf('?') + 1));
+  let infoHash = null;
+
+  // A btih is 40 hex characters or 32 base32 characters; anything else is ignored
+  for (const xt of params.getAll('xt')) {
+    const match = /^urn:btih:([0-9a-f]{40}|[a-z2-7]{32})$/i.exec(xt);
+    if (!match) continue;
+
+    infoHash = match[1].length === 40 ? match[1].toLowerCase() : base32ToHex(match[1]);
+    break;
+  }
+
+  return {
+    infoHash,
+    name: params.get('dn') || null,
+    // Exact length, only present in some links
+    length: /^\d+$/.test(params.get('xl') || '') ? parseInt(params.get('xl'), 10) : null,
+    trackers: params.getAll('tr')
+  };
+}
+
+export default {
+  parseMagnet
+};
@@ -0,0 +1,99 @@
+// lib/parsers/nzb.js
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the XML entities of a text or attribute value
+ * @param {string} text - Raw text
+ * @returns {string} - Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : entity;
+  });
+}
+
+/**
+ * Read an attribute of a start tag
+ * @param {string} tag - Start tag, e.g. '<segment bytes="123" number="1">'
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Decoded value, null if missing
+ */
+function attribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(tag);
+  return match ? decodeXml(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+/**
+ * Parse an NZB file
+ * @param {string|Buffer} data - Contents of the .nzb file
+ * @returns {Object} - { name, password, size, files }; size is the sum of all segment bytes,
+ *   files are { subject, size, segments }; name and password are null when the head doesn't set them
+ * @throws {Error} - If the data is not an NZB file or has no files
+ */
+function parseNzb(data) {
+  const text = data.toString('utf8');
+  if (!/<nzb[\s>]/i.test(text)) {
+    throw new Error('Not an NZB file');
+  }
+
+  // <head><meta type="name">...</meta><meta type="password">...</meta></head>
+  const meta = {};
+  const head = /<head[\s>]([\s\S]*?)<\/head>/i.exec(text);
+  if (head) {
+    for (const match of head[1].matchAll(/<meta\s([^>]*)>([\s\S]*?)<\/meta>/gi)) {
+      const type = attribute(` ${match[1]}`, 'type');
+      const value = decodeXml(match[2]).trim();
+      if (type && value && meta[type.toLowerCase()] === undefined) {
+        meta[type.toLowerCase()] = value;
+      }
+    }
+  }
+
+  const files = [];
+  for (const match of text.matchAll(/(<file\s[^>]*>)([\s\S]*?)<\/file>/gi)) {
+    // Segments listed twice (reposts) are only counted once
+    const segments = new Map();
+    for (const segment of match[2].matchAll(/<segment\s[^>]*>/gi)) {
+      const bytes = parseInt(attribute(segment[0], 'bytes'), 10) || 0;
+      const number = attribute(segment[0], 'number') || String(segments.size + 1);
+      segments.set(number, bytes);
+    }
+
+    files.push({
+      subject: attribute(match[1], 'subject') || '',
+      size: [...segments.values()].reduce((sum, bytes) => sum + bytes, 0),
+      segments: segments.size
+    });
+  }
+
+  if (files.length === 0) {
+    throw new Error('NZB file has no files');
+  }
+
+  return {
+    name: meta.name || null,
+    password: meta.password || null,
+    size: files.reduce((sum, file) => sum + file.size, 0),
+    files
+  };
+}
+
+/**
+ * Split a job name in the "name{{password}}" form usenet downloaders use
+ * @param {string} name - Name, e.g. the NZB file name without its extension
+ * @returns {Object} - { name, password }, password null without a {{...}} suffix
+ */
+function parsePasswordName(name) {
+  const match = /^(.*?)\s*\{\{(.+)\}\}\s*$/.exec(name);
+  return match ? { name: match[1], password: match[2] } : { name, password: null };
+}
+
+export default {
+  parseNzb,
+  parsePasswordName
+};
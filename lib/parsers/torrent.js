@@ -0,0 +1,85 @@
+// lib/parsers/torrent.js
+import bencode from './bencode.js';
+
+/**
+ * Read a text field, preferring its UTF-8 variant (e.g. "name.utf-8")
+ * @param {Object} dict - Dictionary
+ * @param {string} key - Key of the field
+ * @returns {*} - Value, null if missing
+ */
+function textField(dict, key) {
+  const value = dict[`${key}.utf-8`] !== undefined ? dict[`${key}.utf-8`] : dict[key];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Collect the files of a v2 "file tree", where every file is a dictionary
+ * keyed by its path segments and ends in an entry with an empty key
+ * @param {Object} tree - File tree dictionary
+ * @param {Array<string>} prefix - Path segments of the tree
+ * @returns {Array<Object>} - { path, length } per file
+ */
+function walkFileTree(tree, prefix = []) {
+  const files = [];
+  for (const [key, value] of Object.entries(tree)) {
+    if (key === '' && value.length !== undefined) {
+      files.push({ path: prefix.join('/'), length: value.length });
+    } else if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      files.push(...walkFileTree(value, [...prefix, key]));
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse the metadata of a .torrent file
+ * @param {Buffer} buffer - Contents of the .torrent file
+ * @returns {Object} - { infoHash, name, length, files, trackers, private }; file paths are
+ *   relative to the torrent folder with / separators, length is the total payload size
+ * @throws {Error} - If the file is not valid bencode or has no info dictionary
+ */
+function parseTorrent(buffer) {
+  const { value } = bencode.decode(buffer);
+  const info = value && value.info;
+  if (!info || typeof info !== 'object' || Buffer.isBuffer(info)) {
+    throw new Error('Torrent has no info dictionary');
+  }
+
+  const name = textField(info, 'name');
+  let files;
+  if (Array.isArray(info.files)) {
+    // Multi-file torrent: paths are lists of segments below the torrent folder
+    files = info.files.map(file => ({
+      path: (textField(file, 'path') || []).map(segment => segment.toString('utf8')).join('/'),
+      length: file.length || 0
+    }));
+  } else if (info.length !== undefined) {
+    files = [{ path: name ? name.toString('utf8') : '', length: info.length }];
+  } else if (info['file tree']) {
+    files = walkFileTree(info['file tree']);
+  } else {
+    throw new Error('Torrent has no files');
+  }
+
+  // "announce-list" is a list of tiers; "announce" is the single tracker of older torrents
+  const trackers = [];
+  for (const tier of [[value.announce], ...(Array.isArray(value['announce-list']) ? value['announce-list'] : [])]) {
+    for (const tracker of [].concat(tier)) {
+      const url = tracker ? tracker.toString('utf8') : '';
+      if (url && !trackers.includes(url)) trackers.push(url);
+    }
+  }
+
+  return {
+    infoHash: bencode.infoHash(buffer),
+    name: name ? name.toString('utf8') : null,
+    length: files.reduce((sum, file) => sum + file.length, 0),
+    files,
+    trackers,
+    private: info.private === 1
+  };
+}
+
+export default {
+  parseTorrent
+};
@@ -0,0 +1,193 @@
+// Built-in extraction of zip, tar and tar.gz archives in completed jobs
+import debug from 'debug';
+const log = debug('patbrid:postprocess:extract');
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import fileOps from '../utils/fileOperations.js';
+import glob from '../utils/glob.js';
+import { extractZip } from './zip.js';
+import { extractTar } from './tar.js';
+
+/**
+ * Supported archive formats, detected by extension and confirmed by their magic bytes
+ */
+const FORMATS = [
+  {
+    name: 'tar.gz',
+    pattern: /\.(tar\.gz|tgz)$/i,
+    matches: header => header[0] === 0x1f && header[1] === 0x8b,
+    extract: (archivePath, destDir) => extractTar(archivePath, destDir, { gzip: true })
+  },
+  {
+    name: 'tar',
+    pattern: /\.tar$/i,
+    matches: header => header.toString('latin1', 257, 262) === 'ustar',
+    extract: (archivePath, destDir) => extractTar(archivePath, destDir)
+  },
+  {
+    name: 'zip',
+    pattern: /\.zip$/i,
+    // A local file header, or the end of central directory record of an empty archive
+    matches: header => header.readUInt32LE(0) === 0x04034b50 || header.readUInt32LE(0) === 0x06054b50,
+    extract: (archivePath, destDir) => extractZip(archivePath, destDir)
+  }
+];
+
+/**
+ * Find the format of an archive
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<Object|null>} - Format, or null if the file is not a supported archive
+ */
+async function detectFormat(filePath) {
+  const format = FORMATS.find(candidate => candidate.pattern.test(filePath));
+  if (!format) return null;
+
+  const header = Buffer.alloc(512);
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  if (!format.matches(header)) {
+    logger.warn(`'${path.basename(filePath)}' is not a valid ${format.name} archive, leaving it as is`);
+    return null;
+  }
+  return format;
+}
+
+class Extractor {
+  /**
+   * @param {Object} options - Options object
+   * @param {boolean} options.enabled - Extract archives of every job
+   * @param {boolean} options.deleteArchives - Delete archives after a successful extraction
+   * @param {Array<string>} options.include - Only extract archives whose name matches one of these globs
+   * @param {Array<string>} options.exclude - Never extract archives whose name matches one of these globs
+   * @param {Categories} options.categories - Categories; a category's extract setting overrides the defaults
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.enabled = options.enabled || false;
+    this.deleteArchives = options.deleteArchives || false;
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+    this.categories = options.categories || null;
+  }
+
+  /**
+   * Get the extraction settings of a category. A category can set "extract"
+   * to true/false, or to { "enabled": true, "deleteArchives": true,
+   * "include": [...], "exclude": [...] } to override single settings.
+   * @param {string} category - Category name
+   * @returns {Object} - { enabled, deleteArchives, include, exclude }
+   */
+  getSettings(category) {
+    const defaults = {
+      enabled: this.enabled,
+      deleteArchives: this.deleteArchives,
+      include: this.include,
+      exclude: this.exclude
+    };
+    const setting = this.categories ? this.categories.get(category).extract : undefined;
+
+    if (setting === undefined || setting === null) return defaults;
+    if (typeof setting === 'boolean') return { ...defaults, enabled: setting };
+    return {
+      enabled: setting.enabled !== undefined ? setting.enabled === true : true,
+      deleteArchives: setting.deleteArchives !== undefined ? setting.deleteArchives === true : defaults.deleteArchives,
+      include: setting.include !== undefined ? [].concat(setting.include) : defaults.include,
+      exclude: setting.exclude !== undefined ? [].concat(setting.exclude) : defaults.exclude
+    };
+  }
+
+  /**
+   * Extract the archives of a completed job next to the archive files
+   * @param {Object} job - Job description with the completed folder and files
+   * @returns {Promise<Object>} - Job description with the files after extraction
+   * @throws {Error} - If an archive is corrupt or would overwrite a file; nothing is extracted from it
+   */
+  async run(job) {
+    const settings = this.getSettings(job.category);
+    if (!settings.enabled) return job;
+
+    let paths = [...(job.paths || [])];
+    let extractedAny = false;
+
+    for (const archivePath of job.paths || []) {
+      const name = path.basename(archivePath);
+      if (settings.include.length > 0 && !glob.matchesAny(name, settings.include)) continue;
+      if (glob.matchesAny(name, settings.exclude)) continue;
+
+      const format = await detectFormat(archivePath);
+      if (!format) continue;
+
+      logger.info(`Extracting ${format.name} archive '${name}'`);
+      let extracted;
+      try {
+        extracted = await this._extract(format, archivePath);
+      } catch (err) {
+        throw new Error(`Extracting '${name}' failed: ${err.message}`);
+      }
+      logger.success(`Extracted ${extracted.length} file(s) from '${name}'`);
+      extractedAny = true;
+
+      paths.push(...extracted.filter(file => !paths.includes(file)));
+      if (settings.deleteArchives) {
+        await fs.promises.rm(archivePath, { force: true });
+        paths = paths.filter(file => file !== archivePath);
+      }
+    }
+
+    if (!extractedAny) return job;
+
+    let size = 0;
+    for (const file of paths) {
+      size += (await fs.promises.stat(file)).size;
+    }
+    return { ...job, paths, size };
+  }
+
+  /**
+   * Extract an archive into a temporary folder next to it and move the files
+   * into place once all of them were extracted. Existing files are never
+   * overwritten; the job folder is left as it was if anything fails.
+   * @param {Object} format - Format from detectFormat()
+   * @param {string} archivePath - Path of the archive
+   * @returns {Promise<Array<string>>} - Paths of the extracted files
+   */
+  async _extract(format, archivePath) {
+    const destDir = path.dirname(archivePath);
+    const tempDir = path.join(destDir, `.extracting-${path.basename(archivePath)}`);
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+
+    const moved = [];
+    try {
+      const extracted = await format.extract(archivePath, tempDir);
+      const targets = extracted.map(file => path.join(destDir, path.relative(tempDir, file)));
+
+      for (const target of targets) {
+        if (await fileOps.fileExists(target)) {
+          throw new Error(`'${path.relative(destDir, target)}' already exists`);
+        }
+      }
+
+      for (const [index, file] of extracted.entries()) {
+        await fileOps.ensureDir(path.dirname(targets[index]));
+        await fs.promises.rename(file, targets[index]);
+        moved.push(targets[index]);
+      }
+      return targets;
+    } catch (err) {
+      // Only files that didn't exist before were moved
+      await Promise.all(moved.map(file => fs.promises.rm(file, { force: true })));
+      throw err;
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+export { detectFormat };
+export default Extractor;
@@ -0,0 +1,163 @@
+// Post-processing commands run on completed jobs
+import debug from 'debug';
+const log = debug('patbrid:postprocess:scripts');
+import { spawn } from 'child_process';
+import logger from '../utils/logger.js';
+
+const ON_FAILURE = ['fail', 'ignore'];
+
+/**
+ * Environment variables describing a job for post-processing commands
+ * @param {Object} job - Job description
+ * @returns {Object} - Variables by name
+ */
+function jobEnvironment(job) {
+  return {
+    JOB_ID: job.jobId || '',
+    JOB_NAME: job.name || '',
+    JOB_FOLDER: job.path || '',
+    JOB_FILES: (job.paths || []).join('\n'),
+    JOB_FILE_COUNT: String((job.paths || []).length),
+    JOB_CATEGORY: job.category || '',
+    JOB_SOURCE: job.file || '',
+    JOB_REQUEST_ID: job.requestId || '',
+    JOB_INFOHASH: job.infoHash || '',
+    JOB_SIZE: String(job.size || 0)
+  };
+}
+
+class ScriptRunner {
+  /**
+   * @param {Object} options - Options object
+   * @param {Array<string>} options.commands - Shell commands run in order for every job
+   * @param {number} options.timeout - Time after which a command is killed (ms)
+   * @param {string} options.onFailure - 'fail' to fail the job when a command fails, 'ignore' to only log it
+   * @param {Categories} options.categories - Categories; a category's postProcess setting replaces the defaults
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.commands = options.commands || [];
+    this.timeout = options.timeout || 600000;
+    this.onFailure = options.onFailure || 'ignore';
+    this.categories = options.categories || null;
+
+    if (!ON_FAILURE.includes(this.onFailure)) {
+      logger.warn(`Invalid post-processing failure mode '${this.onFailure}', using 'ignore'`);
+      this.onFailure = 'ignore';
+    }
+  }
+
+  /**
+   * Get the post-processing settings of a category. A category can set
+   * "postProcess" to a command, a list of commands, or
+   * { "commands": [...], "timeout": 60000, "onFailure": "fail" }.
+   * @param {string} category - Category name
+   * @returns {Object} - { commands, timeout, onFailure }
+   */
+  getSettings(category) {
+    const defaults = { commands: this.commands, timeout: this.timeout, onFailure: this.onFailure };
+    const setting = this.categories ? this.categories.get(category).postProcess : undefined;
+
+    if (setting === undefined || setting === null) return defaults;
+    if (typeof setting === 'string' || Array.isArray(setting)) {
+      return { ...defaults, commands: [].concat(setting) };
+    }
+    return {
+      commands: setting.commands !== undefined ? [].concat(setting.commands) : defaults.commands,
+      timeout: setting.timeout || defaults.timeout,
+      onFailure: ON_FAILURE.includes(setting.onFailure) ? setting.onFailure : defaults.onFailure
+    };
+  }
+
+  /**
+   * Run the post-processing commands of a job
+   * @param {Object} job - Job description with the completed folder and files
+   * @returns {Promise<void>} - Rejects when a command fails and the failure mode is 'fail'
+   */
+  async run(job) {
+    const settings = this.getSettings(job.category);
+
+    for (const command of settings.commands) {
+      try {
+        await this.runCommand(command, job, settings.timeout);
+      } catch (err) {
+        if (settings.onFailure === 'fail') {
+          throw err;
+        }
+        logger.warn(`Post-processing of '${job.name}' failed, ignoring: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Run one command through the shell, logging its output
+   * @param {string} command - Shell command
+   * @param {Object} job - Job description
+   * @param {number} timeout - Time after which the command is killed (ms)
+   * @returns {Promise<void>} - Rejects on a non-zero exit code or timeout
+   */
+  runCommand(command, job, timeout) {
+    logger.info(`Post-processing '${job.name}': ${command}`);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        shell: true,
+        cwd: job.path || undefined,
+        env: { ...process.env, ...jobEnvironment(job) },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group, so a timeout also stops processes the script started
+        detached: process.platform !== 'win32'
+      });
+
+      const kill = signal => {
+        try {
+          process.kill(-child.pid, signal);
+        } catch (err) {
+          child.kill(signal);
+        }
+      };
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill('SIGTERM');
+        // Give the command a moment to clean up before killing it for good
+        setTimeout(() => kill('SIGKILL'), 5000).unref();
+      }, timeout);
+
+      const logLines = (stream, level) => {
+        let buffer = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+          const lines = (buffer + chunk).split(/\r?\n/);
+          buffer = lines.pop();
+          lines.filter(Boolean).forEach(line => logger[level](`[post-process] ${line}`));
+        });
+        stream.on('end', () => {
+          if (buffer) logger[level](`[post-process] ${buffer}`);
+        });
+      };
+      logLines(child.stdout, 'info');
+      logLines(child.stderr, 'warn');
+
+      child.on('error', err => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          reject(new Error(`'${command}' timed out after ${timeout}ms`));
+        } else if (code !== 0) {
+          reject(new Error(`'${command}' exited with ${code !== null ? `code ${code}` : `signal ${signal}`}`));
+        } else {
+          logger.success(`Post-processing '${job.name}' finished: ${command}`);
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+export { jobEnvironment };
+export default ScriptRunner;
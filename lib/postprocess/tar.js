@@ -0,0 +1,236 @@
+// Tar and tar.gz extraction (ustar, GNU long names and pax headers) without native tools
+import debug from 'debug';
+const log = debug('patbrid:postprocess:tar');
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { once } from 'events';
+import fileOps from '../utils/fileOperations.js';
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Reads exact amounts of bytes from an async iterable of chunks
+ */
+class ChunkReader {
+  constructor(iterable) {
+    this.iterator = iterable[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Make sure at least `length` bytes are buffered
+   * @param {number} length - Number of bytes
+   * @returns {Promise<boolean>} - False if the input ended first
+   */
+  async fill(length) {
+    while (this.buffer.length < length) {
+      const { value, done } = await this.iterator.next();
+      if (done) return false;
+      this.buffer = this.buffer.length === 0 ? value : Buffer.concat([this.buffer, value]);
+    }
+    return true;
+  }
+
+  async read(length) {
+    if (!(await this.fill(length))) {
+      throw new Error('Unexpected end of tar archive');
+    }
+    const data = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return data;
+  }
+
+  /**
+   * Pass the next `length` bytes to a callback in chunks, without buffering them all
+   * @param {number} length - Number of bytes
+   * @param {function} onChunk - async (chunk) handler
+   */
+  async forward(length, onChunk) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (this.buffer.length === 0 && !(await this.fill(1))) {
+        throw new Error('Unexpected end of tar archive');
+      }
+      const chunk = this.buffer.subarray(0, Math.min(remaining, this.buffer.length));
+      this.buffer = this.buffer.subarray(chunk.length);
+      remaining -= chunk.length;
+      await onChunk(chunk);
+    }
+  }
+
+  async skip(length) {
+    await this.forward(length, async () => {});
+  }
+}
+
+function readString(block, start, length) {
+  const field = block.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+function readNumber(block, start, length) {
+  // Large values use base-256 with the high bit of the first byte set
+  if (block[start] & 0x80) {
+    let value = block[start] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + block[start + i];
+    }
+    return value;
+  }
+  return parseInt(readString(block, start, length).trim() || '0', 8);
+}
+
+function isChecksumValid(block) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === readNumber(block, 148, 8);
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ * @param {Buffer} data - Header data
+ * @returns {Object} - Values by key
+ */
+function parsePax(data) {
+  const values = {};
+  let position = 0;
+
+  while (position < data.length) {
+    const space = data.indexOf(0x20, position);
+    const length = parseInt(data.subarray(position, space).toString(), 10);
+    if (space === -1 || !length) break;
+
+    const record = data.subarray(space + 1, position + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    values[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+
+  return values;
+}
+
+async function writeChunk(stream, chunk) {
+  if (stream.errored) throw stream.errored;
+
+  if (!stream.write(chunk)) {
+    // Rejects if the stream fails instead
+    await once(stream, 'drain');
+  }
+}
+
+async function closeStream(stream) {
+  await new Promise((resolve, reject) => {
+    if (stream.errored) return reject(stream.errored);
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+/**
+ * Extract a tar archive, gzip-compressed or not. Every header checksum is
+ * verified and every file must be written with the size from its header.
+ * @param {string} archivePath - Path of the archive
+ * @param {string} destDir - Directory to extract into
+ * @param {Object} options - Options object
+ * @param {boolean} options.gzip - The archive is gzip-compressed
+ * @returns {Promise<Array<string>>} - Paths of the extracted files
+ */
+async function extractTar(archivePath, destDir, options = {}) {
+  log('extractTar', archivePath, destDir);
+
+  const input = fs.createReadStream(archivePath);
+  // pipeline() forwards read errors to the gunzip stream, so the reader sees them
+  const source = options.gzip ? pipeline(input, zlib.createGunzip(), () => {}) : input;
+  const reader = new ChunkReader(source);
+  const extracted = [];
+  let longName = null;
+  let pax = {};
+
+  try {
+    for (;;) {
+      if (!(await reader.fill(BLOCK_SIZE))) {
+        // Some writers leave out the closing zero blocks
+        break;
+      }
+      const block = await reader.read(BLOCK_SIZE);
+      if (block.every(byte => byte === 0)) {
+        break;
+      }
+      if (!isChecksumValid(block)) {
+        throw new Error('Corrupt tar header (checksum mismatch)');
+      }
+
+      const type = String.fromCharCode(block[156] || 0x30);
+      const size = pax.size !== undefined ? parseInt(pax.size, 10) : readNumber(block, 124, 12);
+      const padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+      let name = readString(block, 0, 100);
+      const prefix = readString(block, 345, 155);
+      if (readString(block, 257, 5) === 'ustar' && prefix) {
+        name = `${prefix}/${name}`;
+      }
+      name = pax.path || longName || name;
+
+      // Headers that describe the next entry
+      if (type === 'L' || type === 'x') {
+        const data = await reader.read(size);
+        await reader.skip(padding);
+        if (type === 'L') {
+          longName = readString(data, 0, data.length);
+        } else {
+          pax = { ...pax, ...parsePax(data) };
+        }
+        continue;
+      }
+      longName = null;
+      pax = {};
+
+      if (type === '5') {
+        // "./" is the extraction folder itself
+        if (name.replace(/[\\/.]/g, '')) {
+          await fileOps.ensureDir(fileOps.safeJoin(destDir, name));
+        }
+      } else if (type === '0' || type === '7') {
+        const target = fileOps.safeJoin(destDir, name);
+        await fileOps.ensureDir(path.dirname(target));
+        extracted.push(target);
+
+        const output = fs.createWriteStream(target);
+        output.on('error', () => {}); // Reported by writeChunk/closeStream
+        let written = 0;
+        try {
+          await reader.forward(size, async chunk => {
+            written += chunk.length;
+            await writeChunk(output, chunk);
+          });
+        } finally {
+          await closeStream(output);
+        }
+        if (written !== size) {
+          throw new Error(`Verification failed for '${name}' (size ${written}/${size})`);
+        }
+      } else {
+        // Links, devices and global headers are not extracted
+        log('skipping entry', type, name);
+        await reader.skip(size);
+      }
+
+      await reader.skip(padding);
+    }
+  } catch (err) {
+    err.extracted = extracted;
+    throw err;
+  } finally {
+    source.destroy();
+  }
+
+  return extracted;
+}
+
+export { extractTar };
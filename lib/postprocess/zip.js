@@ -0,0 +1,244 @@
+// Zip extraction (stored and deflate entries, zip64) without native tools
+import debug from 'debug';
+const log = debug('patbrid:postprocess:zip');
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import fileOps from '../utils/fileOperations.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Update a CRC-32 with a chunk
+ * @param {number} crc - CRC so far (start with 0)
+ * @param {Buffer} chunk - Data
+ * @returns {number} - Updated CRC
+ */
+function crc32(crc, chunk) {
+  let c = crc ^ -1;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Find the central directory through the end of central directory record
+ * @param {fs.promises.FileHandle} handle - Open archive
+ * @param {number} size - Archive size
+ * @returns {Promise<Object>} - { entries, offset, size }
+ */
+async function readDirectoryLocation(handle, size) {
+  // The record is 22 bytes plus a comment of up to 64KB at the end of the file
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = await readAt(handle, size - tailLength, tailLength);
+
+  let index = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      index = i;
+      break;
+    }
+  }
+  if (index === -1) {
+    throw new Error('Not a zip archive (no end of central directory)');
+  }
+
+  if (tail.readUInt16LE(index + 4) !== 0 || tail.readUInt16LE(index + 6) !== 0) {
+    throw new Error('Multi-part zip archives are not supported');
+  }
+
+  let location = {
+    entries: tail.readUInt16LE(index + 10),
+    size: tail.readUInt32LE(index + 12),
+    offset: tail.readUInt32LE(index + 16)
+  };
+
+  // Zip64 moves the values to a separate record found through a locator right before this one
+  if (location.entries === 0xffff || location.size === 0xffffffff || location.offset === 0xffffffff) {
+    const locatorIndex = index - 20;
+    if (locatorIndex < 0 || tail.readUInt32LE(locatorIndex) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('Invalid zip64 archive (no locator)');
+    }
+    const record = await readAt(handle, Number(tail.readBigUInt64LE(locatorIndex + 8)), 56);
+    if (record.length < 56 || record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Invalid zip64 archive (no end of central directory)');
+    }
+    location = {
+      entries: Number(record.readBigUInt64LE(32)),
+      size: Number(record.readBigUInt64LE(40)),
+      offset: Number(record.readBigUInt64LE(48))
+    };
+  }
+
+  return location;
+}
+
+/**
+ * Read all central directory entries
+ * @param {fs.promises.FileHandle} handle - Open archive
+ * @param {number} size - Archive size
+ * @returns {Promise<Array<Object>>} - Entries
+ */
+async function readEntries(handle, size) {
+  const location = await readDirectoryLocation(handle, size);
+  const directory = await readAt(handle, location.offset, location.size);
+  const entries = [];
+
+  let position = 0;
+  for (let i = 0; i < location.entries; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameBuffer = directory.subarray(position + 46, position + 46 + nameLength);
+
+    const entry = {
+      // Bit 11 marks UTF-8 names, older archives use code page 437
+      name: nameBuffer.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      encrypted: (flags & 0x1) !== 0,
+      method: directory.readUInt16LE(position + 10),
+      crc: directory.readUInt32LE(position + 16),
+      compressedSize: directory.readUInt32LE(position + 20),
+      size: directory.readUInt32LE(position + 24),
+      mode: directory.readUInt32LE(position + 38) >>> 16,
+      localOffset: directory.readUInt32LE(position + 42)
+    };
+
+    // Zip64 extra field: 64-bit values for the fields set to 0xffffffff, in this order
+    const extra = directory.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength);
+    for (let offset = 0; offset + 4 <= extra.length;) {
+      const id = extra.readUInt16LE(offset);
+      const length = extra.readUInt16LE(offset + 2);
+      if (id === 0x0001) {
+        let field = offset + 4;
+        for (const key of ['size', 'compressedSize', 'localOffset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= offset + 4 + length) {
+            entry[key] = Number(extra.readBigUInt64LE(field));
+            field += 8;
+          }
+        }
+      }
+      offset += 4 + length;
+    }
+
+    entries.push(entry);
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Transform that passes data through while computing its CRC-32 and size
+ */
+function checksumStream() {
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      stream.crc = crc32(stream.crc, chunk);
+      stream.size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  stream.crc = 0;
+  stream.size = 0;
+  return stream;
+}
+
+/**
+ * Extract a zip archive. Every file is checked against the CRC-32 and size
+ * stored in the archive.
+ * @param {string} archivePath - Path of the archive
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<Array<string>>} - Paths of the extracted files
+ */
+async function extractZip(archivePath, destDir) {
+  log('extractZip', archivePath, destDir);
+
+  const handle = await fs.promises.open(archivePath, 'r');
+  const extracted = [];
+
+  try {
+    const { size } = await handle.stat();
+    const entries = await readEntries(handle, size);
+
+    for (const entry of entries) {
+      if (entry.name.endsWith('/')) {
+        if (entry.name.replace(/[\\/.]/g, '')) {
+          await fileOps.ensureDir(fileOps.safeJoin(destDir, entry.name));
+        }
+        continue;
+      }
+
+      // Symbolic links could point outside the job folder
+      if ((entry.mode & 0o170000) === 0o120000) {
+        log('skipping symlink', entry.name);
+        continue;
+      }
+
+      if (entry.encrypted) {
+        throw new Error(`'${entry.name}' is encrypted`);
+      }
+      if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`'${entry.name}' uses unsupported compression method ${entry.method}`);
+      }
+
+      const header = await readAt(handle, entry.localOffset, 30);
+      if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt local header for '${entry.name}'`);
+      }
+      const dataOffset = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+      const target = fileOps.safeJoin(destDir, entry.name);
+      await fileOps.ensureDir(path.dirname(target));
+      extracted.push(target);
+
+      const checksum = checksumStream();
+      const streams = [];
+      if (entry.compressedSize > 0) {
+        streams.push(fs.createReadStream(archivePath, { start: dataOffset, end: dataOffset + entry.compressedSize - 1 }));
+        if (entry.method === 8) streams.push(zlib.createInflateRaw());
+      } else {
+        streams.push(async function* () {}());
+      }
+      await pipeline(...streams, checksum, fs.createWriteStream(target));
+
+      if (checksum.size !== entry.size || checksum.crc !== entry.crc) {
+        throw new Error(`Verification failed for '${entry.name}' (size ${checksum.size}/${entry.size}, crc ${checksum.crc.toString(16)}/${entry.crc.toString(16)})`);
+      }
+    }
+  } catch (err) {
+    err.extracted = extracted;
+    throw err;
+  } finally {
+    await handle.close();
+  }
+
+  return extracted;
+}
+
+export { crc32, extractZip };
@@ -0,0 +1,181 @@
+// lib/utils/bandwidth.js
+import debug from 'debug';
+const log = debug('patbrid:bandwidth');
+import { sleep } from './retry.js';
+import { parseWindows, findWindow, formatTime } from './schedule.js';
+
+const UNITS = { '': 1, b: 1, k: 1024, m: 1048576, g: 1073741824 };
+
+/**
+ * Parse a rate like 512K, 10MB, 1.5M/s or 2097152 into bytes per second.
+ * Empty values, 0, "off" and "unlimited" mean no limit.
+ * @param {string|number} value - Rate
+ * @returns {number} - Bytes per second, 0 for no limit
+ */
+function parseRate(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number' && value >= 0) return Math.floor(value);
+
+  const text = String(value).trim().toLowerCase();
+  if (text === '' || text === 'off' || text === 'unlimited') return 0;
+
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)(?:i?b)?(?:\/s|ps)?$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid rate '${value}', expected e.g. 512K, 10MB or 0 for no limit`);
+  }
+  return Math.floor(parseFloat(match[1]) * UNITS[match[2]]);
+}
+
+/**
+ * Parse a schedule like "01:00-07:00=0, 08:00-18:00=2MB". Each window sets the
+ * limit between its start and end in local time; windows may cross midnight.
+ * @param {string} value - Comma-separated windows
+ * @returns {Array<Object>} - { start, end, limit } with times in minutes after midnight
+ */
+function parseSchedule(value) {
+  return parseWindows(value).map(({ start, end, value: rate }) => {
+    if (rate === undefined) {
+      throw new Error(`Missing rate in schedule window '${formatTime(start)}-${formatTime(end)}', expected HH:MM-HH:MM=<rate>`);
+    }
+    return { start, end, limit: parseRate(rate) };
+  });
+}
+
+/**
+ * Token bucket holding up to one second of transfer at the current rate
+ */
+class TokenBucket {
+  constructor() {
+    this.tokens = 0;
+    this.updated = Date.now();
+  }
+
+  /**
+   * Wait until `bytes` may be transferred. The rate is read again while
+   * waiting, so a changed limit applies within a second.
+   * @param {number} bytes - Number of bytes
+   * @param {function} getRate - Returns the current rate in bytes per second, 0 for no limit
+   */
+  async consume(bytes, getRate) {
+    for (;;) {
+      const rate = getRate();
+      const now = Date.now();
+      if (!rate) {
+        this.tokens = 0;
+        this.updated = now;
+        return;
+      }
+
+      this.tokens = Math.min(rate, this.tokens + (now - this.updated) / 1000 * rate);
+      this.updated = now;
+
+      // Chunks are taken whole; the deficit delays the next ones
+      if (this.tokens >= 0) {
+        this.tokens -= bytes;
+        return;
+      }
+      await sleep(Math.min(1000, Math.ceil(-this.tokens / rate * 1000)));
+    }
+  }
+}
+
+class BandwidthLimiter {
+  /**
+   * @param {Object} options - Options object
+   * @param {number} options.limit - Global limit in bytes per second, 0 for no limit
+   * @param {number} options.jobLimit - Limit per job in bytes per second, 0 for no limit
+   * @param {Array<Object>} options.schedule - Windows from parseSchedule() that replace the global limit
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.limit = options.limit || 0;
+    this.jobLimit = options.jobLimit || 0;
+    this.schedule = options.schedule || [];
+    // Set at runtime through the API; null uses the configured values
+    this.override = null;
+    this.jobOverride = null;
+
+    this.bucket = new TokenBucket();
+    this.jobBuckets = new Map();
+  }
+
+  /**
+   * Find the schedule window that contains a time
+   * @param {Date} date - Time to check
+   * @returns {Object|null} - Window or null
+   */
+  getWindow(date = new Date()) {
+    return findWindow(this.schedule, date);
+  }
+
+  /**
+   * Global limit in effect: the runtime override, else the schedule window, else the configured limit
+   * @returns {number} - Bytes per second, 0 for no limit
+   */
+  getLimit() {
+    if (this.override !== null) return this.override;
+    const window = this.getWindow();
+    return window ? window.limit : this.limit;
+  }
+
+  getJobLimit() {
+    return this.jobOverride !== null ? this.jobOverride : this.jobLimit;
+  }
+
+  /**
+   * Change the limits at runtime; running downloads pick them up immediately
+   * @param {Object} settings - { limit, jobLimit }; a rate sets it, null goes back to the configured value
+   */
+  set(settings = {}) {
+    // Parse both first, so an invalid value changes nothing
+    const parse = (value, current) => value === undefined ? current : (value === null ? null : parseRate(value));
+    const override = parse(settings.limit, this.override);
+    const jobOverride = parse(settings.jobLimit, this.jobOverride);
+
+    this.override = override;
+    this.jobOverride = jobOverride;
+    log('set', this.override, this.jobOverride);
+  }
+
+  /**
+   * Current limits and configuration
+   * @returns {Object} - Limits in bytes per second (0 for no limit)
+   */
+  getStatus() {
+    const window = this.getWindow();
+    return {
+      limit: this.getLimit(),
+      jobLimit: this.getJobLimit(),
+      configuredLimit: this.limit,
+      configuredJobLimit: this.jobLimit,
+      override: this.override,
+      jobOverride: this.jobOverride,
+      activeWindow: window && this.override === null ? `${formatTime(window.start)}-${formatTime(window.end)}` : null,
+      schedule: this.schedule.map(({ start, end, limit }) => ({ start: formatTime(start), end: formatTime(end), limit }))
+    };
+  }
+
+  /**
+   * Wait until a job may transfer more data
+   * @param {string} job - Key of the job, shared by all its files and segments
+   * @param {number} bytes - Number of bytes about to be written
+   */
+  async throttle(job, bytes) {
+    if (!this.jobBuckets.has(job)) {
+      this.jobBuckets.set(job, new TokenBucket());
+    }
+    await this.jobBuckets.get(job).consume(bytes, () => this.getJobLimit());
+    await this.bucket.consume(bytes, () => this.getLimit());
+  }
+
+  /**
+   * Forget the bucket of a finished job
+   * @param {string} job - Key of the job
+   */
+  removeJob(job) {
+    this.jobBuckets.delete(job);
+  }
+}
+
+export { parseRate, parseSchedule, TokenBucket };
+export default BandwidthLimiter;
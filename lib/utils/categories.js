@@ -0,0 +1,136 @@
+// lib/utils/categories.js
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import fileOps from './fileOperations.js';
+
+/**
+ * Category support for WATCH_DIR subfolders.
+ *
+ * A file dropped into WATCH_DIR/<category>/... belongs to <category> and is
+ * completed into COMPLETED_DIR/<category>/<name>. Each category can override
+ * its destination, queue priority and concurrency in a JSON config file:
+ *
+ *   {
+ *     "tv": { "destination": "/completed/tv", "priority": 1, "maxConcurrent": 2 },
+ *     "movies": { "priority": 2 }
+ *   }
+ */
+class Categories {
+  /**
+   * @param {Object} options - Options object
+   * @param {string} options.watchDir - Watch directory categories are detected from
+   * @param {string} options.completedDir - Default completed directory
+   * @param {Object} options.config - Per-category settings keyed by category name
+   */
+  constructor(options = {}) {
+    this.watchDir = options.watchDir;
+    this.completedDir = options.completedDir;
+    this.config = options.config || {};
+  }
+
+  /**
+   * Load category settings from a JSON file
+   * @param {string} filePath - Path of the config file (optional)
+   * @param {Object} options - Options passed to the constructor
+   * @returns {Promise<Categories>} - Categories instance
+   */
+  static async load(filePath, options = {}) {
+    let config = {};
+
+    if (filePath) {
+      try {
+        config = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        logger.info(`Loaded ${Object.keys(config).length} category settings from ${filePath}`);
+      } catch (err) {
+        logger.error(`Error loading category settings from ${filePath}: ${err.message}`);
+      }
+    }
+
+    return new Categories({ ...options, config });
+  }
+
+  /**
+   * Detect the category of a file from its path relative to the watch directory
+   * @param {string} filePath - Path of the file
+   * @returns {string} - Category name, or '' for files in the watch directory root
+   */
+  detect(filePath) {
+    if (!this.watchDir || !filePath) return '';
+
+    const relative = path.relative(this.watchDir, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return '';
+
+    const segments = relative.split(path.sep);
+    return segments.length > 1 ? segments[0] : '';
+  }
+
+  /**
+   * Get the settings of a category
+   * @param {string} category - Category name
+   * @returns {Object} - Category settings (empty for unknown categories)
+   */
+  get(category) {
+    return (category && this.config[category]) || {};
+  }
+
+  /**
+   * Get the completed directory of a category
+   * @param {string} category - Category name
+   * @returns {string} - Destination directory
+   */
+  getDestination(category) {
+    if (!category) return this.completedDir;
+
+    const { destination } = this.get(category);
+    if (destination) {
+      return path.isAbsolute(destination) ? destination : path.join(this.completedDir, destination);
+    }
+
+    return path.join(this.completedDir, fileOps.sanitizeFolderName(category));
+  }
+
+  /**
+   * Get the queue priority of a category (lower number = higher priority)
+   * @param {string} category - Category name
+   * @param {number} fallback - Priority for categories without an override
+   * @returns {number} - Queue priority
+   */
+  getPriority(category, fallback = 1) {
+    const { priority } = this.get(category);
+    return Number.isFinite(priority) ? priority : fallback;
+  }
+
+  /**
+   * Get the maximum number of concurrent jobs of a category
+   * @param {string} category - Category name
+   * @returns {number} - Limit, or Infinity when the category has no limit
+   */
+  getMaxConcurrent(category) {
+    const { maxConcurrent } = this.get(category);
+    return Number.isFinite(maxConcurrent) && maxConcurrent > 0 ? maxConcurrent : Infinity;
+  }
+
+  /**
+   * List known categories: configured ones plus subfolders of the watch directory
+   * @returns {Promise<Array<string>>} - Category names
+   */
+  async list() {
+    const names = new Set(Object.keys(this.config));
+
+    if (this.watchDir) {
+      try {
+        const entries = await fs.promises.readdir(this.watchDir, { withFileTypes: true });
+        entries
+          .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+          .forEach(entry => names.add(entry.name));
+      } catch (err) {
+        logger.debug(`Error listing watch directory categories: ${err.message}`);
+      }
+    }
+
+    return [...names].sort();
+  }
+}
+
+export default Categories;
@@ -0,0 +1,114 @@
+// lib/utils/diskSpace.js
+import debug from 'debug';
+const log = debug('patbrid:diskspace');
+import fs from 'fs';
+import logger from './logger.js';
+import { sleep } from './retry.js';
+
+/**
+ * Get the free space of the file system a directory is on
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<number|null>} - Bytes available to this process, null if unknown
+ */
+async function getFreeSpace(dirPath) {
+  // fs.statfs was added in Node.js 18.15
+  if (typeof fs.promises.statfs !== 'function') return null;
+
+  try {
+    const stats = await fs.promises.statfs(dirPath);
+    return stats.bavail * stats.bsize;
+  } catch (err) {
+    log('getFreeSpace', dirPath, err.message);
+    return null;
+  }
+}
+
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+}
+
+class DiskSpaceGuard {
+  /**
+   * @param {Object} options - Options object
+   * @param {number} options.reserve - Bytes that always stay free on the local disks
+   * @param {string} options.inProgressPath - Directory downloads are written to
+   * @param {function} options.getPaths - Returns the directories a job of a category needs space in
+   * @param {number} options.checkInterval - How often running downloads check the free space (ms)
+   * @param {number} options.pauseInterval - How often paused downloads check again (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.reserve = options.reserve || 0;
+    this.inProgressPath = options.inProgressPath;
+    this.getPaths = options.getPaths || (() => [this.inProgressPath]);
+    this.checkInterval = options.checkInterval || 5000;
+    this.pauseInterval = options.pauseInterval || 30000;
+    // Last known free space by directory, for metrics
+    this.freeSpace = new Map();
+    this.paused = false;
+    this.lastCheck = 0;
+    this.waiting = null;
+  }
+
+  /**
+   * Check that a job fits on the local disks, leaving the reserve free
+   * @param {number} size - Size of the job in bytes
+   * @param {string} category - Category of the job
+   * @returns {Promise<Object>} - { ok, path, free, required }, path being the first directory without enough space
+   */
+  async check(size, category) {
+    const required = (size || 0) + this.reserve;
+
+    for (const dirPath of new Set(this.getPaths(category))) {
+      const free = await getFreeSpace(dirPath);
+      if (free === null) continue;
+
+      this.freeSpace.set(dirPath, free);
+      if (free < required) {
+        log('check', dirPath, free, required);
+        return { ok: false, path: dirPath, free, required };
+      }
+    }
+
+    return { ok: true, path: null, free: null, required };
+  }
+
+  /**
+   * Wait while the in-progress disk is below the reserve. Called before every
+   * write; the disk is only checked every checkInterval, and all downloads
+   * wait on the same check while paused.
+   * @returns {Promise<void>}
+   */
+  async waitForSpace() {
+    if (this.waiting) return this.waiting;
+    if (!this.reserve || Date.now() - this.lastCheck < this.checkInterval) return;
+
+    this.waiting = this._waitForSpace().finally(() => {
+      this.waiting = null;
+    });
+    return this.waiting;
+  }
+
+  async _waitForSpace() {
+    for (;;) {
+      this.lastCheck = Date.now();
+      const free = await getFreeSpace(this.inProgressPath);
+      if (free === null || free >= this.reserve) break;
+
+      this.freeSpace.set(this.inProgressPath, free);
+      if (!this.paused) {
+        this.paused = true;
+        logger.warn(`Only ${formatSize(free)} free in '${this.inProgressPath}' (reserve ${formatSize(this.reserve)}), pausing downloads until space is freed`);
+      }
+      await sleep(this.pauseInterval);
+    }
+
+    if (this.paused) {
+      this.paused = false;
+      logger.info(`Enough free space in '${this.inProgressPath}' again, resuming downloads`);
+    }
+  }
+}
+
+export { getFreeSpace };
+export default DiskSpaceGuard;
@@ -272,6 +272,52 @@ async function removeDirectory(dirPath) {
   }
 }
 
+/**
+ * Move a directory and all its contents, falling back to a file-by-file
+ * move when the destination is on another filesystem
+ * 
+ * @param {string} source - Source directory path
+ * @param {string} destination - Destination directory path
+ * @returns {Promise<boolean>} - True if the directory was moved
+ */
+async function moveDirectory(source, destination) {
+  try {
+    await ensureDir(path.dirname(destination));
+    
+    try {
+      await fs.promises.rename(source, destination);
+      logger.success(`Directory moved (renamed) to: ${destination}`);
+      return true;
+    } catch (renameErr) {
+      if (renameErr.code !== 'EXDEV') {
+        throw renameErr;
+      }
+      logger.debug(`Cannot use rename for ${source} to ${destination}, falling back to copy+delete`);
+    }
+    
+    await ensureDir(destination);
+    const entries = await fs.promises.readdir(source, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      const sourcePath = path.join(source, entry.name);
+      const destinationPath = path.join(destination, entry.name);
+      
+      const moved = entry.isDirectory()
+        ? await moveDirectory(sourcePath, destinationPath)
+        : await moveFile(sourcePath, destinationPath);
+      
+      if (!moved) {
+        throw new Error(`Could not move ${sourcePath}`);
+      }
+    }
+    
+    return await removeDirectory(source);
+  } catch (err) {
+    logger.error(`Error moving directory from ${source} to ${destination}: ${err.message}`);
+    return false;
+  }
+}
+
 /**
  * Ensure a directory exists
  * 
@@ -307,6 +353,31 @@ function sanitizeFolderName(name) {
   return sanitized.length > 255 ? sanitized.substring(0, 252) + '...' : sanitized;
 }
 
+/**
+ * Join a relative path from an untrusted source (archive entry, remote listing)
+ * to a root directory. Leading slashes are dropped, each segment is sanitized
+ * and '..' segments are rejected, so the result always stays inside the root.
+ * 
+ * @param {string} root - Root directory
+ * @param {string} relativePath - Relative path, with / or \ separators
+ * @returns {string} - Path inside the root
+ */
+function safeJoin(root, relativePath) {
+  const segments = String(relativePath).split(/[\\/]+/).filter(segment => segment && segment !== '.');
+  
+  if (segments.length === 0 || segments.includes('..')) {
+    throw new Error(`Unsafe path '${relativePath}'`);
+  }
+  
+  const target = path.join(root, ...segments.map(sanitizeFolderName));
+  const relative = path.relative(root, target);
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`Unsafe path '${relativePath}'`);
+  }
+  
+  return target;
+}
+
 /**
  * Checks if a file exists
  * 
@@ -407,8 +478,10 @@ export default {
   moveFile,
   removeDirectoryIfEmpty,
   removeDirectory,
+  moveDirectory,
   ensureDir,
   sanitizeFolderName,
+  safeJoin,
   fileExists,
   getFileHash,
   getFileIdentifier,
@@ -0,0 +1,54 @@
+// lib/utils/glob.js
+
+/**
+ * Convert a glob to a regular expression. `*` matches within a path segment,
+ * `**` across segments and `?` one character; matching is case-insensitive.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Regular expression matching the whole string
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Turn a pattern into a regular expression: `/regex/flags` is used as a
+ * regular expression, anything else as a glob
+ * @param {string} pattern - Pattern
+ * @returns {RegExp} - Regular expression
+ */
+function toRegExp(pattern) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return match ? new RegExp(match[1], match[2]) : globToRegExp(pattern);
+}
+
+/**
+ * Check if a name matches any of the patterns
+ * @param {string} name - File name or relative path
+ * @param {Array<string>} patterns - Globs or /regex/ patterns
+ * @returns {boolean} - True if a pattern matches
+ */
+function matchesAny(name, patterns = []) {
+  return patterns.some(pattern => toRegExp(pattern).test(name));
+}
+
+export default {
+  globToRegExp,
+  toRegExp,
+  matchesAny
+};
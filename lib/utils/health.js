@@ -0,0 +1,169 @@
+// lib/utils/health.js
+import debug from 'debug';
+const log = debug('patbrid:utils:health');
+import fs from 'fs';
+import logger from './logger.js';
+import fileOps from './fileOperations.js';
+import { getFreeSpace } from './diskSpace.js';
+
+class HealthMonitor {
+  /**
+   * @param {Object} options - Options object
+   * @param {OffCloudWatcher} options.watcher - Watcher holding the Offcloud client and stalled downloads
+   * @param {function} options.getWatcherState - Returns { watcherHealthy, consecutiveErrorCount } of the file watcher
+   * @param {Object} options.directories - Directories that must be writable, by name
+   * @param {number} options.apiMaxAge - Maximum age of the last successful Offcloud API call (ms)
+   * @param {string} options.filePath - File the latest report is written to, read by bin/healthcheck.js
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.watcher = options.watcher;
+    this.getWatcherState = options.getWatcherState;
+    this.directories = options.directories || {};
+    this.apiMaxAge = options.apiMaxAge || 900000;
+    this.filePath = options.filePath || null;
+    this.startTime = Date.now();
+    this.interval = null;
+    this.lastReport = null;
+    this.lastProbeTime = 0;
+    this.updating = null;
+  }
+
+  checkWatcher() {
+    const { watcherHealthy, consecutiveErrorCount } = this.getWatcherState();
+    return {
+      healthy: watcherHealthy && consecutiveErrorCount <= 5,
+      watcherHealthy,
+      consecutiveErrorCount
+    };
+  }
+
+  /**
+   * Check the Offcloud API. When nothing talked to it recently (an idle queue),
+   * make a call ourselves so an idle instance isn't reported as unhealthy.
+   * @returns {Promise<Object>} - Check result
+   */
+  async checkApi() {
+    const client = this.watcher.client;
+    const isFresh = () => client.lastSuccessTime && Date.now() - client.lastSuccessTime <= this.apiMaxAge;
+
+    // Probe at most once a minute, a revoked key would otherwise be hammered
+    if (!isFresh() && Date.now() - this.lastProbeTime > 60000) {
+      this.lastProbeTime = Date.now();
+      try {
+        await client.cloudHistory();
+      } catch (err) {
+        log('API probe failed', err.message);
+      }
+    }
+
+    return {
+      healthy: Boolean(isFresh()),
+      lastSuccessTime: client.lastSuccessTime,
+      lastError: client.lastError
+    };
+  }
+
+  checkStalled() {
+    const stalled = this.watcher.stalledDownloads || [];
+    return {
+      healthy: stalled.length === 0,
+      count: stalled.length,
+      downloads: stalled
+    };
+  }
+
+  async checkDirectories() {
+    const result = { healthy: true, directories: {} };
+
+    for (const [name, dir] of Object.entries(this.directories)) {
+      try {
+        await fs.promises.access(dir, fs.constants.W_OK);
+        result.directories[name] = { path: dir, writable: true, freeSpace: await getFreeSpace(dir) };
+      } catch (err) {
+        result.directories[name] = { path: dir, writable: false, error: err.code || err.message };
+        result.healthy = false;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run all checks
+   * @returns {Promise<Object>} - { healthy, checkedAt, uptime, checks }
+   */
+  async check() {
+    const checks = {
+      watcher: this.checkWatcher(),
+      offcloudApi: await this.checkApi(),
+      stalledDownloads: this.checkStalled(),
+      directories: await this.checkDirectories()
+    };
+
+    const report = {
+      healthy: Object.values(checks).every(check => check.healthy),
+      checkedAt: Date.now(),
+      uptime: Math.floor((Date.now() - this.startTime) / 1000),
+      checks
+    };
+
+    if (this.lastReport && this.lastReport.healthy !== report.healthy) {
+      if (report.healthy) {
+        logger.success('Health check passed again');
+      } else {
+        const failed = Object.keys(checks).filter(name => !checks[name].healthy);
+        logger.warn(`Health check failed: ${failed.join(', ')}`);
+      }
+    }
+
+    this.lastReport = report;
+    return report;
+  }
+
+  /**
+   * Run the checks and write the report for the probe
+   * @returns {Promise<Object>} - Report
+   */
+  async update() {
+    // A slow API probe can outlast the interval; share the running update
+    if (this.updating) return this.updating;
+
+    this.updating = (async () => {
+      const report = await this.check();
+
+      if (this.filePath) {
+        try {
+          await fileOps.safeWriteFile(this.filePath, JSON.stringify(report, null, 2));
+        } catch (err) {
+          logger.error(`Error writing health report ${this.filePath}:`, err.message);
+        }
+      }
+      return report;
+    })();
+
+    try {
+      return await this.updating;
+    } finally {
+      this.updating = null;
+    }
+  }
+
+  /**
+   * Check periodically
+   * @param {number} intervalMs - Check interval
+   */
+  start(intervalMs = 30000) {
+    this.update();
+    this.interval = setInterval(() => this.update(), intervalMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+export default HealthMonitor;
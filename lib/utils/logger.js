@@ -18,7 +18,9 @@ const {
   LOG_MAX_SIZE = '10485760', // 10MB default
   LOG_MAX_FILES = '5',
   LOG_COLOR_OUTPUT = 'true',
-  LOG_TIMESTAMP = 'true'
+  LOG_TIMESTAMP = 'true',
+  LOG_STARTUP_HEADER = 'true',
+  LOG_STDERR = 'false'
 } = process.env;
 
 class Logger {
@@ -32,6 +34,9 @@ class Logger {
       logRotation: LOG_ROTATION === 'true',
       logMaxSize: parseInt(LOG_MAX_SIZE, 10) || 10485760,
       logMaxFiles: parseInt(LOG_MAX_FILES, 10) || 5,
+      showStartupHeader: LOG_STARTUP_HEADER === 'true',
+      // Console output goes to stderr when stdout is reserved for command output (CLI)
+      useStderr: LOG_STDERR === 'true',
       truncateResponses: true,
       maxResponseLength: 200,
       ...options
@@ -65,7 +70,9 @@ class Logger {
     this.systemInfo = this.getSystemInfo();
     
     // Log startup header
-    this.logStartupHeader();
+    if (this.options.showStartupHeader) {
+      this.logStartupHeader();
+    }
   }
 
   // New method for download failures
@@ -303,7 +310,11 @@ class Logger {
     }
     
     const formattedMessage = this.formatMessage(level, finalMessage);
-    console.log(formattedMessage);
+    if (this.options.useStderr) {
+      console.error(formattedMessage);
+    } else {
+      console.log(formattedMessage);
+    }
     this.writeToFile(formattedMessage);
   }
 
@@ -0,0 +1,222 @@
+// lib/utils/metrics.js
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Object} labels - Label values by name
+ * @returns {string} - Prometheus label string, empty when there are no labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const escaped = entries.map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  return `{${escaped.join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // label string => { labels, value }
+  }
+
+  entry(labels = {}) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  lines() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels = {}, value = 0) {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.entry(labels).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start a timer
+   * @param {Object} labels - Label values
+   * @returns {function} - Call to observe the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge reporting a per-second rate over a sliding window
+ */
+class Rate extends Metric {
+  constructor(name, help, windowMs = 30000) {
+    super('gauge', name, help);
+    this.windowMs = windowMs;
+    this.samples = []; // [timestamp, amount]
+  }
+
+  add(amount) {
+    this.samples.push([Date.now(), amount]);
+    this.prune();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.samples.length > 0 && this.samples[0][0] < cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get the current rate
+   * @returns {number} - Amount per second over the window
+   */
+  get() {
+    this.prune();
+    const total = this.samples.reduce((sum, [, amount]) => sum + amount, 0);
+    return total / (this.windowMs / 1000);
+  }
+
+  lines() {
+    return [`${this.name} ${this.get()}`];
+  }
+}
+
+class Metrics {
+  constructor(prefix = 'offcloud_') {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    // Modules may ask for the same metric more than once (e.g. several instances)
+    if (!this.metrics.has(metric.name)) {
+      this.metrics.set(metric.name, metric);
+    }
+    return this.metrics.get(metric.name);
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(this.prefix + name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(this.prefix + name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(this.prefix + name, help, buckets));
+  }
+
+  rate(name, help, windowMs) {
+    return this.register(new Rate(this.prefix + name, help, windowMs));
+  }
+
+  /**
+   * Register a function that updates gauges from live state before each scrape
+   * @param {function} fn - Collector, may be async
+   */
+  onCollect(fn) {
+    this.collectors.push(fn);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>} - Exposition text
+   */
+  async render() {
+    for (const collect of this.collectors) {
+      try {
+        await collect();
+      } catch (err) {
+        // A failing collector must not break the whole scrape
+      }
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Create a singleton instance
+const metrics = new Metrics();
+
+export default metrics;
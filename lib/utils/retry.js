@@ -1,5 +1,19 @@
 // lib/utils/retry.js
 import logger from './logger.js';
+import metrics from './metrics.js';
+
+const retriesCounter = metrics.counter('retries_total', 'Retry attempts made by withRetry, by operation');
+const retriesExhaustedCounter = metrics.counter('retries_exhausted_total', 'Operations that still failed after their last retry, by operation');
+
+/**
+ * Metric label for an operation: the first word of its name ("API", "Download", ...),
+ * since the rest contains file names and IDs
+ * @param {string} operationName - Operation name
+ * @returns {string} - Operation label
+ */
+function operationLabel(operationName) {
+  return String(operationName).split(' ')[0].toLowerCase();
+}
 
 /**
  * Execute a function with automatic retry using exponential backoff
@@ -56,6 +70,9 @@ async function withRetry(asyncFn, options = {}, ...args) {
       
       // Check if we should retry based on the error
       if (!shouldRetry(err) || retryCount >= maxRetries) {
+        if (retryCount > 0 && retryCount >= maxRetries) {
+          retriesExhaustedCounter.inc({ operation: operationLabel(operationName) });
+        }
         logger.debug(`Not retrying "${operationName}": shouldRetry=${shouldRetry(err)}, retryCount=${retryCount}, maxRetries=${maxRetries}`);
         throw err;
       }
@@ -66,6 +83,7 @@ async function withRetry(asyncFn, options = {}, ...args) {
       }
       
       retryCount++;
+      retriesCounter.inc({ operation: operationLabel(operationName) });
       // Calculate backoff time with exponential increase and jitter
       const waitTime = calculateBackoff(retryCount, baseDelay, maxDelay);
       
@@ -0,0 +1,104 @@
+// lib/utils/schedule.js
+
+/**
+ * Parse a time of day
+ * @param {string} text - Time as HH:MM, 24:00 for the end of the day
+ * @returns {number} - Minutes after midnight
+ */
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : -1;
+  if (!match || parseInt(match[2], 10) > 59 || minutes > 1440) {
+    throw new Error(`Invalid time '${text}', expected HH:MM`);
+  }
+  return minutes;
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse comma-separated time windows like "01:00-07:00, 22:00-02:00". A
+ * window can carry a value after "=", e.g. "01:00-07:00=0".
+ * @param {string} value - Windows
+ * @returns {Array<Object>} - { start, end, value } with times in minutes after midnight
+ */
+function parseWindows(value) {
+  if (!value) return [];
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const match = /^([\d:]+)\s*-\s*([\d:]+)\s*(?:=\s*(.+))?$/.exec(item);
+    if (!match) {
+      throw new Error(`Invalid time window '${item}', expected HH:MM-HH:MM`);
+    }
+    return { start: parseTime(match[1]), end: parseTime(match[2]), value: match[3] };
+  });
+}
+
+/**
+ * Find the first window that contains a time, in local time. Windows whose
+ * end is before their start cross midnight.
+ * @param {Array<Object>} windows - Windows from parseWindows()
+ * @param {Date} date - Time to check
+ * @returns {Object|null} - Window or null
+ */
+function findWindow(windows, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return windows.find(({ start, end }) =>
+    start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end
+  ) || null;
+}
+
+/**
+ * Daily time windows during which something may run. Without windows it may
+ * always run.
+ */
+class Schedule {
+  /**
+   * @param {Array<Object>} windows - Windows from parseWindows()
+   */
+  constructor(windows = []) {
+    this.windows = windows;
+  }
+
+  /**
+   * @param {string} value - Comma-separated windows, e.g. "01:00-07:00,22:00-23:30"
+   * @returns {Schedule} - Schedule
+   */
+  static parse(value) {
+    return new Schedule(parseWindows(value));
+  }
+
+  get enabled() {
+    return this.windows.length > 0;
+  }
+
+  isOpen(date = new Date()) {
+    return !this.enabled || findWindow(this.windows, date) !== null;
+  }
+
+  /**
+   * Find when the schedule opens next
+   * @param {Date} date - Time to start from
+   * @returns {Date|null} - Start of the next window, or null if it is open now
+   */
+  nextOpen(date = new Date()) {
+    if (this.isOpen(date)) return null;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    // Minutes until each window starts, wrapping to the next day
+    const wait = Math.min(...this.windows.map(({ start }) => (start - minutes + 1440) % 1440));
+    const next = new Date(date);
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + wait);
+    return next;
+  }
+
+  toString() {
+    return this.windows.map(({ start, end }) => `${formatTime(start)}-${formatTime(end)}`).join(', ') || 'always';
+  }
+}
+
+export { parseTime, formatTime, parseWindows, findWindow };
+export default Schedule;
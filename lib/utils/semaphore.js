@@ -0,0 +1,58 @@
+// lib/utils/semaphore.js
+
+/**
+ * Counting semaphore that limits how many operations run at once.
+ * Waiters are served in the order they called acquire().
+ */
+class Semaphore {
+  /**
+   * @param {number} limit - Maximum number of holders, Infinity for no limit
+   */
+  constructor(limit) {
+    this.limit = limit > 0 ? limit : Infinity;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<function>} - Releases the slot; calling it again does nothing
+   */
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      // The slot is handed over by release(), so active stays the same
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    };
+  }
+
+  /**
+   * Run a function while holding a slot
+   * @param {function} fn - Async function to run
+   * @returns {Promise<any>} - Result of the function
+   */
+  async run(fn) {
+    const release = await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+}
+
+export default Semaphore;
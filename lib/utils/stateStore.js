@@ -0,0 +1,149 @@
+// lib/utils/stateStore.js
+import fs from 'fs';
+import logger from './logger.js';
+import fileOps from './fileOperations.js';
+
+const STATE_VERSION = 1;
+
+/**
+ * Durable JSON state store for data that must survive a restart
+ * (queue items, watched torrents, dedupe maps).
+ *
+ * State is kept in memory as named sections and written to disk with
+ * fileOps.safeWriteFile (temp file + rename), so a crash mid-write never
+ * leaves a truncated state file behind.
+ */
+class StateStore {
+  /**
+   * @param {string} filePath - Path of the JSON state file
+   * @param {Object} options - Options object
+   * @param {number} options.saveDelay - Debounce delay for writes in ms (default: 1000)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.sections = {};
+    this.saveDelay = options.saveDelay || 1000;
+    this.savePromise = null;
+    this.savePending = false;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load state from disk. A missing file starts with empty state, a corrupt
+   * file is moved aside so it can be inspected later.
+   * @returns {Promise<Object>} - Loaded sections
+   */
+  async load() {
+    if (!await fileOps.fileExists(this.filePath)) {
+      logger.info(`No saved state found at ${this.filePath}, starting fresh`);
+      this.sections = {};
+      return this.sections;
+    }
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+
+      if (!data || typeof data.sections !== 'object') {
+        throw new Error('Missing sections');
+      }
+
+      this.sections = data.sections;
+      logger.info(`Loaded saved state from ${this.filePath} (saved ${data.savedAt || 'unknown'})`);
+    } catch (err) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      logger.error(`Saved state at ${this.filePath} is unreadable: ${err.message}. Moving it to ${corruptPath}`);
+
+      try {
+        await fs.promises.rename(this.filePath, corruptPath);
+      } catch (renameErr) {
+        logger.error(`Error moving corrupt state file: ${renameErr.message}`);
+      }
+
+      this.sections = {};
+    }
+
+    return this.sections;
+  }
+
+  /**
+   * Get a section of the state
+   * @param {string} name - Section name
+   * @param {*} fallback - Value returned when the section doesn't exist
+   * @returns {*} - Section value
+   */
+  get(name, fallback = null) {
+    return Object.prototype.hasOwnProperty.call(this.sections, name) ? this.sections[name] : fallback;
+  }
+
+  /**
+   * Replace a section of the state and schedule a write
+   * @param {string} name - Section name
+   * @param {*} value - JSON-serializable value
+   */
+  set(name, value) {
+    this.sections[name] = value;
+    this.scheduleSave();
+  }
+
+  /**
+   * Debounce writes so bursts of changes result in a single save
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Write the current state to disk. Concurrent calls are coalesced so
+   * only one write is in flight at a time.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (this.savePromise) {
+      this.savePending = true;
+      return this.savePromise;
+    }
+
+    this.savePromise = (async () => {
+      try {
+        do {
+          this.savePending = false;
+          const data = JSON.stringify({
+            version: STATE_VERSION,
+            savedAt: new Date().toISOString(),
+            sections: this.sections
+          }, null, 2);
+
+          await fileOps.safeWriteFile(this.filePath, data, { encoding: 'utf8' });
+        } while (this.savePending);
+      } catch (err) {
+        logger.error(`Error saving state to ${this.filePath}: ${err.message}`);
+      } finally {
+        this.savePromise = null;
+      }
+    })();
+
+    return this.savePromise;
+  }
+
+  /**
+   * Write any pending changes immediately (used on shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    await this.save();
+  }
+}
+
+export default StateStore;
@@ -0,0 +1,102 @@
+// lib/utils/webhooks.js
+import debug from 'debug';
+const log = debug('patbrid:utils:webhooks');
+import crypto from 'crypto';
+import axios from 'axios';
+import logger from './logger.js';
+import { withRetry } from './retry.js';
+
+const EVENTS = ['queued', 'submitted', 'remote_downloaded', 'download_started', 'completed', 'failed'];
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Signature in the form sha256=<hex>
+ */
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Host of a webhook URL for log messages; the path often contains a token
+ * @param {string} url - Webhook URL
+ * @returns {string} - Host, or the URL if it can't be parsed
+ */
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return url;
+  }
+}
+
+class WebhookNotifier {
+  /**
+   * @param {Object} options - Options object
+   * @param {Array<string>} options.urls - Endpoints every event is POSTed to
+   * @param {string} options.secret - Secret for the X-Offcloud-Signature HMAC header; unsigned when empty
+   * @param {Array<string>} options.events - Events to send (default: all)
+   * @param {number} options.timeout - Request timeout (ms)
+   */
+  constructor(options = {}) {
+    log('ctor');
+    this.urls = options.urls || [];
+    this.secret = options.secret || '';
+    this.events = options.events && options.events.length > 0 ? options.events : EVENTS;
+    this.timeout = options.timeout || 10000;
+
+    const unknown = this.events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      logger.warn(`Unknown webhook events ignored: ${unknown.join(', ')} (known: ${EVENTS.join(', ')})`);
+    }
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  /**
+   * Send an event to all endpoints. Never throws; failures are logged so a
+   * broken endpoint doesn't affect downloads.
+   * @param {string} event - Event name
+   * @param {Object} job - Job description
+   * @returns {Promise<void>}
+   */
+  async notify(event, job) {
+    if (!this.enabled || !this.events.includes(event)) return;
+
+    const body = JSON.stringify({ event, timestamp: new Date().toISOString(), job });
+    await Promise.all(this.urls.map(url => this.send(url, event, body)));
+  }
+
+  async send(url, event, body) {
+    log('send', event, describeUrl(url));
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'offcloud-downloader',
+      'X-Offcloud-Event': event
+    };
+    if (this.secret) {
+      headers['X-Offcloud-Signature'] = sign(this.secret, body);
+    }
+
+    try {
+      await withRetry(
+        async () => await axios.post(url, body, { headers, timeout: this.timeout }),
+        {
+          maxRetries: 2,
+          baseDelay: 2000,
+          operationName: `Webhook ${event} to ${describeUrl(url)}`
+        }
+      );
+    } catch (err) {
+      const status = err.response ? ` (HTTP ${err.response.status})` : '';
+      logger.warn(`Webhook ${event} to ${describeUrl(url)} failed${status}: ${err.message}`);
+    }
+  }
+}
+
+export { EVENTS, sign };
+export default WebhookNotifier;
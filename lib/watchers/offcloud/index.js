@@ -5,18 +5,63 @@ const log = debug('patbrid:watchers:offcloud');
 import OffCloudAPI from './offcloudapi.js';
 import OffCloudTorrent from './torrent.js';
 import OffCloudQueueManager from './queuemanager.js';
+import fileOps from '../../utils/fileOperations.js';
+
+const HISTORY_SIZE = 200; // Number of finished jobs to remember
 
 class OffCloudWatcher {
-  constructor (apiKey, downloadFn, maxConcurrentDownloads = 3) {
+  constructor (apiKey, downloadFn, maxConcurrentDownloads = 3, options = {}) {
     log('ctor', apiKey);
 
     this.client = new OffCloudAPI(apiKey);
     console.log('this.client ', this.client);
     this.downloadFn = downloadFn;
     this.watchList = [];
+    this.history = []; // Finished jobs, newest first
+    this.stalledDownloads = []; // Stalled jobs found by the last health check
+    this.stateStore = options.stateStore || null;
+    this.categories = options.categories || null;
+    // Called with (event, job) for lifecycle events, e.g. to send webhooks
+    this.onEvent = options.onEvent || null;
+    // A low_storage event is sent when free Offcloud storage drops below this (bytes, 0 to disable)
+    this.lowStorageThreshold = options.lowStorageThreshold || 0;
+    this.storageLow = false;
+    // Called with the job description after the files were moved to the completed folder; throws to fail the job
+    this.postProcess = options.postProcess || null;
+    // Jobs Offcloud finished only start downloading locally inside these windows (optional Schedule)
+    this.downloadSchedule = options.downloadSchedule || null;
+    // Checks the local disks have room for a job before it starts downloading (optional DiskSpaceGuard)
+    this.diskGuard = options.diskGuard || null;
+    // Returns the directories a job of a category creates its folder in
+    this.getJobDirs = options.getJobDirs || (() => []);
     
     // Initialize the queue manager
-    this.queueManager = new OffCloudQueueManager(this.client, maxConcurrentDownloads);
+    this.queueManager = new OffCloudQueueManager(this.client, maxConcurrentDownloads, {
+      stateStore: this.stateStore,
+      categories: this.categories,
+      getActiveCount: category => this.watchList.filter(
+        torrent => torrent.category === category && torrent.status !== 'invalid'
+      ).length,
+      onItemQueued: item => this.emitEvent('queued', this.describeQueueItem(item)),
+      onStorageUpdated: storageInfo => this.checkLowStorage(storageInfo),
+      submitSchedule: options.submitSchedule,
+      cachePolicy: options.cachePolicy,
+      uncachedAction: options.uncachedAction,
+      getReadyCount: () => this.watchList.filter(torrent => torrent.status === 'ready').length,
+      isNameTaken: (name, category) => this.isJobNameTaken(name, category),
+      onItemFailed: (item, err) => {
+        this.recordHistory({
+          jobId: item.id,
+          file: item.file,
+          name: item.name || path.basename(item.file).replace(/\.[^/.]+$/, ''),
+          category: item.category || '',
+          infoHash: item.infoHash || null,
+          status: 'failed',
+          error: err.message
+        });
+        this.emitEvent('failed', { ...this.describeQueueItem(item), error: err.message });
+      }
+    });
     
     // Set interval to periodically check storage and process queue
     this.queueInterval = setInterval(() => {
@@ -29,13 +74,121 @@ class OffCloudWatcher {
     }, 300000); // Check every 5 minutes
   }
   
+  /**
+   * Report a lifecycle event to the onEvent callback
+   * @param {string} event - queued, submitted, remote_downloaded, download_started, completed, failed or low_storage
+   * @param {Object} data - Job description, or storage info for low_storage
+   */
+  emitEvent(event, data) {
+    if (typeof this.onEvent !== 'function') return;
+    
+    try {
+      this.onEvent(event, data);
+    } catch (err) {
+      console.log(`[!] Error handling ${event} event: ${err.message}`);
+    }
+  }
+  
+  /**
+   * Send a low_storage event when free Offcloud storage drops below the threshold,
+   * once until it recovers
+   * @param {Object} storageInfo - { totalSpace, usedSpace, freeSpace }
+   */
+  checkLowStorage(storageInfo) {
+    if (!this.lowStorageThreshold) return;
+    
+    const low = storageInfo.freeSpace < this.lowStorageThreshold;
+    if (low && !this.storageLow) {
+      this.emitEvent('low_storage', {
+        totalSpace: storageInfo.totalSpace,
+        usedSpace: storageInfo.usedSpace,
+        freeSpace: storageInfo.freeSpace,
+        threshold: this.lowStorageThreshold
+      });
+    }
+    this.storageLow = low;
+  }
+  
+  /**
+   * Describe a queue item for event payloads
+   * @param {Object} item - Queue item
+   * @returns {Object} - Job description
+   */
+  describeQueueItem(item) {
+    return {
+      jobId: item.id,
+      requestId: null,
+      name: item.name || path.basename(item.file).replace(/\.[^/.]+$/, ''),
+      file: item.file,
+      category: item.category || '',
+      infoHash: item.infoHash || null,
+      status: item.status,
+      remoteSize: 0,
+      estimatedSize: item.estimatedSize || 0,
+      cached: item.cached !== undefined ? item.cached : null,
+      size: 0,
+      path: null,
+      paths: [],
+      error: item.lastError || null
+    };
+  }
+  
+  /**
+   * Describe a torrent for event payloads
+   * @param {OffCloudTorrent} torrent - Torrent
+   * @returns {Object} - Job description
+   */
+  describeTorrent(torrent) {
+    const result = torrent.result;
+    
+    return {
+      jobId: torrent.jobId,
+      requestId: torrent.id || null,
+      name: torrent.getJobName(),
+      file: torrent.file,
+      category: torrent.category,
+      infoHash: torrent.infoHash,
+      status: torrent.status,
+      remoteSize: torrent.remoteSize,
+      estimatedSize: torrent.remoteSize,
+      size: result ? result.size : 0,
+      path: result ? result.folder : null,
+      paths: result ? result.success.map(fileName => path.join(result.folder, fileName)) : [],
+      skipped: result ? result.skipped || [] : [],
+      waitReason: torrent.waitReason,
+      error: torrent.errorMessage || null
+    };
+  }
+
+  /**
+   * Check if a job Offcloud finished can be downloaded locally now
+   * @param {OffCloudTorrent} torrent - Torrent object
+   * @param {number} size - Size of the job reported by Offcloud
+   * @returns {Promise<string|null>} - Why the download has to wait, or null to start it
+   */
+  async getLocalWaitReason(torrent, size) {
+    if (this.downloadSchedule && !this.downloadSchedule.isOpen()) {
+      return 'outside the local download window';
+    }
+
+    if (this.diskGuard) {
+      const space = await this.diskGuard.check(size, torrent.category);
+      if (!space.ok) {
+        log('getLocalWaitReason', torrent.file, space);
+        return `not enough free space in '${space.path}' (${(space.required / (1024 * 1024)).toFixed(2)}MB needed including the reserve)`;
+      }
+    }
+
+    return null;
+  }
+  
   /**
    * Process the download queue
    */
   async processQueue() {
     if (this.queueManager.queue.length > 0) {
       const stats = this.queueManager.getQueueStats();
-      console.log(`[+] Queue status: ${stats.queueLength} items total, ${stats.activeDownloads} active, ${stats.pendingItems} pending`);
+      console.log(`[+] Queue status: ${stats.queueLength} items total, ${stats.activeDownloads} active, ${stats.pendingItems} pending, ${stats.readyItems} ready`);
       
       // Trigger queue processing
       await this.queueManager.processQueue();
@@ -56,6 +209,14 @@ class OffCloudWatcher {
              (now - torrent.lastUpdate > 1800000);
     });
     
+    // Reported by the health endpoint until the next check
+    this.stalledDownloads = stalledDownloads.map(torrent => ({
+      jobId: torrent.jobId,
+      requestId: torrent.id,
+      file: torrent.file,
+      lastUpdate: torrent.lastUpdate
+    }));
+    
     if (stalledDownloads.length > 0) {
       console.log(`[!] Found ${stalledDownloads.length} stalled downloads, forcing status check`);
       
@@ -79,43 +240,266 @@ class OffCloudWatcher {
     });
   }
 
+  /**
+   * Restore the queue and watch list from the state store so jobs that were
+   * already submitted to Offcloud continue from their last known status
+   */
+  async restoreState() {
+    if (!this.stateStore) return;
+    
+    await this.queueManager.restoreState(file => this.getProcessFunction(file));
+    this.history = this.stateStore.get('history', []);
+    
+    let restored = 0;
+    for (const saved of this.stateStore.get('torrents', [])) {
+      if (!saved || !saved.id || saved.status === 'invalid') continue;
+      
+      const torrent = OffCloudTorrent.restore(this.client, this.downloadFn, saved);
+      if (!torrent.jobId) {
+        torrent.jobId = this.queueManager.generateJobId();
+      }
+      this.attachTorrent(torrent);
+      this.addToWatchList(torrent);
+      restored++;
+      console.log(`[+] Restored '${torrent.file}' (${torrent.id}) with status ${torrent.status}`);
+    }
+    
+    if (restored > 0) {
+      console.log(`[+] Restored ${restored} in-flight torrents from saved state`);
+    }
+    this.persistWatchList();
+  }
+  
+  /**
+   * Track a downloaded Offcloud item that has no local job, so it is downloaded
+   * again into the given job folder
+   * @param {Object} item - Cloud history item
+   * @param {string} jobName - Name of the job folder
+   * @returns {boolean} - True if the item was adopted
+   */
+  adoptRemote(item, jobName) {
+    log('adoptRemote', item.requestId, jobName);
+    
+    let alturl = item.url || '';
+    if (!alturl && item.server) {
+      alturl = `https://${item.server}.offcloud.com/cloud/download/${item.requestId}`;
+    }
+    
+    if (!alturl) {
+      console.log(`[!] Cannot adopt ${item.requestId}: no download URL in cloud history`);
+      return false;
+    }
+    
+    const torrent = new OffCloudTorrent(this.client, this.downloadFn, jobName);
+    torrent.id = item.requestId;
+    torrent.alturl = alturl;
+    torrent.jobName = jobName;
+    torrent.hasSourceFile = false;
+    torrent.jobId = this.queueManager.generateJobId();
+    torrent.status = 'downloading';
+    
+    this.attachTorrent(torrent);
+    this.addToWatchList(torrent);
+    return true;
+  }
+  
+  /**
+   * Save the watch list to the state store
+   */
+  persistWatchList() {
+    if (!this.stateStore) return;
+    
+    this.stateStore.set('torrents', this.watchList.map(torrent => torrent.serialize()));
+  }
+  
+  /**
+   * Remember a finished job. A job has one entry; recording it again (e.g.
+   * after a retry) replaces the previous one.
+   * @param {Object} entry - History entry
+   */
+  recordHistory(entry) {
+    if (entry.jobId) {
+      this.history = this.history.filter(existing => existing.jobId !== entry.jobId);
+    }
+    this.history.unshift({ ...entry, finishedTime: Date.now() });
+    this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+    
+    if (this.stateStore) {
+      this.stateStore.set('history', this.history);
+    }
+  }
+  
+  /**
+   * Remove a job from the history
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Removed entry, or null if not found
+   */
+  removeFromHistory(jobId) {
+    const index = this.history.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return null;
+    
+    const [entry] = this.history.splice(index, 1);
+    if (this.stateStore) {
+      this.stateStore.set('history', this.history);
+    }
+    return entry;
+  }
+  
+  /**
+   * Check if a job folder name is used by an in-flight job or a folder in the
+   * in-progress or completed directory
+   * @param {string} name - Sanitized job name
+   * @param {string} category - Category of the job
+   * @returns {Promise<boolean>} - True if the name is taken
+   */
+  async isJobNameTaken(name, category) {
+    if (this.watchList.some(torrent => fileOps.sanitizeFolderName(torrent.getJobName()) === name)) {
+      return true;
+    }
+    for (const dir of this.getJobDirs(category)) {
+      if (await fileOps.fileExists(path.join(dir, name))) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Check if a file already belongs to a queued or in-flight job
+   * @param {string} file - Path to the file
+   * @returns {boolean} - True if the file is already known
+   */
+  isKnownFile(file) {
+    return this.queueManager.queue.some(item => item.file === file) ||
+           this.watchList.some(torrent => torrent.file === file);
+  }
+
+  /**
+   * Get the function that submits a file to Offcloud, based on its type
+   * @param {string} file - Path to the file
+   * @returns {function} - Process function for the queue
+   */
+  getProcessFunction(file) {
+    const extension = path.extname(file).toLowerCase();
+    
+    // .magnet and .url files hold a link that is added to Offcloud as-is
+    if (extension === '.magnet' || extension === '.url') {
+      return this.addMagnet.bind(this);
+    }
+    return this.addTorrent.bind(this);
+  }
+
   /**
    * Add a file to be processed
    * @param {string} file - Path to the file
+   * @returns {Promise<Object|null>} - Queue item, or null if the file was skipped
    */
   async addFile(file) {
     log('addFile', file);
 
-    const extension = path.extname(file).toLowerCase();
+    // A restored job keeps its source file in the watch folder until it completes,
+    // so the initial scan after a restart must not submit it a second time
+    if (this.isKnownFile(file)) {
+      console.log(`[!] ${file} is already queued or downloading, not adding it again`);
+      return null;
+    }
     
-    // Create a specialized processing function based on file type
-    let processFunction;
+    // Files in a WATCH_DIR subfolder belong to that category
+    const category = this.categories ? this.categories.detect(file) : '';
     
-    if (extension === '.magnet') {
-      processFunction = this.addMagnet.bind(this);
-    } else {
-      processFunction = this.addTorrent.bind(this);
+    // Add the file to the queue instead of processing immediately
+    return await this.queueManager.addToQueue(file, this.getProcessFunction(file), { category });
+  }
+  
+  /**
+   * Find an in-flight torrent by job ID, Offcloud request ID or source file
+   * @param {string} id - Job ID, request ID or file path
+   * @returns {OffCloudTorrent|null} - Torrent or null if not found
+   */
+  findTorrent(id) {
+    return this.watchList.find(torrent =>
+      torrent.jobId === id || torrent.id === id || torrent.file === id
+    ) || null;
+  }
+  
+  /**
+   * Wire up the completion callback of a torrent
+   * @param {OffCloudTorrent} torrent - Torrent to attach
+   */
+  attachTorrent(torrent) {
+    torrent.onEvent = event => this.emitEvent(event, this.describeTorrent(torrent));
+    torrent.getLocalWaitReason = size => this.getLocalWaitReason(torrent, size);
+    if (this.postProcess) {
+      torrent.postProcessFn = async () => {
+        const job = await this.postProcess(this.describeTorrent(torrent));
+        // Post-processing can change the files, e.g. by extracting archives
+        if (job && Array.isArray(job.paths) && torrent.result) {
+          torrent.result.success = job.paths.map(filePath => path.relative(torrent.result.folder, filePath));
+          torrent.result.size = job.size;
+        }
+      };
     }
     
-    // Add the file to the queue instead of processing immediately
-    await this.queueManager.addToQueue(file, processFunction);
+    // Set the completion callback to inform the queue manager
+    torrent.onComplete = () => {
+      let status = torrent.succeeded ? 'completed' : 'failed';
+      if (torrent.cancelled) status = 'cancelled';
+      const error = status === 'failed' ? (torrent.errorMessage || torrent.remoteStatus || 'Unknown error') : null;
+      
+      this.recordHistory({
+        jobId: torrent.jobId,
+        requestId: torrent.id,
+        file: torrent.file,
+        name: torrent.getJobName(),
+        category: torrent.category,
+        infoHash: torrent.infoHash,
+        status,
+        path: torrent.result ? torrent.result.folder : null,
+        size: torrent.result ? torrent.result.size : torrent.remoteSize,
+        files: torrent.result ? torrent.result.success : [],
+        skipped: torrent.result ? torrent.result.skipped || [] : [],
+        addedTime: torrent.addedTime,
+        // Magnet links and URLs can be submitted again by a retry
+        link: torrent.magnetlink ? torrent.magnetlink.trim() : null,
+        error
+      });
+      
+      if (status !== 'cancelled') {
+        this.emitEvent(status, { ...this.describeTorrent(torrent), status, error });
+      }
+      
+      this.queueManager.downloadCompleted();
+      // Remove from watch list
+      this.removeFromWatchList(torrent);
+    };
   }
 
-  async addTorrent(file) {
+  /**
+   * Create a torrent for a queue item
+   * @param {string} file - Path to the file
+   * @param {Object} queueItem - Queue item the torrent is created for
+   * @param {string} magnetlink - Link to add instead of uploading the file
+   * @returns {OffCloudTorrent} - Torrent
+   */
+  createTorrent(file, queueItem, magnetlink = null) {
+    const torrent = new OffCloudTorrent(this.client, this.downloadFn, file, magnetlink);
+    torrent.jobId = queueItem.id || this.queueManager.generateJobId();
+    torrent.category = queueItem.category || '';
+    torrent.infoHash = queueItem.infoHash || null;
+    // Jobs are named after the name in their metadata rather than the source file
+    torrent.jobName = queueItem.name || null;
+    torrent.password = queueItem.password || null;
+    return torrent;
+  }
+
+  async addTorrent(file, queueItem = {}) {
     log('addTorrent', file);
     console.log('processing file: ', file);
 
     try {
       // Create a torrent instance
-      const torrent = new OffCloudTorrent(this.client, this.downloadFn, file);
+      const torrent = this.createTorrent(file, queueItem);
       console.log('created file: ', file);
       
-      // Set the completion callback to inform the queue manager
-      torrent.onComplete = () => {
-        this.queueManager.downloadCompleted();
-        // Remove from watch list
-        this.removeFromWatchList(torrent);
-      };
+      this.attachTorrent(torrent);
       
       // Add the torrent to the queue
       await torrent.addToQueue();
@@ -132,21 +516,16 @@ class OffCloudWatcher {
     }
   }
 
-  async addMagnet(file) {
+  async addMagnet(file, queueItem = {}) {
     log('addMagnet', file);
 
     try {
       const data = await fs.promises.readFile(file, 'utf8');
       
       // Create a torrent instance
-      const torrent = new OffCloudTorrent(this.client, this.downloadFn, file, data);
+      const torrent = this.createTorrent(file, queueItem, data);
       
-      // Set the completion callback to inform the queue manager
-      torrent.onComplete = () => {
-        this.queueManager.downloadCompleted();
-        // Remove from watch list
-        this.removeFromWatchList(torrent);
-      };
+      this.attachTorrent(torrent);
 
       // Add the torrent to the queue
       await torrent.addToQueue();
@@ -174,6 +553,7 @@ class OffCloudWatcher {
       for (const torrent of this.watchList) {
         try {
           await torrent.update();
+          this.persistWatchList();
           // Small delay between requests to avoid overwhelming the server
           await new Promise(resolve => setTimeout(resolve, 500));
         } catch (err) {
@@ -198,6 +578,7 @@ class OffCloudWatcher {
     
     // Add the torrent to the watch list
     this.watchList.push(torrent);
+    this.persistWatchList();
   }
 
   removeFromWatchList(torrent) {
@@ -208,6 +589,7 @@ class OffCloudWatcher {
 
     if (index !== -1) {
       this.watchList.splice(index, 1);
+      this.persistWatchList();
       console.log(`[+] Removed torrent ${torrent.file} from watch list`);
     }
   }
@@ -219,9 +601,30 @@ class OffCloudWatcher {
     const initialCount = this.watchList.length;
     
     this.watchList = this.watchList.filter(torrent => {
-      const isValid = torrent.status !== 'invalid';
+      // Finishing torrents are invalid while they are deleted; onComplete reports and removes them
+      const isValid = torrent.status !== 'invalid' || torrent.finishing;
       if (!isValid) {
         console.log(`[+] Removing invalid torrent ${torrent.file} from watch list`);
+        
+        // Only torrents whose status updates failed end up here
+        this.recordHistory({
+          jobId: torrent.jobId,
+          requestId: torrent.id,
+          file: torrent.file,
+          name: torrent.getJobName(),
+          category: torrent.category,
+          infoHash: torrent.infoHash,
+          status: 'failed',
+          size: torrent.remoteSize,
+          addedTime: torrent.addedTime,
+          link: torrent.magnetlink ? torrent.magnetlink.trim() : null,
+          error: torrent.errorMessage || 'Status updates failed'
+        });
+        this.emitEvent('failed', {
+          ...this.describeTorrent(torrent),
+          status: 'failed',
+          error: torrent.errorMessage || 'Status updates failed'
+        });
       }
       return isValid;
     });
@@ -229,6 +632,7 @@ class OffCloudWatcher {
     const removedCount = initialCount - this.watchList.length;
     if (removedCount > 0) {
       console.log(`[+] Removed ${removedCount} invalid torrents from watch list`);
+      this.persistWatchList();
     }
   }
   
@@ -6,8 +6,27 @@ import axios from 'axios';
 import FormData from 'form-data';
 import { resolve } from 'path';
 import logger from '../../utils/logger.js';
+import metrics from '../../utils/metrics.js';
 import { withRetry, sleep, isRetriableStatus } from '../../utils/retry.js';
 
+const requestsCounter = metrics.counter('api_requests_total', 'Offcloud API calls by endpoint');
+const requestErrorsCounter = metrics.counter('api_request_errors_total', 'Failed Offcloud API calls by endpoint (after retries)');
+const requestDuration = metrics.histogram('api_request_duration_seconds', 'Offcloud API call latency by endpoint, including retries');
+
+/**
+ * Metric label for an endpoint: the path without host, query and request IDs
+ * @param {string} endpoint - Endpoint or full URL
+ * @returns {string} - Endpoint label
+ */
+function endpointLabel(endpoint) {
+  return endpoint
+    .replace(/^https?:\/\/[^/]+\//, '')
+    .split('?')[0]
+    .split('/')
+    .map(segment => (/^[0-9a-f]{12,}$/i.test(segment) || /^\d+$/.test(segment) ? ':id' : segment))
+    .join('/');
+}
+
 class OffCloudAPI {
   constructor(token, defaultOptions = {}) {
     this.token = token;
@@ -15,6 +34,10 @@ class OffCloudAPI {
     this.defaultOptions = defaultOptions;
     delete this.defaultOptions.base_url;
     
+    // Used by the health check to spot a revoked key or an unreachable API
+    this.lastSuccessTime = null;
+    this.lastError = null;
+    
     // Create axios instance with common configuration
     this.axiosInstance = axios.create({
       timeout: 30000, // 30 second default timeout
@@ -80,6 +103,10 @@ class OffCloudAPI {
       return true; // Default behavior in withRetry
     };
 
+    const label = { endpoint: endpointLabel(endpoint) };
+    requestsCounter.inc(label);
+    const stopTimer = requestDuration.startTimer(label);
+
     try {
       // Use our common retry utility
       const response = await withRetry(
@@ -114,10 +141,15 @@ class OffCloudAPI {
         }
       }
       
+      this.lastSuccessTime = Date.now();
       return response.data;
     } catch (err) {
+      requestErrorsCounter.inc(label);
+      this.lastError = { time: Date.now(), endpoint, message: err.message };
       logger.error(`Failed API call to ${endpoint}: ${err.message}`);
       throw err;
+    } finally {
+      stopTimer();
     }
   }
 
@@ -245,10 +277,16 @@ class OffCloudAPI {
     });
   }
 
+  /**
+   * Look up infohashes in the Offcloud cache
+   * @param {string|Array<string>} bthashes - Infohash or list of infohashes
+   * @returns {Promise<Object>} - { cachedItems: [...] } with the cached infohashes
+   */
   async btstatus(bthashes) {
+    log('btstatus: ', bthashes);
     return await this._post('cache', {
       formData: {
-        hashes: [bthashes]
+        hashes: [].concat(bthashes)
       }
     });
   }
@@ -289,6 +327,7 @@ class OffCloudAPI {
       );
       
       logger.success(`File upload successful: ${path}`);
+      this.lastSuccessTime = Date.now();
       logger.debug('Upload response:', response.data);
       return response.data;
     }
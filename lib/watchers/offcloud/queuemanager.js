@@ -7,11 +7,37 @@ import crypto from 'crypto';
 import logger from '../../utils/logger.js';
 import { withRetry, sleep } from '../../utils/retry.js';
 import fileOps from '../../utils/fileOperations.js';
+import torrentParser from '../../parsers/torrent.js';
+import nzbParser from '../../parsers/nzb.js';
+import magnet from '../../parsers/magnet.js';
+import Schedule from '../../utils/schedule.js';
 
 class OffCloudQueueManager {
-  constructor(client, maxConcurrentDownloads = 3) {
+  constructor(client, maxConcurrentDownloads = 3, options = {}) {
     log('Initializing queue manager');
     this.client = client;
+    this.stateStore = options.stateStore || null;
+    this.categories = options.categories || null;
+    // Returns the number of in-flight jobs of a category, used for per-category concurrency
+    this.getActiveCount = options.getActiveCount || (() => 0);
+    // Called when an item is dropped from the queue after its last retry
+    this.onItemFailed = options.onItemFailed || null;
+    // Called when a file was added to the queue
+    this.onItemQueued = options.onItemQueued || null;
+    // Called with the storage info after each storage update from the cloud history
+    this.onStorageUpdated = options.onStorageUpdated || null;
+    // Items are only submitted to Offcloud inside these windows
+    this.submitSchedule = options.submitSchedule || new Schedule();
+    this.waitingForSubmitWindow = false;
+    // Returns the number of jobs Offcloud finished that wait for the local download window
+    this.getReadyCount = options.getReadyCount || (() => 0);
+    // Resolves to true if a job folder name is used by an in-flight job or an existing folder
+    this.isNameTaken = options.isNameTaken || (() => false);
+    // Offcloud cache policy: 'any', 'prefer-cached' or 'cached-only'; categories can override it
+    this.cachePolicy = options.cachePolicy || 'any';
+    // What 'cached-only' does with uncached items: 'hold' them until they are cached, or 'reject' them
+    this.uncachedAction = options.uncachedAction || 'hold';
+    this.cacheRecheckInterval = options.cacheRecheckInterval || 1800000;
     this.queue = [];
     this.maxConcurrentDownloads = maxConcurrentDownloads;
     this.activeDownloads = 0;
@@ -55,6 +81,93 @@ class OffCloudQueueManager {
     }
   }
   
+  /**
+   * Read the metadata of a .torrent, .magnet or .nzb file
+   * @param {string} filePath - Path to the file
+   * @param {string} extension - Lowercase file extension
+   * @returns {Promise<Object>} - { infoHash, name, size, password }, each null if not available
+   */
+  async readMetadata(filePath, extension) {
+    if (extension === '.nzb') {
+      return await this.readNzbMetadata(filePath);
+    }
+    
+    try {
+      if (extension === '.torrent') {
+        const parsed = torrentParser.parseTorrent(await fs.promises.readFile(filePath));
+        // The name of a single-file torrent is its file name
+        const singleFile = parsed.files.length === 1 && parsed.files[0].path === parsed.name;
+        const name = singleFile ? parsed.name.replace(/\.[^/.]+$/, '') : parsed.name;
+        return { infoHash: parsed.infoHash, name, size: parsed.length, password: null };
+      }
+      
+      if (extension === '.magnet') {
+        const parsed = magnet.parseMagnet(await fs.promises.readFile(filePath, 'utf8'));
+        if (parsed) {
+          return { infoHash: parsed.infoHash, name: parsed.name, size: parsed.length, password: null };
+        }
+      }
+    } catch (err) {
+      logger.warn(`Could not read metadata of ${filePath}: ${err.message}`);
+    }
+    
+    return { infoHash: null, name: null, size: null, password: null };
+  }
+  
+  /**
+   * Turn a name from the file metadata into a job folder name. The name is
+   * sanitized, and a name already used by another job or an existing folder
+   * gets a " (2)", " (3)", ... suffix so two jobs never share a folder.
+   * @param {string} name - Name from the metadata
+   * @param {string} category - Category of the job
+   * @returns {Promise<string|null>} - Job name, null to name the job after its file
+   */
+  async uniqueJobName(name, category) {
+    if (!name) return null;
+
+    const base = fileOps.sanitizeFolderName(name);
+    // "." and ".." would name the parent folders
+    if (!base.replace(/\./g, '')) return null;
+
+    const queuedNames = new Set(this.queue.map(item =>
+      fileOps.sanitizeFolderName(item.name || path.basename(item.file).replace(/\.[^/.]+$/, ''))));
+    for (let counter = 1; ; counter++) {
+      // Leave room for the suffix within the file name length limit
+      const candidate = counter === 1 ? base : `${base.slice(0, 240)} (${counter})`;
+      if (!queuedNames.has(candidate) && !(await this.isNameTaken(candidate, category))) {
+        return candidate;
+      }
+    }
+  }
+  
+  /**
+   * Read the name, password and size of an NZB. A password in the file name
+   * ("name{{password}}.nzb") wins over the one in the NZB's head, and the
+   * name in the head over the file name.
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} - { infoHash, name, size, password }
+   */
+  async readNzbMetadata(filePath) {
+    const fromFileName = nzbParser.parsePasswordName(path.basename(filePath, path.extname(filePath)));
+    const metadata = {
+      infoHash: null,
+      name: fromFileName.password ? fromFileName.name || null : null,
+      size: null,
+      password: fromFileName.password
+    };
+    
+    try {
+      const parsed = nzbParser.parseNzb(await fs.promises.readFile(filePath));
+      metadata.name = parsed.name || metadata.name;
+      metadata.size = parsed.size;
+      metadata.password = metadata.password || parsed.password;
+    } catch (err) {
+      logger.warn(`Could not read metadata of ${filePath}: ${err.message}`);
+    }
+    
+    return metadata;
+  }
+  
   /**
    * Check if a file has already been processed recently
    * @param {string} filePath - Path to the file
@@ -105,11 +218,23 @@ class OffCloudQueueManager {
           }
         }
       }
+      
+      this.persistState();
     } catch (err) {
       logger.error(`Error marking file as processed:`, err.message);
     }
   }
 
+  /**
+   * Forget that a file was processed so it can be queued again
+   * @param {string} filePath - Path to the file
+   */
+  forgetFile(filePath) {
+    if (this.processedFiles.delete(filePath)) {
+      this.persistState();
+    }
+  }
+
   /**
    * Start periodic cleanup of completed downloads from Offcloud
    * to free up storage space
@@ -134,6 +259,7 @@ class OffCloudQueueManager {
       
       if (count > 0) {
         logger.debug(`Cleaned up ${count} entries from processed files cache`);
+        this.persistState();
       }
     }, 3600000); // Every hour
     
@@ -143,6 +269,7 @@ class OffCloudQueueManager {
   /**
    * Cleanup completed downloads that are older than the specified age
    * @param {number} maxAgeHours - Maximum age in hours before cleaning up
+   * @returns {Promise<Object>} - { cleanedCount, cleanedSpace, errors }
    */
   async cleanupCompletedDownloads(maxAgeHours = 24) {
     log('Running cleanup of completed downloads');
@@ -154,7 +281,7 @@ class OffCloudQueueManager {
       
       if (!Array.isArray(history)) {
         logger.error('Invalid history format received from API');
-        return;
+        return { cleanedCount: 0, cleanedSpace: 0, errors: 1 };
       }
       
       const now = Date.now();
@@ -203,8 +330,11 @@ class OffCloudQueueManager {
       } else {
         logger.warn(`Attempted to clean up downloads but encountered ${retryErrors} errors`);
       }
+      
+      return { cleanedCount, cleanedSpace, errors: retryErrors };
     } catch (err) {
       logger.error(`Error during cleanup:`, err.message);
+      return { cleanedCount: 0, cleanedSpace: 0, errors: 1 };
     }
   }
 
@@ -212,15 +342,17 @@ class OffCloudQueueManager {
    * Add a file to the download queue
    * @param {string} file - Path to the file
    * @param {function} processFunction - Function to call to process the file
-   * @returns {Promise} - Promise that resolves when file is queued
+   * @param {Object} options - Options object
+   * @param {string} options.category - Category of the file
+   * @returns {Promise<Object|null>} - Queue item, or null if the file was skipped
    */
-  async addToQueue(file, processFunction) {
+  async addToQueue(file, processFunction, options = {}) {
     log('addToQueue', file);
     
     // Check if this file is already being processed or was recently processed
     if (await this.isFileProcessed(file)) {
       logger.warn(`Skipping ${file} as it's already processed or being processed`);
-      return;
+      return null;
     }
     
     // Mark that we're processing this file
@@ -228,24 +360,34 @@ class OffCloudQueueManager {
     
     try {
       const extension = path.extname(file).toLowerCase();
+      const category = options.category || '';
+      // Torrent name and payload size, for the job folder and the storage check
+      const metadata = await this.readMetadata(file, extension);
       const queueItem = {
+        id: this.generateJobId(),
         file,
         extension,
+        category,
         processFunction,
         addedTime: Date.now(),
         status: 'queued',
-        priority: 1, // Default priority
+        priority: this.categories ? this.categories.getPriority(category) : 1, // Default priority
         retries: 0,
-        maxRetries: 3
+        maxRetries: 3,
+        infoHash: metadata.infoHash,
+        name: await this.uniqueJobName(metadata.name, category),
+        password: metadata.password
       };
       
       // Read file size to estimate needed storage
       try {
         const stats = await fs.promises.stat(file);
         queueItem.fileSize = stats.size;
-        // For torrents/magnets/nzbs, the actual download size will likely be much larger
-        // We'll use a multiplier as an estimate
-        if (extension === '.torrent' || extension === '.magnet' || extension === '.nzb') {
+        if (metadata.size !== null) {
+          queueItem.estimatedSize = metadata.size;
+        } else if (extension === '.torrent' || extension === '.magnet' || extension === '.nzb') {
+          // Without metadata the actual download size will likely be much larger,
+          // so we use a multiplier as an estimate
           queueItem.estimatedSize = stats.size * 1000; // Rough estimate
         } else {
           queueItem.estimatedSize = stats.size;
@@ -261,12 +403,19 @@ class OffCloudQueueManager {
       
       // Add to queue
       this.queue.push(queueItem);
-      logger.info(`Added '${file}' to download queue (position: ${this.queue.length})`);
+      this.persistState();
+      logger.info(`Added '${file}' to download queue (position: ${this.queue.length}${category ? `, category: ${category}` : ''})`);
+      
+      if (typeof this.onItemQueued === 'function') {
+        this.onItemQueued(queueItem);
+      }
       
       // Start processing the queue if not already processing
       if (!this.isProcessing) {
         this.processQueue();
       }
+      
+      return queueItem;
     } finally {
       // If something goes wrong during queue addition, clean up the processing marker
       if (this.processingRequests.has(file) && this.queue.findIndex(item => item.file === file) === -1) {
@@ -283,17 +432,42 @@ class OffCloudQueueManager {
       return;
     }
     
+    // Outside the submission window items stay queued; the watcher checks again every 30 seconds
+    if (!this.submitSchedule.isOpen()) {
+      if (!this.waitingForSubmitWindow) {
+        this.waitingForSubmitWindow = true;
+        logger.info(`Submission window closed (${this.submitSchedule}), ${this.queue.length} queued item(s) wait until ${this.submitSchedule.nextOpen().toLocaleTimeString()}`);
+      }
+      return;
+    }
+    if (this.waitingForSubmitWindow) {
+      this.waitingForSubmitWindow = false;
+      logger.info('Submission window open, submitting queued items');
+    }
+    
     this.isProcessing = true;
     
     try {
       // Check current storage status using cloud history (not account info)
       await this.updateStorageFromHistory();
+      await this.updateCacheStatus();
       
       // Process queue items while there's available storage and we're under max concurrent downloads
-      while (this.queue.length > 0 && this.activeDownloads < this.maxConcurrentDownloads) {
-        const nextItem = this.getNextItem();
+      while (this.queue.length > 0 && this.activeDownloads < this.maxConcurrentDownloads && this.submitSchedule.isOpen()) {
+        let nextItem = this.getNextItem();
         if (!nextItem) break;
         
+        // Cached items finish on Offcloud right away and are removed again after
+        // the local download, so one that fits may go ahead of a larger item.
+        // They still take up their full size until then, so they need it free.
+        if (!this.hasEnoughStorage(nextItem.estimatedSize, { quiet: true })) {
+          const cachedItem = this.getNextItem(item => item.cached === true && this.hasEnoughStorage(item.estimatedSize, { quiet: true }));
+          if (cachedItem) {
+            logger.info(`Not enough storage for ${nextItem.file}, submitting cached ${cachedItem.file} first`);
+            nextItem = cachedItem;
+          }
+        }
+        
         // Check if we have enough storage
         if (!this.hasEnoughStorage(nextItem.estimatedSize)) {
           logger.warn(`Not enough storage available on Offcloud. Waiting for space to free up.`);
@@ -319,13 +493,14 @@ class OffCloudQueueManager {
         // Process the item
         this.activeDownloads++;
         nextItem.status = 'processing';
+        this.persistState();
         
         try {
           logger.info(`Processing queued file: ${nextItem.file} (${this.activeDownloads}/${this.maxConcurrentDownloads} active)`);
           
           // Use retry utility for processing
           await withRetry(
-            async () => await nextItem.processFunction(nextItem.file),
+            async () => await nextItem.processFunction(nextItem.file, nextItem),
             {
               maxRetries: nextItem.maxRetries - nextItem.retries,
               baseDelay: 5000,
@@ -343,10 +518,15 @@ class OffCloudQueueManager {
           if (nextItem.retries >= nextItem.maxRetries) {
             logger.error(`Max retries reached for ${nextItem.file}, removing from queue`);
             this.removeFromQueue(nextItem);
+            
+            if (typeof this.onItemFailed === 'function') {
+              this.onItemFailed(nextItem, err);
+            }
           } else {
             // Put back in queue with lower priority
             nextItem.status = 'queued';
             nextItem.priority += 1;
+            this.persistState();
             logger.info(`Requeued ${nextItem.file} for retry (attempt ${nextItem.retries}/${nextItem.maxRetries})`);
             
             // Add exponential backoff
@@ -365,29 +545,195 @@ class OffCloudQueueManager {
     } finally {
       this.isProcessing = false;
       
-      // If there are still items in the queue and active downloads < max, process again
-      if (this.queue.length > 0 && this.activeDownloads < this.maxConcurrentDownloads) {
+      // If there are still items in the queue and active downloads < max, process again;
+      // held items are looked up again by the watcher's periodic run
+      if (this.queue.some(item => !this.isHeldForCache(item)) && this.activeDownloads < this.maxConcurrentDownloads && this.submitSchedule.isOpen()) {
         setTimeout(() => this.processQueue(), 5000);
       }
     }
   }
   
   /**
-   * Get the next item to process based on priority and time added
+   * Get the next item to process based on priority and time added,
+   * skipping categories that reached their concurrency limit and items
+   * held back by the cache policy
+   * @param {function} filter - Only consider items it returns true for (optional)
    * @returns {Object|null} - Next queue item or null if none available
    */
-  getNextItem() {
+  getNextItem(filter = () => true) {
     if (this.queue.length === 0) return null;
     
-    // Sort by priority (lower number = higher priority) and then by time added
+    // Sort by priority (lower number = higher priority), cached items first
+    // for 'prefer-cached', and then by time added
+    const cachedRank = item => item.cached === true && this.getCachePolicy(item.category).policy === 'prefer-cached' ? 0 : 1;
     this.queue.sort((a, b) => {
       if (a.priority !== b.priority) {
         return a.priority - b.priority;
       }
+      if (cachedRank(a) !== cachedRank(b)) {
+        return cachedRank(a) - cachedRank(b);
+      }
       return a.addedTime - b.addedTime;
     });
     
-    return this.queue[0];
+    return this.queue.find(item => {
+      if (this.isHeldForCache(item) || !filter(item)) return false;
+      if (!this.categories) return true;
+      
+      const limit = this.categories.getMaxConcurrent(item.category);
+      return this.getActiveCount(item.category) < limit;
+    }) || null;
+  }
+  
+  /**
+   * Get the cache policy of a category. A category can set "cache" to
+   * 'any', 'prefer-cached' or 'cached-only', and "cacheUncached" to 'hold' or 'reject'.
+   * @param {string} category - Category name
+   * @returns {Object} - { policy, uncached }
+   */
+  getCachePolicy(category) {
+    const settings = this.categories ? this.categories.get(category) : {};
+    return {
+      policy: settings.cache || this.cachePolicy,
+      uncached: settings.cacheUncached || this.uncachedAction
+    };
+  }
+  
+  /**
+   * Check if an item waits until Offcloud has it cached. Items without an
+   * infohash (NZBs, URLs) can't be looked up and are never held.
+   * @param {Object} item - Queue item
+   * @returns {boolean} - True if the item must not be submitted yet
+   */
+  isHeldForCache(item) {
+    return Boolean(item.infoHash) && item.cached !== true &&
+      this.getCachePolicy(item.category).policy === 'cached-only';
+  }
+  
+  /**
+   * Look up queued torrents in the Offcloud cache, for categories with a
+   * cache policy. New items are looked up once; held items again every
+   * cacheRecheckInterval, since they can get cached later. Uncached items
+   * are rejected under 'cached-only' with 'reject'.
+   * @returns {Promise<void>}
+   */
+  async updateCacheStatus() {
+    const now = Date.now();
+    const items = this.queue.filter(item => {
+      if (item.status !== 'queued' || !item.infoHash || item.cached === true) return false;
+      if (this.getCachePolicy(item.category).policy === 'any') return false;
+      if (!item.cacheCheckedTime) return true;
+      return this.isHeldForCache(item) && now - item.cacheCheckedTime >= this.cacheRecheckInterval;
+    });
+    if (items.length === 0) return;
+    
+    let cachedHashes;
+    try {
+      const result = await this.client.btstatus(items.map(item => item.infoHash));
+      cachedHashes = new Set(((result && result.cachedItems) || []).map(hash => String(hash).toLowerCase()));
+    } catch (err) {
+      logger.warn(`Could not look up ${items.length} item(s) in the Offcloud cache: ${err.message}`);
+      return;
+    }
+    
+    for (const item of items) {
+      const firstCheck = !item.cacheCheckedTime;
+      item.cached = cachedHashes.has(item.infoHash);
+      item.cacheCheckedTime = now;
+      log('updateCacheStatus', item.file, item.cached);
+      
+      const { policy, uncached } = this.getCachePolicy(item.category);
+      if (item.cached || policy !== 'cached-only') {
+        if (item.cached) logger.info(`${item.file} is cached on Offcloud`);
+        continue;
+      }
+      
+      if (uncached === 'reject') {
+        logger.warn(`Rejecting ${item.file}: not cached on Offcloud`);
+        this.removeFromQueue(item);
+        if (typeof this.onItemFailed === 'function') {
+          this.onItemFailed(item, new Error('Not cached on Offcloud'));
+        }
+      } else if (firstCheck) {
+        logger.info(`Holding ${item.file} until it is cached on Offcloud`);
+      }
+    }
+    
+    this.persistState();
+  }
+  
+  /**
+   * Generate a short unique job ID
+   * @returns {string} - Job ID
+   */
+  generateJobId() {
+    return crypto.randomBytes(6).toString('hex');
+  }
+  
+  /**
+   * Find a queue item by job ID or file path
+   * @param {string} idOrFile - Job ID or file path
+   * @returns {Object|null} - Queue item or null if not found
+   */
+  findItem(idOrFile) {
+    return this.queue.find(item => item.id === idOrFile || item.file === idOrFile) || null;
+  }
+  
+  /**
+   * Cancel a queued item that hasn't been submitted to Offcloud yet
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Cancelled item, or null if not found
+   */
+  cancel(id) {
+    const item = this.findItem(id);
+    if (!item) return null;
+    
+    if (item.status === 'processing') {
+      throw new Error(`${item.file} is being submitted to Offcloud and can't be cancelled from the queue`);
+    }
+    
+    this.removeFromQueue(item);
+    logger.info(`Cancelled queued item ${item.file}`);
+    return item;
+  }
+  
+  /**
+   * Retry a queued item right away with a fresh retry count
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Retried item, or null if not found
+   */
+  retry(id) {
+    const item = this.findItem(id);
+    if (!item) return null;
+    
+    if (item.status === 'processing') {
+      throw new Error(`${item.file} is already being submitted to Offcloud`);
+    }
+    
+    item.status = 'queued';
+    item.retries = 0;
+    item.lastError = null;
+    this.persistState();
+    logger.info(`Retrying queued item ${item.file}`);
+    
+    this.processQueue();
+    return item;
+  }
+  
+  /**
+   * Change the priority of a queued item
+   * @param {string} id - Job ID
+   * @param {number} priority - New priority (lower number = higher priority)
+   * @returns {Object|null} - Updated item, or null if not found
+   */
+  setPriority(id, priority) {
+    const item = this.findItem(id);
+    if (!item) return null;
+    
+    item.priority = priority;
+    this.persistState();
+    logger.info(`Changed priority of ${item.file} to ${priority}`);
+    return item;
   }
   
   /**
@@ -398,6 +744,7 @@ class OffCloudQueueManager {
     const index = this.queue.findIndex(qItem => qItem.file === item.file);
     if (index !== -1) {
       this.queue.splice(index, 1);
+      this.persistState();
       logger.info(`Removed '${item.file}' from download queue`);
       
       // Make sure to remove from processing set as well
@@ -445,6 +792,10 @@ class OffCloudQueueManager {
       
       logger.info(`Storage info updated - Free: ${(this.storageInfo.freeSpace / (1024 * 1024)).toFixed(2)}MB, Used: ${(this.storageInfo.usedSpace / (1024 * 1024)).toFixed(2)}MB, Total: ${(this.storageInfo.totalSpace / (1024 * 1024)).toFixed(2)}MB`);
       
+      if (typeof this.onStorageUpdated === 'function') {
+        this.onStorageUpdated(this.storageInfo);
+      }
+      
       return this.storageInfo;
     } catch (err) {
       logger.error(`Error getting storage info:`, err.message);
@@ -471,9 +822,11 @@ class OffCloudQueueManager {
   /**
    * Check if there's enough storage for a download
    * @param {number} estimatedSize - Estimated size of the download
+   * @param {Object} options - Options object
+   * @param {boolean} options.quiet - Don't log a failed check
    * @returns {boolean} - True if there's enough storage, false otherwise
    */
-  hasEnoughStorage(estimatedSize) {
+  hasEnoughStorage(estimatedSize, options = {}) {
     if (!this.storageInfo) return false;
     
     // Add a safety buffer to the estimated size
@@ -482,13 +835,86 @@ class OffCloudQueueManager {
     // Check if free space minus the minimum required is greater than the estimated size
     const hasEnough = (this.storageInfo.freeSpace - this.minStorageRequired) > sizeWithBuffer;
     
-    if (!hasEnough) {
+    if (!hasEnough && !options.quiet) {
       logger.warn(`Storage check failed - Need: ${(sizeWithBuffer / (1024 * 1024)).toFixed(2)}MB, Available: ${((this.storageInfo.freeSpace - this.minStorageRequired) / (1024 * 1024)).toFixed(2)}MB`);
     }
     
     return hasEnough;
   }
   
+  /**
+   * Save the queue and processed files cache to the state store
+   */
+  persistState() {
+    if (!this.stateStore) return;
+    
+    this.stateStore.set('queue', this.queue.map(item => ({
+      id: item.id,
+      file: item.file,
+      extension: item.extension,
+      category: item.category,
+      infoHash: item.infoHash,
+      name: item.name,
+      password: item.password,
+      addedTime: item.addedTime,
+      status: item.status,
+      priority: item.priority,
+      retries: item.retries,
+      maxRetries: item.maxRetries,
+      fileSize: item.fileSize,
+      estimatedSize: item.estimatedSize,
+      cached: item.cached,
+      cacheCheckedTime: item.cacheCheckedTime,
+      lastError: item.lastError
+    })));
+    this.stateStore.set('processedFiles', [...this.processedFiles.entries()]);
+  }
+  
+  /**
+   * Restore queue items and the processed files cache from the state store
+   * @param {function} getProcessFunction - Returns the process function for a file path
+   * @returns {Promise<number>} - Number of queue items restored
+   */
+  async restoreState(getProcessFunction) {
+    if (!this.stateStore) return 0;
+    
+    const now = Date.now();
+    for (const [filePath, info] of this.stateStore.get('processedFiles', [])) {
+      if (info && now - info.timestamp <= 86400000) {
+        this.processedFiles.set(filePath, info);
+      }
+    }
+    
+    let restored = 0;
+    for (const saved of this.stateStore.get('queue', [])) {
+      if (this.queue.some(item => item.file === saved.file)) continue;
+      
+      // Source files that disappeared while we were down can't be submitted anymore
+      if (!await fileOps.fileExists(saved.file)) {
+        logger.warn(`Dropping saved queue item ${saved.file}: file no longer exists`);
+        continue;
+      }
+      
+      this.queue.push({
+        ...saved,
+        id: saved.id || this.generateJobId(),
+        processFunction: getProcessFunction(saved.file),
+        // Anything that was mid-submission when we stopped goes back to the queue
+        status: 'queued'
+      });
+      this.processingRequests.add(saved.file);
+      restored++;
+    }
+    
+    this.persistState();
+    
+    if (restored > 0) {
+      logger.info(`Restored ${restored} queued items from saved state`);
+    }
+    
+    return restored;
+  }
+  
   /**
    * Get current queue statistics
    * @returns {Object} - Queue statistics
@@ -500,6 +926,9 @@ class OffCloudQueueManager {
       pendingItems: this.queue.filter(item => item.status === 'queued').length,
       processingItems: this.queue.filter(item => item.status === 'processing').length,
       errorItems: this.queue.filter(item => item.status === 'error').length,
+      heldItems: this.queue.filter(item => this.isHeldForCache(item)).length,
+      readyItems: this.getReadyCount(),
+      waitingForSubmitWindow: !this.submitSchedule.isOpen(),
       storageInfo: this.storageInfo,
       processedFilesCount: this.processedFiles.size,
       processingRequestsCount: this.processingRequests.size
@@ -0,0 +1,313 @@
+// Startup reconciliation of local folders and Offcloud cloud history
+import debug from 'debug';
+const log = debug('patbrid:watchers:offcloud:reconciler');
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+import fileOps from '../../utils/fileOperations.js';
+
+class OffCloudReconciler {
+  /**
+   * @param {OffCloudWatcher} watcher - Watcher holding the restored queue and watch list
+   * @param {Object} options - Options object
+   * @param {string} options.inProgressDir - Directory for in-progress downloads
+   * @param {string} options.completedDir - Directory for completed downloads
+   * @param {string} options.quarantineDir - Directory orphaned folders are moved to
+   * @param {Categories} options.categories - Categories, whose destinations also count as completed
+   * @param {boolean} options.adoptCloudOrphans - Re-download untracked cloud items that have no local copy
+   */
+  constructor(watcher, options = {}) {
+    log('ctor');
+    this.watcher = watcher;
+    this.client = watcher.client;
+    this.inProgressDir = options.inProgressDir;
+    this.completedDir = options.completedDir;
+    this.quarantineDir = options.quarantineDir;
+    this.categories = options.categories || null;
+    this.adoptCloudOrphans = options.adoptCloudOrphans === true;
+  }
+
+  /**
+   * Run the reconciliation pass and log a summary of everything it did
+   * @returns {Promise<Object>} - Summary of the actions taken
+   */
+  async run() {
+    log('run');
+    logger.info('Reconciling in-progress downloads and Offcloud history with known jobs...');
+
+    const summary = {
+      resubmitted: [],
+      dropped: [],
+      resumed: [],
+      adopted: [],
+      quarantined: [],
+      removedRemote: [],
+      untracked: [],
+      errors: []
+    };
+
+    let history;
+    try {
+      history = await this.client.cloudHistory();
+    } catch (err) {
+      logger.error(`Reconciliation skipped, could not load cloud history: ${err.message}`);
+      return summary;
+    }
+
+    if (!Array.isArray(history)) {
+      logger.error('Reconciliation skipped, invalid history format received from API');
+      return summary;
+    }
+
+    await this.reconcileKnownJobs(history, summary);
+    const claimed = await this.reconcileInProgress(history, summary);
+    await this.reconcileCloudHistory(history, claimed, summary);
+
+    this.logSummary(summary);
+    return summary;
+  }
+
+  /**
+   * Case 1: restored jobs whose Offcloud request no longer exists.
+   * Re-submit them if the source file is still there, drop them otherwise.
+   * @param {Array} history - Cloud history items
+   * @param {Object} summary - Summary to record actions in
+   */
+  async reconcileKnownJobs(history, summary) {
+    const remoteIds = new Set(history.map(item => item.requestId));
+
+    for (const torrent of [...this.watcher.watchList]) {
+      if (remoteIds.has(torrent.id)) {
+        summary.resumed.push(`${torrent.getJobName()} (${torrent.id}, ${torrent.status})`);
+        continue;
+      }
+
+      this.watcher.removeFromWatchList(torrent);
+      torrent.status = 'invalid';
+
+      if (torrent.hasSourceFile && await fileOps.fileExists(torrent.file)) {
+        try {
+          this.watcher.queueManager.forgetFile(torrent.file);
+          await this.watcher.addFile(torrent.file);
+          summary.resubmitted.push(`${torrent.file} (request ${torrent.id} missing on Offcloud)`);
+        } catch (err) {
+          summary.errors.push(`Could not re-queue ${torrent.file}: ${err.message}`);
+        }
+      } else {
+        summary.dropped.push(`${torrent.getJobName()} (request ${torrent.id} missing on Offcloud, no source file)`);
+      }
+    }
+  }
+
+  /**
+   * Case 2: folders left in the in-progress directory by a crash.
+   * Folders of known jobs are left for the job to resume, folders that match a
+   * downloaded cloud item are re-downloaded, anything else is quarantined.
+   * @param {Array} history - Cloud history items
+   * @param {Object} summary - Summary to record actions in
+   * @returns {Promise<Set>} - Request IDs claimed by in-progress folders
+   */
+  async reconcileInProgress(history, summary) {
+    const claimed = new Set();
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.inProgressDir, { withFileTypes: true });
+    } catch (err) {
+      summary.errors.push(`Could not read ${this.inProgressDir}: ${err.message}`);
+      return claimed;
+    }
+
+    const knownFolders = new Set(
+      this.watcher.watchList.map(torrent => fileOps.sanitizeFolderName(torrent.getJobName()))
+    );
+    const knownIds = new Set(this.watcher.watchList.map(torrent => torrent.id));
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const folderPath = path.join(this.inProgressDir, entry.name);
+
+      if (knownFolders.has(entry.name)) {
+        log('in-progress folder belongs to a known job', entry.name);
+        continue;
+      }
+
+      // A cloud item belongs to one folder; items of known jobs or adopted by an earlier folder are taken
+      const available = history.filter(item => !knownIds.has(item.requestId) && !claimed.has(item.requestId));
+      const match = await this.findCloudItemForFolder(folderPath, entry.name, available);
+
+      if (match && this.watcher.adoptRemote(match, entry.name)) {
+        claimed.add(match.requestId);
+        summary.adopted.push(`${entry.name} (re-downloading ${match.requestId})`);
+        continue;
+      }
+
+      await this.quarantine(folderPath, entry.name, summary);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Case 3: downloaded cloud items that no job knows about, usually left
+   * behind when _delete() failed. Items that already reached the completed
+   * directory are removed from Offcloud, the rest are adopted or reported.
+   * @param {Array} history - Cloud history items
+   * @param {Set} claimed - Request IDs already claimed by in-progress folders
+   * @param {Object} summary - Summary to record actions in
+   */
+  async reconcileCloudHistory(history, claimed, summary) {
+    const knownIds = new Set(this.watcher.watchList.map(torrent => torrent.id));
+    const completedDirs = [this.completedDir];
+    if (this.categories) {
+      for (const category of await this.categories.list()) {
+        completedDirs.push(this.categories.getDestination(category));
+      }
+    }
+
+    for (const item of history) {
+      if (item.status !== 'downloaded' || knownIds.has(item.requestId) || claimed.has(item.requestId)) {
+        continue;
+      }
+
+      const folderName = fileOps.sanitizeFolderName(this.stripExtension(item.fileName));
+      let completedPath = null;
+      for (const dir of completedDirs) {
+        if (await fileOps.fileExists(path.join(dir, folderName))) {
+          completedPath = path.join(dir, folderName);
+          break;
+        }
+      }
+
+      if (completedPath) {
+        try {
+          await this.client.delete(item.requestId);
+          summary.removedRemote.push(`${item.fileName} (${item.requestId}, already in ${completedPath})`);
+        } catch (err) {
+          summary.errors.push(`Could not delete ${item.requestId} from Offcloud: ${err.message}`);
+        }
+      } else if (this.adoptCloudOrphans && this.watcher.adoptRemote(item, folderName)) {
+        summary.adopted.push(`${item.fileName} (re-downloading ${item.requestId})`);
+      } else {
+        summary.untracked.push(`${item.fileName} (${item.requestId})`);
+      }
+    }
+  }
+
+  /**
+   * Find the downloaded cloud item an in-progress folder belongs to, by
+   * folder name, by the name of a file anywhere inside it, or by the link
+   * saved with a partial download
+   * @param {string} folderPath - Path of the in-progress folder
+   * @param {string} folderName - Name of the in-progress folder
+   * @param {Array} history - Cloud history items
+   * @returns {Promise<Object|null>} - Matching cloud item or null
+   */
+  async findCloudItemForFolder(folderPath, folderName, history) {
+    const { files, links } = await this.listFolder(folderPath);
+
+    return history.find(item => {
+      if (item.status !== 'downloaded' || !item.fileName) return false;
+
+      return fileOps.sanitizeFolderName(this.stripExtension(item.fileName)) === folderName ||
+             fileOps.sanitizeFolderName(item.fileName) === folderName ||
+             files.includes(fileOps.sanitizeFolderName(item.fileName)) ||
+             files.includes(`${fileOps.sanitizeFolderName(item.fileName)}.part`) ||
+             // Download links contain the request ID as a path segment
+             links.some(link => link.split(/[/?]/).includes(String(item.requestId)));
+    }) || null;
+  }
+
+  /**
+   * Collect the file names in a folder and its subfolders, which jobs keeping
+   * their remote layout create, and the links of partial downloads
+   * @param {string} folderPath - Path of the folder
+   * @returns {Promise<Object>} - { files, links }
+   */
+  async listFolder(folderPath) {
+    const result = { files: [], links: [] };
+
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+    } catch (err) {
+      log('could not read folder', folderPath, err.message);
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(folderPath, entry.name);
+      if (entry.isDirectory()) {
+        const nested = await this.listFolder(entryPath);
+        result.files.push(...nested.files);
+        result.links.push(...nested.links);
+        continue;
+      }
+
+      result.files.push(entry.name);
+      if (entry.name.endsWith('.part.json')) {
+        try {
+          const partial = JSON.parse(await fs.promises.readFile(entryPath, 'utf8'));
+          if (partial.url) result.links.push(partial.url);
+        } catch (err) {
+          log('unreadable partial download info', entryPath, err.message);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Move an orphaned folder to the quarantine directory
+   * @param {string} folderPath - Path of the folder
+   * @param {string} folderName - Name of the folder
+   * @param {Object} summary - Summary to record actions in
+   */
+  async quarantine(folderPath, folderName, summary) {
+    let destination = path.join(this.quarantineDir, folderName);
+    if (await fileOps.fileExists(destination)) {
+      destination = `${destination}_${Date.now()}`;
+    }
+
+    if (await fileOps.moveDirectory(folderPath, destination)) {
+      summary.quarantined.push(`${folderName} -> ${destination}`);
+    } else {
+      summary.errors.push(`Could not quarantine ${folderPath}`);
+    }
+  }
+
+  stripExtension(fileName = '') {
+    return fileName.replace(/\.[^/.]+$/, '');
+  }
+
+  /**
+   * Log a summary block of the reconciliation
+   * @param {Object} summary - Summary of the actions taken
+   */
+  logSummary(summary) {
+    const sections = [
+      ['Resumed jobs', summary.resumed],
+      ['Re-submitted jobs', summary.resubmitted],
+      ['Dropped jobs', summary.dropped],
+      ['Re-downloading orphans', summary.adopted],
+      ['Quarantined folders', summary.quarantined],
+      ['Removed from Offcloud', summary.removedRemote],
+      ['Untracked cloud items (left untouched)', summary.untracked],
+      ['Errors', summary.errors]
+    ];
+
+    logger.info('=================================================');
+    logger.info('          STARTUP RECONCILIATION SUMMARY         ');
+    logger.info('=================================================');
+
+    for (const [title, items] of sections) {
+      logger.info(`${title}: ${items.length}`);
+      items.forEach(item => logger.info(`  - ${item}`));
+    }
+
+    logger.info('=================================================');
+  }
+}
+
+export default OffCloudReconciler;
@@ -21,11 +21,145 @@ class OffCloudTorrent {
     this.id = 0;
     this.isdir = false;
     this.onComplete = null; // Callback for completion notification
+    this.onEvent = null; // Callback for lifecycle events (submitted, remote_downloaded, download_started)
+    this.postProcessFn = null; // Runs after the files were moved to the completed folder, throws to fail the job
+    this.postProcessFailed = false;
+    this.downloadFailed = false; // Set when the local download failed after its retries
+    this.getLocalWaitReason = null; // Resolves to why the local download has to wait (schedule, disk space), or null
+    this.waitReason = null;
     this.lastUpdate = Date.now();
     this.updateRetries = 0;
     this.maxUpdateRetries = 5;
     this.remoteStatus = ''; // Track the remote status
     this.errorMessage = ''; // Track any error messages
+    this.jobId = ''; // Job ID assigned by the queue manager
+    this.addedTime = Date.now();
+    this.cancelled = false;
+    this.succeeded = false; // Set when the job finished with a successful local download
+    this.finishing = false; // Set once _delete() started; onComplete reports the outcome
+    this.infoHash = null; // BitTorrent infohash, when known
+    this.remoteSize = 0; // Size reported by Offcloud
+    this.remoteAmount = 0; // Bytes Offcloud has downloaded so far
+    this.result = null; // Result of the local download
+    this.category = ''; // Category from the WATCH_DIR subfolder
+    this.jobName = null; // Overrides the folder name derived from the source file
+    this.password = null; // Password of an NZB, passed to Offcloud with the job name
+    this.hasSourceFile = true; // False for jobs adopted from Offcloud without a local source file
+  }
+
+  /**
+   * Get the name used for the job folder
+   * @returns {string} - Job name without file extension
+   */
+  getJobName() {
+    if (this.jobName) return this.jobName;
+    
+    // Use the source filename without extension
+    return path.basename(this.file).replace(/\.[^/.]+$/, "");
+  }
+
+  /**
+   * Get the persistent fields of this torrent for the state store
+   * @returns {Object} - JSON-serializable torrent state
+   */
+  serialize() {
+    return {
+      jobId: this.jobId,
+      addedTime: this.addedTime,
+      file: this.file,
+      magnetlink: this.magnetlink,
+      id: this.id,
+      alturl: this.alturl,
+      status: this.status,
+      isdir: this.isdir,
+      remoteStatus: this.remoteStatus,
+      errorMessage: this.errorMessage,
+      category: this.category,
+      infoHash: this.infoHash,
+      remoteSize: this.remoteSize,
+      jobName: this.jobName,
+      hasSourceFile: this.hasSourceFile
+    };
+  }
+
+  /**
+   * Rebuild a torrent from saved state so it continues from its last known status
+   * @param {Object} client - Offcloud API client
+   * @param {function} downloadFn - Download function
+   * @param {Object} data - State produced by serialize()
+   * @returns {OffCloudTorrent} - Restored torrent
+   */
+  static restore(client, downloadFn, data) {
+    const torrent = new OffCloudTorrent(client, downloadFn, data.file, data.magnetlink);
+
+    torrent.jobId = data.jobId || '';
+    torrent.addedTime = data.addedTime || Date.now();
+    torrent.id = data.id;
+    torrent.alturl = data.alturl || '';
+    torrent.isdir = !!data.isdir;
+    torrent.remoteStatus = data.remoteStatus || '';
+    torrent.errorMessage = data.errorMessage || '';
+    torrent.category = data.category || '';
+    torrent.infoHash = data.infoHash || null;
+    torrent.remoteSize = data.remoteSize || 0;
+    torrent.jobName = data.jobName || null;
+    torrent.hasSourceFile = data.hasSourceFile !== false;
+    torrent.status = data.status;
+
+    // A local download that was interrupted by the restart has to start over,
+    // so go back to waiting for the remote 'downloaded' status
+    if (torrent.status === 'downloaded' || torrent.status === 'downloading_locally') {
+      torrent.status = 'downloading';
+    }
+
+    return torrent;
+  }
+
+  /**
+   * Report a lifecycle event
+   * @param {string} event - Event name
+   */
+  _emit(event) {
+    if (typeof this.onEvent === 'function') {
+      this.onEvent(event, this);
+    }
+  }
+
+  /**
+   * Switch to the local download, reporting it once per job
+   */
+  _startLocalDownload() {
+    const alreadyStarted = this.status === 'downloading_locally';
+    this.status = 'downloading_locally';
+    if (!alreadyStarted) {
+      this._emit('download_started');
+    }
+  }
+
+  /**
+   * Run post-processing on the completed files. A failure fails the job but
+   * keeps the files in the completed folder.
+   */
+  async _postProcess() {
+    if (typeof this.postProcessFn !== 'function') return;
+    
+    try {
+      await this.postProcessFn(this);
+    } catch (err) {
+      this.postProcessFailed = true;
+      this.errorMessage = `Post-processing failed: ${err.message}`;
+    }
+  }
+
+  /**
+   * Fail the job after the local download failed for good
+   * @param {Error|string} err - Error of the last attempt
+   * @returns {Promise<void>}
+   */
+  async _failLocalDownload(err) {
+    this.downloadFailed = true;
+    this.errorMessage = `Local download failed: ${err.message || err}`;
+    return await this._delete();
   }
 
   async addToQueue() {
@@ -73,9 +207,14 @@ class OffCloudTorrent {
           if (extension === '.nzb') {
             logger.debug(`NZB file: ${result.url}, ${result.fileName}`);
             
+            // The job name, with the password in the name{{password}} form usenet downloaders use
+            const customFileName = this.jobName || this.password
+              ? `${this.getJobName()}${this.password ? `{{${this.password}}}` : ''}`
+              : result.fileName;
+            
             // Use retry utility for adding usenet
             const nzbResult = await withRetry(
-              async () => await this.client.addUsenet(result.url, result.fileName),
+              async () => await this.client.addUsenet(result.url, customFileName),
               {
                 maxRetries: 3,
                 baseDelay: 1000,
@@ -160,6 +299,8 @@ class OffCloudTorrent {
         if (info.status.error) {
           this.errorMessage = info.status.error;
         }
+        this.remoteSize = parseInt(info.status.fileSize, 10) || this.remoteSize;
+        this.remoteAmount = parseInt(info.status.amount, 10) || this.remoteAmount;
       }
       
       return await this._handleUpdate(info);
@@ -185,6 +326,7 @@ class OffCloudTorrent {
     log('_beginDownload', this.file);
     logger.info(`'${this.file}' downloading remotely`);
     this.status = 'downloading';
+    this._emit('submitted');
   }
 
   async _handleUpdate(info) {
@@ -204,36 +346,53 @@ class OffCloudTorrent {
     }
 
     // Show torrent status
-    logger.info(`'${this.file}' id: ${this.id} local: ${this.status} remote: ${info.status.status} size: ${info.status.fileSize} bytes`);
+    logger.info(`'${this.file}' id: ${this.id}${this.category ? ` category: ${this.category}` : ''} local: ${this.status} remote: ${info.status.status} size: ${info.status.fileSize} bytes`);
 
     // Has the remote status finished downloading
-    if (info.status.status === 'downloaded' && this.status === 'downloading') {
+    if (info.status.status === 'downloaded' && (this.status === 'downloading' || this.status === 'ready')) {
+      if (this.status === 'downloading') {
+        this._emit('remote_downloaded');
+      }
+      this.isdir = info.status.isDirectory;
+
+      // Finished remotely, but the local download has to wait; checked again on the next update
+      const waitReason = typeof this.getLocalWaitReason === 'function' ? await this.getLocalWaitReason(this.remoteSize) : null;
+      if (waitReason) {
+        if (this.status !== 'ready' || this.waitReason !== waitReason) {
+          logger.info(`'${this.file}' is ready on Offcloud, waiting: ${waitReason}`);
+        }
+        this.status = 'ready';
+        this.waitReason = waitReason;
+        return;
+      }
+      this.waitReason = null;
+
       // Mark torrent as downloaded
       this.status = 'downloaded';
-      this.isdir = info.status.isDirectory;
 
-      // Extract the filename without extension to use as folder name
-      const torrentFileName = path.basename(this.file).replace(/\.[^/.]+$/, "");
+      // Use the job name (source filename without extension) as folder name
+      const torrentFileName = this.getJobName();
       
       if (this.isdir === false) {
-        this.status = 'downloading_locally';
+        this._startLocalDownload();
         const downloadUrl = this.alturl + '/' + querystring.escape(info.status.fileName);
         logger.info('Downloadlink: ' + downloadUrl);
         
         try {
           // Use the download function with retry
-          await withRetry(
-            async () => await this.downloadFn([downloadUrl], torrentFileName),
+          this.result = await withRetry(
+            async () => await this.downloadFn([downloadUrl], torrentFileName, { category: this.category }),
             {
               maxRetries: 3,
               baseDelay: 2000,
               operationName: `Download ${info.status.fileName}`
             }
           );
+          await this._postProcess();
           return await this._delete();
         } catch (err) {
           logger.error('Download failed:', err.message);
-          throw err;
+          return await this._failLocalDownload(err);
         }
       }
 
@@ -248,12 +407,12 @@ class OffCloudTorrent {
           }
         );
         
-        this.status = 'downloading_locally';
+        this._startLocalDownload();
         logger.info(`'${this.file}' downloading locally '${res}'`);
         
         // Pass just the filename without extension for folder naming
-        await withRetry(
-          async () => await this.downloadFn(res, torrentFileName),
+        this.result = await withRetry(
+          async () => await this.downloadFn(res, torrentFileName, { category: this.category }),
           {
             maxRetries: 3,
             baseDelay: 2000,
@@ -261,43 +420,63 @@ class OffCloudTorrent {
           }
         );
         
+        await this._postProcess();
         return await this._delete();
       } catch (err) {
         if (err === 'Bad archive' || (err.message && err.message.includes('Bad archive'))) {
-          this.status = 'downloading_locally';
+          this._startLocalDownload();
           logger.warn(`'${this.file}' downloading locally (alt) due to 'Bad archive'`);
           
           // Pass just the filename without extension for folder naming
           try {
-            await withRetry(
-              async () => await this.downloadFn([this.alturl], torrentFileName),
+            this.result = await withRetry(
+              async () => await this.downloadFn([this.alturl], torrentFileName, { category: this.category }),
               {
                 maxRetries: 3,
                 baseDelay: 2000,
                 operationName: `Alternative download of ${this.file}`
               }
             );
+            await this._postProcess();
             return await this._delete();
           } catch (downloadErr) {
             logger.error('Alternative download failed:', downloadErr.message);
-            throw downloadErr;
+            return await this._failLocalDownload(downloadErr);
           }
         } else {
           logger.error('Explore failed:', err.message);
-          throw err;
+          return await this._failLocalDownload(err);
         }
       }
     }
   }
 
+  /**
+   * Cancel the job: remove it from Offcloud and delete the source file
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    log('cancel', this.file);
+    
+    if (this.status === 'downloading_locally') {
+      throw new Error(`'${this.file}' is already downloading locally and can't be cancelled`);
+    }
+    
+    this.cancelled = true;
+    logger.warn(`Cancelling '${this.file}' (${this.id})`);
+    return await this._delete();
+  }
+
   async _delete() {
     log('_delete', this.file);
+    this.finishing = true;
     
     // Check if this is a failed download or just cleanup after success
-    const wasSuccessful = this.status === 'downloading_locally';
+    const wasSuccessful = this.status === 'downloading_locally' && !this.downloadFailed && !this.postProcessFailed;
+    this.succeeded = wasSuccessful;
     const fileName = path.basename(this.file);
     
-    if (!wasSuccessful) {
+    if (!wasSuccessful && !this.cancelled) {
       // This is a failed download - log it clearly
       let errorMsg = `Torrent could not be downloaded: ${fileName}`;
       
@@ -314,20 +493,23 @@ class OffCloudTorrent {
     this.status = 'invalid';
     
     // Check if file exists before trying to delete it
-    try {
-      const fileExists = await fileOps.fileExists(this.file);
-      if (fileExists) {
-        try {
-          await fs.promises.unlink(this.file);
-          logger.success(`'${this.file}' deleted locally`);
-        } catch (unlinkErr) {
-          logger.error(`Error deleting local file: ${unlinkErr.message}`);
+    // Jobs adopted from Offcloud have no local source file to delete
+    if (this.hasSourceFile) {
+      try {
+        const fileExists = await fileOps.fileExists(this.file);
+        if (fileExists) {
+          try {
+            await fs.promises.unlink(this.file);
+            logger.success(`'${this.file}' deleted locally`);
+          } catch (unlinkErr) {
+            logger.error(`Error deleting local file: ${unlinkErr.message}`);
+          }
+        } else {
+          logger.info(`File ${this.file} already deleted or doesn't exist`);
         }
-      } else {
-        logger.info(`File ${this.file} already deleted or doesn't exist`);
+      } catch (fsErr) {
+        logger.error(`Error checking file existence: ${fsErr.message}`);
       }
-    } catch (fsErr) {
-      logger.error(`Error checking file existence: ${fsErr.message}`);
     }
     
     // Use retry utility for remote delete
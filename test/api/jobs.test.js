@@ -0,0 +1,89 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import JobService from '../../lib/api/jobs.js';
+
+let tmpDir;
+let server;
+let baseUrl;
+let jobs;
+// Handles the requests of the current test
+let serve = null;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+  server = http.createServer((req, res) => serve(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const watchDir = await fs.promises.mkdtemp(path.join(tmpDir, 'watch-'));
+  // Watcher stub that queues every file
+  const watcher = {
+    queueManager: {},
+    addFile: async file => ({ id: 'job1', file, status: 'queued' })
+  };
+  jobs = new JobService({ watcher, watchDir });
+});
+
+async function submitted(job) {
+  return { name: path.basename(job.file), data: await fs.promises.readFile(job.file, 'utf8') };
+}
+
+test('links are written as link files named after the link', async () => {
+  assert.deepEqual(await submitted(await jobs.submitLink('https://example.com/files/Ubuntu%2024.04.torrent?key=1')),
+    { name: 'Ubuntu 24.04.url', data: 'https://example.com/files/Ubuntu%2024.04.torrent?key=1' });
+  assert.equal((await submitted(await jobs.submitLink('https://example.com/'))).name, 'example.com.url');
+  assert.equal((await submitted(await jobs.submitLink(' magnet:?xt=urn:btih:c12fe1c06bba254a9dc9f519b335aa7c1367a88a&dn=Ubuntu '))).name,
+    'Ubuntu.magnet');
+});
+
+test('malformed percent-encoding in a link keeps the raw name', async () => {
+  assert.equal((await submitted(await jobs.submitLink('https://example.com/%E0%A4%A.torrent'))).name, '%E0%A4%A.url');
+});
+
+test('links that are not valid http(s) URLs are client errors', async () => {
+  await assert.rejects(jobs.submitLink('http://'), { status: 400, message: "Invalid URL 'http://'" });
+  await assert.rejects(jobs.submitLink('ftp://example.com/a.torrent'), { status: 400 });
+  await assert.rejects(jobs.submitRemoteFile('http://'), { status: 400, message: "Invalid URL 'http://'" });
+});
+
+test('remote files are named after the response or the URL', async () => {
+  serve = (req, res) => {
+    const headers = req.url === '/named' ? { 'Content-Disposition': 'attachment; filename="Show.S01E01.nzb"' } : {};
+    res.writeHead(200, headers);
+    res.end('<nzb/>');
+  };
+
+  assert.deepEqual(await submitted(await jobs.submitRemoteFile(`${baseUrl}/named`)), { name: 'Show.S01E01.nzb', data: '<nzb/>' });
+  assert.equal((await submitted(await jobs.submitRemoteFile(`${baseUrl}/get/Movie%202024.torrent`))).name, 'Movie 2024.torrent');
+  assert.equal((await submitted(await jobs.submitRemoteFile(`${baseUrl}/get/1`, { extension: '.torrent' }))).name, '1.torrent');
+});
+
+test('malformed percent-encoding in a remote file name keeps the raw name', async () => {
+  serve = (req, res) => {
+    const headers = req.url === '/header' ? { 'Content-Disposition': "attachment; filename*=UTF-8''%E0%A4%A.nzb" } : {};
+    res.writeHead(200, headers);
+    res.end('<nzb/>');
+  };
+
+  assert.equal((await submitted(await jobs.submitRemoteFile(`${baseUrl}/header`))).name, '%E0%A4%A.nzb');
+  assert.equal((await submitted(await jobs.submitRemoteFile(`${baseUrl}/path%E0%A4%A.nzb`))).name, 'path%E0%A4%A.nzb');
+});
+
+test('remote files that cannot be fetched are a bad gateway', async () => {
+  serve = (req, res) => {
+    res.writeHead(404);
+    res.end();
+  };
+  await assert.rejects(jobs.submitRemoteFile(`${baseUrl}/missing.nzb`), { status: 502 });
+});
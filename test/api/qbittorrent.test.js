@@ -0,0 +1,185 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import ApiServer from '../../lib/api/server.js';
+import registerQbittorrentRoutes from '../../lib/api/qbittorrent.js';
+
+let server;
+let baseUrl;
+let jobs;
+
+/**
+ * Job service stub; tests set the active and finished jobs
+ */
+function createJobs() {
+  const stub = {
+    active: [],
+    history: [],
+    submitted: [],
+    removed: [],
+    hashOf: job => job.infoHash || crypto.createHash('sha1').update(String(job.id)).digest('hex'),
+    list: () => stub.active,
+    listHistory: () => stub.history,
+    findByHash: hash => [...stub.active, ...stub.history].filter(job => stub.hashOf(job) === hash.toLowerCase()),
+    getSavePath: category => `/completed${category ? `/${category}` : ''}`,
+    listCategories: async () => ['movies'],
+    submitLink: async (link, options) => {
+      stub.submitted.push({ link, ...options });
+      return { id: 'new', name: 'New' };
+    },
+    submitFile: async (fileName, data, options) => {
+      stub.submitted.push({ fileName, size: data.length, ...options });
+      return { id: 'new', name: 'New' };
+    },
+    remove: async (id, options) => {
+      stub.removed.push({ id, ...options });
+    }
+  };
+  return stub;
+}
+
+before(async () => {
+  jobs = createJobs();
+  server = new ApiServer({ host: '127.0.0.1', token: 'secret' });
+  server.port = 0;
+  registerQbittorrentRoutes(server, jobs, { username: 'admin' });
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach(() => {
+  Object.assign(jobs, { active: [], history: [], submitted: [], removed: [] });
+});
+
+async function request(method, pathname, { form, cookie } = {}) {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: cookie ? { Cookie: cookie } : {},
+    body: form ? new URLSearchParams(form) : undefined
+  });
+  const text = await response.text();
+  return {
+    status: response.status,
+    cookie: (response.headers.get('set-cookie') || '').split(';')[0],
+    body: (response.headers.get('content-type') || '').includes('json') ? JSON.parse(text) : text
+  };
+}
+
+async function login() {
+  return (await request('POST', '/api/v2/auth/login', { form: { username: 'admin', password: 'secret' } })).cookie;
+}
+
+test('login with the API token returns a session cookie', async () => {
+  const failed = await request('POST', '/api/v2/auth/login', { form: { username: 'admin', password: 'wrong' } });
+  assert.deepEqual([failed.status, failed.body, failed.cookie], [200, 'Fails.', '']);
+
+  const cookie = await login();
+  assert.match(cookie, /^SID=[0-9a-f]{32}$/);
+  assert.deepEqual(await request('GET', '/api/v2/app/version', { cookie }), { status: 200, cookie: '', body: 'v4.6.7' });
+});
+
+test('requests need a known session', async () => {
+  assert.equal((await request('GET', '/api/v2/app/version')).status, 403);
+  assert.equal((await request('GET', '/api/v2/app/version', { cookie: 'SID=unknown' })).status, 403);
+
+  const cookie = await login();
+  await request('POST', '/api/v2/auth/logout', { cookie });
+  assert.equal((await request('GET', '/api/v2/app/version', { cookie })).status, 403);
+});
+
+test('sessions expire after an hour without use', async () => {
+  const cookie = await login();
+  const now = Date.now();
+
+  mock.method(Date, 'now', () => now + 3000000);
+  try {
+    // Using a session keeps it alive
+    assert.equal((await request('GET', '/api/v2/app/version', { cookie })).status, 200);
+    Date.now.mock.mockImplementation(() => now + 6000000);
+    assert.equal((await request('GET', '/api/v2/app/version', { cookie })).status, 200);
+    Date.now.mock.mockImplementation(() => now + 9600001);
+    assert.equal((await request('GET', '/api/v2/app/version', { cookie })).status, 403);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test('the least recently used sessions are dropped beyond 100', async () => {
+  const first = await login();
+  const second = await login();
+  for (let i = 0; i < 98; i++) {
+    await login();
+  }
+  // The first session was used last, so the second one goes first
+  assert.equal((await request('GET', '/api/v2/app/version', { cookie: first })).status, 200);
+
+  const latest = await login();
+  assert.equal((await request('GET', '/api/v2/app/version', { cookie: second })).status, 403);
+  assert.equal((await request('GET', '/api/v2/app/version', { cookie: first })).status, 200);
+  assert.equal((await request('GET', '/api/v2/app/version', { cookie: latest })).status, 200);
+});
+
+test('job states are reported as qBittorrent states', async () => {
+  const job = (id, state, extra = {}) => ({ id, name: id, category: '', state, progress: 0, ...extra });
+  jobs.active = [
+    job('queued', 'queued'),
+    job('submitting', 'processing'),
+    job('remote-queue', 'downloading', { remoteStatus: 'queued' }),
+    job('remote', 'downloading', { remoteStatus: 'downloading', progress: 0.5, size: 1000 }),
+    job('local', 'downloading_locally', { progress: 0.99, size: 1000 })
+  ];
+  jobs.history = [
+    job('done', 'completed', { progress: 1, size: 1000, path: '/completed/movies/done', category: 'movies', finishedTime: 5000 }),
+    job('failed', 'failed')
+  ];
+  const cookie = await login();
+
+  const { body } = await request('GET', '/api/v2/torrents/info', { cookie });
+  assert.deepEqual(body.map(torrent => [torrent.name, torrent.state]), [
+    ['queued', 'queuedDL'],
+    ['submitting', 'metaDL'],
+    ['remote-queue', 'queuedDL'],
+    ['remote', 'downloading'],
+    ['local', 'downloading'],
+    ['done', 'pausedUP'],
+    ['failed', 'error']
+  ]);
+  assert.deepEqual([body[3].downloaded, body[3].amount_left], [500, 500]);
+  assert.deepEqual([body[5].save_path, body[5].content_path, body[5].completion_on], ['/completed/movies', '/completed/movies/done', 5]);
+
+  const completed = await request('GET', '/api/v2/torrents/info?filter=completed', { cookie });
+  assert.deepEqual(completed.body.map(torrent => torrent.name), ['done']);
+  const errored = await request('GET', '/api/v2/torrents/info?filter=errored', { cookie });
+  assert.deepEqual(errored.body.map(torrent => torrent.name), ['failed']);
+  const category = await request('GET', '/api/v2/torrents/info?category=movies', { cookie });
+  assert.deepEqual(category.body.map(torrent => torrent.name), ['done']);
+});
+
+test('torrents/add submits every link with the category', async () => {
+  const cookie = await login();
+  const hash = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+
+  const added = await request('POST', '/api/v2/torrents/add', {
+    cookie,
+    form: { urls: `magnet:?xt=urn:btih:${hash}\nhttps://example.com/a.torrent\n`, category: 'movies' }
+  });
+  assert.equal(added.body, 'Ok.');
+  assert.deepEqual(jobs.submitted, [
+    { link: `magnet:?xt=urn:btih:${hash}`, category: 'movies' },
+    { link: 'https://example.com/a.torrent', category: 'movies' }
+  ]);
+
+  assert.equal((await request('POST', '/api/v2/torrents/add', { cookie, form: { urls: '' } })).body, 'Fails.');
+});
+
+test('torrents/delete removes jobs by hash', async () => {
+  jobs.active = [{ id: 'a', name: 'a', state: 'queued', progress: 0 }, { id: 'b', name: 'b', state: 'queued', progress: 0 }];
+  const cookie = await login();
+
+  await request('POST', '/api/v2/torrents/delete', { cookie, form: { hashes: jobs.hashOf(jobs.active[1]).toUpperCase(), deleteFiles: 'true' } });
+  assert.deepEqual(jobs.removed, [{ id: 'b', deleteFiles: true }]);
+});
@@ -0,0 +1,156 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiServer from '../../lib/api/server.js';
+import registerSabnzbdRoutes from '../../lib/api/sabnzbd.js';
+
+let server;
+let baseUrl;
+let jobs;
+
+/**
+ * Job service stub; tests set the active and finished jobs
+ */
+function createJobs() {
+  const stub = {
+    active: [],
+    history: [],
+    submitted: [],
+    removed: [],
+    list: () => stub.active,
+    listHistory: () => stub.history,
+    getSavePath: category => `/completed${category ? `/${category}` : ''}`,
+    listCategories: async () => ['tv'],
+    submitFile: async (fileName, data, options) => {
+      stub.submitted.push({ fileName, data: data.toString(), ...options });
+      return { id: 'job1' };
+    },
+    submitRemoteFile: async (url, options) => {
+      stub.submitted.push({ url, ...options });
+      return { id: 'job2' };
+    },
+    remove: async (id, options) => {
+      if (id === 'unknown') throw new Error('Job not found');
+      stub.removed.push({ id, ...options });
+    }
+  };
+  return stub;
+}
+
+before(async () => {
+  jobs = createJobs();
+  server = new ApiServer({ host: '127.0.0.1', token: 'secret' });
+  server.port = 0;
+  registerSabnzbdRoutes(server, jobs);
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach(() => {
+  Object.assign(jobs, { active: [], history: [], submitted: [], removed: [] });
+});
+
+async function api(params, body) {
+  const response = await fetch(`${baseUrl}/api?${new URLSearchParams(params)}`, { method: body ? 'POST' : 'GET', body });
+  assert.equal(response.status, 200);
+  return await response.json();
+}
+
+function job(id, state, extra = {}) {
+  return { id, name: id, file: `/watch/${id}.nzb`, category: '', state, progress: 0, ...extra };
+}
+
+test('every mode but version needs the API key', async () => {
+  assert.deepEqual(await api({ mode: 'version' }), { version: '4.3.2' });
+  assert.deepEqual(await api({ mode: 'queue' }), { status: false, error: 'API Key Incorrect' });
+  assert.deepEqual(await api({ mode: 'queue', apikey: 'wrong' }), { status: false, error: 'API Key Incorrect' });
+  assert.equal((await api({ mode: 'queue', apikey: 'secret' })).queue.noofslots, 0);
+});
+
+test('unknown modes are not implemented', async () => {
+  assert.deepEqual(await api({ mode: 'pause', apikey: 'secret' }), { status: false, error: 'not implemented' });
+  for (const mode of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.deepEqual(await api({ mode, apikey: 'secret' }), { status: false, error: 'not implemented' });
+  }
+});
+
+test('addfile submits the uploaded NZB under its nzbname', async () => {
+  const form = new FormData();
+  form.append('name', new Blob(['<nzb/>']), 'upload.nzb');
+
+  const result = await api({ mode: 'addfile', apikey: 'secret', cat: 'tv', nzbname: 'Show.S01E01' }, form);
+
+  assert.deepEqual(result, { status: true, nzo_ids: ['SABnzbd_nzo_job1'] });
+  assert.deepEqual(jobs.submitted, [{ fileName: 'Show.S01E01.nzb', data: '<nzb/>', category: 'tv' }]);
+  assert.deepEqual(await api({ mode: 'addfile', apikey: 'secret' }), { status: false, error: 'expects one parameter' });
+});
+
+test('addurl fetches the NZB from the link', async () => {
+  const result = await api({ mode: 'addurl', apikey: 'secret', name: 'https://indexer.example/get/1', cat: 'tv' });
+
+  assert.deepEqual(result, { status: true, nzo_ids: ['SABnzbd_nzo_job2'] });
+  assert.deepEqual(jobs.submitted, [{ url: 'https://indexer.example/get/1', category: 'tv', name: undefined, extension: '.nzb' }]);
+});
+
+test('the queue lists NZB jobs with SABnzbd statuses', async () => {
+  jobs.active = [
+    job('queued', 'queued', { category: 'tv' }),
+    job('remote', 'downloading', { remoteStatus: 'downloading', progress: 0.25, size: 4 * 1048576 }),
+    job('local', 'downloading_locally', { progress: 0.99 }),
+    { ...job('torrent', 'queued'), file: '/watch/torrent.torrent' }
+  ];
+
+  const { queue } = await api({ mode: 'queue', apikey: 'secret' });
+
+  assert.equal(queue.status, 'Downloading');
+  assert.equal(queue.noofslots, 3);
+  assert.deepEqual(queue.slots.map(slot => [slot.nzo_id, slot.cat, slot.status, slot.percentage]), [
+    ['SABnzbd_nzo_queued', 'tv', 'Queued', '0'],
+    ['SABnzbd_nzo_remote', '*', 'Downloading', '25'],
+    ['SABnzbd_nzo_local', '*', 'Moving', '99']
+  ]);
+  assert.deepEqual([queue.slots[1].mb, queue.slots[1].mbleft, queue.slots[1].size], ['4.00', '3.00', '4.0 MB']);
+
+  const paged = await api({ mode: 'queue', apikey: 'secret', start: 1, limit: 1, cat: '*' });
+  assert.deepEqual(paged.queue.slots.map(slot => slot.nzo_id), ['SABnzbd_nzo_remote']);
+  const category = await api({ mode: 'queue', apikey: 'secret', category: 'tv' });
+  assert.deepEqual(category.queue.slots.map(slot => slot.nzo_id), ['SABnzbd_nzo_queued']);
+});
+
+test('the history reports finished jobs but not cancelled ones', async () => {
+  jobs.history = [
+    job('done', 'completed', { path: '/completed/done', size: 1024, addedTime: 1000, finishedTime: 61000 }),
+    job('failed', 'failed', { error: 'Offcloud error', finishedTime: 2000 }),
+    job('cancelled', 'cancelled', { finishedTime: 3000 })
+  ];
+
+  const { history } = await api({ mode: 'history', apikey: 'secret' });
+
+  assert.equal(history.noofslots, 2);
+  assert.deepEqual(history.slots.map(slot => [slot.nzo_id, slot.status, slot.fail_message]), [
+    ['SABnzbd_nzo_done', 'Completed', ''],
+    ['SABnzbd_nzo_failed', 'Failed', 'Offcloud error']
+  ]);
+  assert.deepEqual([history.slots[0].storage, history.slots[0].size, history.slots[0].download_time], ['/completed/done', '1.0 KB', 60]);
+});
+
+test('queue and history deletes remove the jobs they can find', async () => {
+  const result = await api({ mode: 'queue', name: 'delete', value: 'SABnzbd_nzo_a,SABnzbd_nzo_unknown', del_files: 1, apikey: 'secret' });
+
+  assert.deepEqual(result, { status: true, nzo_ids: ['SABnzbd_nzo_a'] });
+  assert.deepEqual(jobs.removed, [{ id: 'a', deleteFiles: true }]);
+
+  await api({ mode: 'history', name: 'delete', value: 'SABnzbd_nzo_b', apikey: 'secret' });
+  assert.deepEqual(jobs.removed[1], { id: 'b', deleteFiles: false });
+});
+
+test('get_config lists the categories and their folders', async () => {
+  const { config } = await api({ mode: 'get_config', apikey: 'secret' });
+  assert.equal(config.misc.complete_dir, '/completed');
+  assert.deepEqual(config.categories.map(category => [category.name, category.dir]), [['*', ''], ['tv', '/completed/tv']]);
+
+  assert.deepEqual(Object.keys((await api({ mode: 'get_config', section: 'misc', apikey: 'secret' })).config), ['misc']);
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import ApiServer from '../../lib/api/server.js';
+import { sendJson } from '../../lib/api/http.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = new ApiServer({ host: '127.0.0.1', token: 'secret' });
+  server.port = 0; // Any free port
+  server.route('GET', '/api/jobs/:id', async (req, res) => sendJson(res, 200, { id: req.params.id }));
+  server.route('GET', '/api/ping', async (req, res) => sendJson(res, 200, { ok: true }), { auth: false });
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function get(pathname, headers = { Authorization: 'Bearer secret' }) {
+  const response = await fetch(`${baseUrl}${pathname}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+test('route params are decoded', async () => {
+  assert.deepEqual(await get('/api/jobs/Some%20Job%2B1'), { status: 200, body: { id: 'Some Job+1' } });
+});
+
+test('malformed percent-encoding in a param is a client error', async () => {
+  assert.deepEqual(await get('/api/jobs/%E0%A4%A'), { status: 400, body: { error: 'Invalid id in path' } });
+});
+
+test('requests need the token unless the route is public', async () => {
+  assert.equal((await get('/api/jobs/1', {})).status, 401);
+  assert.equal((await get('/api/jobs/1', { 'X-Api-Key': 'secret' })).status, 200);
+  assert.equal((await get('/api/jobs/1?apikey=wrong', {})).status, 401);
+  assert.equal((await get('/api/ping', {})).status, 200);
+});
+
+test('unknown paths and methods are rejected', async () => {
+  assert.equal((await get('/api/unknown')).status, 404);
+  const response = await fetch(`${baseUrl}/api/ping`, { method: 'DELETE' });
+  assert.equal(response.status, 405);
+});
+
+test('unparsable request URLs are a client error', async () => {
+  const { status, body } = await new Promise((resolve, reject) => {
+    const request = http.request(`${baseUrl}/api/ping`, { path: '//' }, response => {
+      let data = '';
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+
+  assert.deepEqual({ status, body }, { status: 400, body: { error: 'Invalid request URL' } });
+});
@@ -0,0 +1,147 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import ApiServer from '../../lib/api/server.js';
+import registerTransmissionRoutes from '../../lib/api/transmission.js';
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const AUTH = `Basic ${Buffer.from('user:secret').toString('base64')}`;
+
+let server;
+let baseUrl;
+let jobs;
+let sessionId;
+
+/**
+ * Job service stub; tests set the active and finished jobs
+ */
+function createJobs() {
+  const stub = {
+    active: [],
+    history: [],
+    submitted: [],
+    removed: [],
+    hashOf: job => job.infoHash || crypto.createHash('sha1').update(String(job.id)).digest('hex'),
+    list: () => stub.active,
+    listHistory: () => stub.history,
+    getSavePath: category => `/completed${category ? `/${category}` : ''}`,
+    listCategories: async () => ['movies'],
+    submitLink: async (link, options) => {
+      stub.submitted.push({ link, ...options });
+      return { id: 'new', name: 'New', infoHash: HASH };
+    },
+    remove: async (id, options) => {
+      stub.removed.push({ id, ...options });
+    }
+  };
+  return stub;
+}
+
+before(async () => {
+  jobs = createJobs();
+  server = new ApiServer({ host: '127.0.0.1', token: 'secret' });
+  server.port = 0;
+  registerTransmissionRoutes(server, jobs);
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach(() => {
+  Object.assign(jobs, { active: [], history: [], submitted: [], removed: [] });
+});
+
+async function post(body, headers = {}) {
+  const response = await fetch(`${baseUrl}/transmission/rpc`, { method: 'POST', headers, body: JSON.stringify(body) });
+  const text = await response.text();
+  return {
+    status: response.status,
+    sessionId: response.headers.get('x-transmission-session-id'),
+    body: response.status === 200 ? JSON.parse(text) : text
+  };
+}
+
+/**
+ * Call a method like a Transmission client: get the session ID from the 409 first
+ */
+async function rpc(method, args = {}) {
+  if (!sessionId) {
+    sessionId = (await post({ method: 'session-get' }, { Authorization: AUTH })).sessionId;
+  }
+  return (await post({ method, arguments: args, tag: 7 }, { Authorization: AUTH, 'X-Transmission-Session-Id': sessionId })).body;
+}
+
+test('requests without credentials are rejected', async () => {
+  const response = await post({ method: 'session-get' });
+  assert.equal(response.status, 401);
+
+  const wrong = await post({ method: 'session-get' }, { Authorization: `Basic ${Buffer.from('user:wrong').toString('base64')}` });
+  assert.equal(wrong.status, 401);
+});
+
+test('clients retry with the session ID from the 409 response', async () => {
+  const first = await post({ method: 'session-get' }, { Authorization: AUTH });
+  assert.equal(first.status, 409);
+  assert.ok(first.sessionId);
+  assert.equal(first.body, `x-transmission-session-id: ${first.sessionId}`);
+
+  const stale = await post({ method: 'session-get' }, { Authorization: AUTH, 'X-Transmission-Session-Id': 'stale' });
+  assert.equal(stale.status, 409);
+
+  const retried = await post({ method: 'session-get', tag: 1 }, { Authorization: AUTH, 'X-Transmission-Session-Id': first.sessionId });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.result, 'success');
+  assert.equal(retried.body.tag, 1);
+  assert.equal(retried.body.arguments['session-id'], first.sessionId);
+  assert.equal(retried.body.arguments['download-dir'], '/completed');
+});
+
+test('torrent-add submits magnets with the category of the download dir', async () => {
+  const result = await rpc('torrent-add', { filename: `magnet:?xt=urn:btih:${HASH}`, 'download-dir': '/completed/movies' });
+
+  assert.equal(result.result, 'success');
+  assert.deepEqual(result.arguments['torrent-added'], { id: parseInt(HASH.slice(0, 7), 16), hashString: HASH, name: 'New' });
+  assert.deepEqual(jobs.submitted, [{ link: `magnet:?xt=urn:btih:${HASH}`, category: 'movies' }]);
+});
+
+test('torrent-add reports torrents it already has as duplicates', async () => {
+  jobs.active = [{ id: 'a', name: 'Existing', infoHash: HASH, state: 'queued', progress: 0 }];
+
+  const result = await rpc('torrent-add', { filename: `magnet:?xt=urn:btih:${HASH.toUpperCase()}`, labels: ['movies'] });
+
+  assert.equal(result.arguments['torrent-duplicate'].name, 'Existing');
+  assert.deepEqual(jobs.submitted, []);
+});
+
+test('torrent-add reports invalid input in the result', async () => {
+  assert.equal((await rpc('torrent-add', {})).result, 'no filename or metainfo specified');
+  assert.match((await rpc('torrent-add', { metainfo: Buffer.from('not a torrent').toString('base64') })).result,
+    /^invalid or corrupt torrent file/);
+});
+
+test('torrent-get returns the requested fields of the selected jobs', async () => {
+  jobs.active = [{ id: 'a', name: 'Remote', state: 'downloading', remoteStatus: 'downloading', progress: 0.5, size: 1000 }];
+  jobs.history = [
+    { id: 'b', name: 'Done', state: 'completed', progress: 1, size: 1000, path: '/completed/movies/Done', finishedTime: 9000 },
+    { id: 'c', name: 'Cancelled', state: 'cancelled', progress: 0 }
+  ];
+
+  const all = await rpc('torrent-get', { fields: ['name', 'status', 'leftUntilDone', 'downloadDir', 'isFinished', 'unknown'] });
+  assert.deepEqual(all.arguments.torrents, [
+    { name: 'Remote', status: 4, leftUntilDone: 500, downloadDir: '/completed', isFinished: false },
+    { name: 'Done', status: 0, leftUntilDone: 0, downloadDir: '/completed/movies', isFinished: true }
+  ]);
+
+  const selected = await rpc('torrent-get', { ids: [jobs.hashOf(jobs.history[0])], fields: ['name'] });
+  assert.deepEqual(selected.arguments.torrents, [{ name: 'Done' }]);
+});
+
+test('unknown methods are reported and no-op methods succeed', async () => {
+  assert.equal((await rpc('torrent-rename-path')).result, 'method name not recognized');
+  assert.equal((await rpc('constructor')).result, 'method name not recognized');
+  assert.equal((await rpc('toString')).result, 'method name not recognized');
+  assert.equal((await rpc('torrent-stop', { ids: [1] })).result, 'success');
+});
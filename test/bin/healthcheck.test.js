@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SCRIPT = fileURLToPath(new URL('../../bin/healthcheck.js', import.meta.url));
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'healthcheck-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Run the probe against a report file
+ */
+async function probe(report, env = {}) {
+  const file = path.join(tmpDir, `${Date.now()}-${Math.random()}.json`);
+  if (report !== undefined) {
+    await fs.promises.writeFile(file, typeof report === 'string' ? report : JSON.stringify(report));
+  }
+
+  return await new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT], { env: { ...process.env, HEALTH_FILE: file, HEALTH_INTERVAL: '10000', ...env } },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, output: (stdout + stderr).trim() }));
+  });
+}
+
+test('a fresh healthy report passes', async () => {
+  assert.deepEqual(await probe({ healthy: true, checkedAt: Date.now(), checks: {} }), { code: 0, output: 'healthy' });
+});
+
+test('a report older than four intervals fails', async () => {
+  assert.deepEqual(await probe({ healthy: true, checkedAt: Date.now() - 45000, checks: {} }),
+    { code: 1, output: 'unhealthy: report is 45s old' });
+  assert.equal((await probe({ healthy: true, checkedAt: Date.now() - 35000, checks: {} })).code, 0);
+  assert.equal((await probe({ healthy: true, checks: {} })).code, 1);
+});
+
+test('the interval has a lower bound of one second', async () => {
+  const report = { healthy: true, checkedAt: Date.now() - 3000, checks: {} };
+  assert.equal((await probe(report, { HEALTH_INTERVAL: '10' })).code, 0);
+});
+
+test('an unhealthy report names the failing checks', async () => {
+  const report = {
+    healthy: false,
+    checkedAt: Date.now(),
+    checks: { watcher: { healthy: true }, offcloudApi: { healthy: false }, directories: { healthy: false } }
+  };
+  assert.deepEqual(await probe(report), { code: 1, output: 'unhealthy: failing checks: offcloudApi, directories' });
+});
+
+test('a missing or unreadable report fails', async () => {
+  assert.match((await probe(undefined)).output, /^unhealthy: cannot read .* ENOENT$/);
+  assert.equal((await probe('{not json')).code, 1);
+});
@@ -0,0 +1,145 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { parseArgs, parseHours, run } from '../../lib/cli/index.js';
+
+let server;
+let env;
+let tmpDir;
+// Responses of the fake control API by "METHOD /path"
+let routes = {};
+let requests = [];
+let output;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, data] = routes[`${req.method} ${req.url}`] || [404, { error: 'Not found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  env = { API_URL: `http://127.0.0.1:${server.address().port}`, API_TOKEN: 'secret' };
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+  output = { stdout: [], stderr: [] };
+  mock.method(console, 'log', (...args) => output.stdout.push(args.join(' ')));
+  mock.method(console, 'error', (...args) => output.stderr.push(args.join(' ')));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('parseArgs separates the command, its arguments and options', () => {
+  assert.deepEqual(parseArgs(['add', 'magnet:?xt=1', '--category', 'tv', '--json', '--url=http://host:1']), {
+    command: 'add',
+    args: ['magnet:?xt=1'],
+    options: { category: 'tv', json: true, url: 'http://host:1' }
+  });
+  assert.deepEqual(parseArgs(['-h']).options, { help: true });
+  assert.throws(() => parseArgs(['add', '--token']), /--token expects a value/);
+});
+
+test('parseHours understands units and plain hours', () => {
+  assert.equal(parseHours('12h'), 12);
+  assert.equal(parseHours('30m'), 0.5);
+  assert.equal(parseHours('2d'), 48);
+  assert.equal(parseHours('1w'), 168);
+  assert.equal(parseHours('6'), 6);
+  assert.throws(() => parseHours('soon'), /Invalid duration 'soon'/);
+});
+
+test('usage errors exit with 2', async () => {
+  assert.equal(await run([], env), 2);
+  assert.match(output.stdout[0], /^Usage: offcloud-downloader/);
+
+  assert.equal(await run(['frobnicate'], env), 2);
+  assert.match(output.stderr[0], /Unknown command 'frobnicate'/);
+
+  assert.equal(await run(['--help'], env), 0);
+  assert.equal(await run(['cleanup', '--older-than'], env), 2);
+  assert.equal(requests.length, 0);
+});
+
+test('add submits links to the daemon with the token and category', async () => {
+  routes['POST /api/v1/jobs'] = [201, { id: 'job1', name: 'Ubuntu' }];
+
+  assert.equal(await run(['add', 'magnet:?xt=urn:btih:abc', '--category', 'tv'], env), 0);
+
+  assert.equal(requests[0].headers.authorization, 'Bearer secret');
+  assert.deepEqual(JSON.parse(requests[0].body), { link: 'magnet:?xt=urn:btih:abc', category: 'tv' });
+  assert.deepEqual(output.stdout, ['Queued Ubuntu (job1)']);
+});
+
+test('add submits link files by their contents', async () => {
+  routes['POST /api/v1/jobs'] = [201, { id: 'job2', name: 'Show' }];
+  const file = path.join(tmpDir, 'Show.magnet');
+  await fs.promises.writeFile(file, 'magnet:?xt=urn:btih:def\n');
+
+  assert.equal(await run(['add', file], env), 0);
+  assert.deepEqual(JSON.parse(requests[0].body), { link: 'magnet:?xt=urn:btih:def', name: 'Show' });
+});
+
+test('queue prints a table of the active jobs', async () => {
+  routes['GET /api/v1/jobs'] = [200, { items: [
+    { id: 'job1', state: 'downloading', remoteStatus: 'downloading', progress: 0.5, size: 1048576, category: 'tv', name: 'Show' },
+    { id: 'job22', state: 'queued', progress: 0, estimatedSize: 0, category: '', name: 'Movie' }
+  ] }];
+
+  assert.equal(await run(['queue'], env), 0);
+  assert.deepEqual(output.stdout, [
+    'ID     STATE        PROGRESS  SIZE    CATEGORY  NAME',
+    'job1   downloading  50%       1.0 MB  tv        Show',
+    'job22  queued       0%        -       -         Movie'
+  ]);
+});
+
+test('--json prints the raw response', async () => {
+  routes['GET /api/v1/history'] = [200, { items: [] }];
+
+  assert.equal(await run(['history', '--json'], env), 0);
+  assert.deepEqual(output.stdout, ['[]']);
+});
+
+test('daemon errors are reported with the HTTP status', async () => {
+  routes['DELETE /api/v1/jobs/missing%20job'] = [404, { error: 'Job not found' }];
+
+  assert.equal(await run(['cancel', 'missing job'], env), 1);
+  assert.deepEqual(output.stderr, ['Error: Job not found (HTTP 404)']);
+
+  assert.equal(await run(['cancel'], env), 1);
+  assert.equal(output.stderr[1], 'Error: cancel expects a job ID');
+});
+
+test('cleanup exits with 1 when some downloads could not be removed', async () => {
+  routes['POST /api/v1/cleanup'] = [200, { cleanedCount: 2, cleanedSpace: 2048, errors: 1 }];
+
+  assert.equal(await run(['cleanup', '--older-than', '2d'], env), 1);
+  assert.deepEqual(JSON.parse(requests[0].body), { maxAgeHours: 48 });
+  assert.deepEqual(output.stdout, ['Removed 2 downloads (2.0 KB) older than 48h, 1 errors']);
+});
+
+test('limit sends auto as a reset to the configured limit', async () => {
+  routes['PUT /api/v1/bandwidth'] = [200, { limit: 0, jobLimit: 1048576, override: null, activeWindow: null }];
+
+  assert.equal(await run(['limit', 'auto', '--job', '1M'], env), 0);
+  assert.deepEqual(JSON.parse(requests[0].body), { limit: null, jobLimit: '1M' });
+  assert.deepEqual(output.stdout, ['Download limit: unlimited (configured), per job: 1.0 MB/s']);
+});
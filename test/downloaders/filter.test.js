@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FileFilter from '../../lib/downloaders/inline/filter.js';
+
+function file(filePath, size = null) {
+  return { link: `http://example.com/dl/1/Job/${filePath}`, path: filePath, size };
+}
+
+function apply(options, files) {
+  const filter = new FileFilter(options);
+  const { selected, skipped } = filter.apply(files, filter.getSettings(''));
+  return {
+    selected: selected.map(item => item.path),
+    skipped: skipped.map(item => [item.path, item.reason])
+  };
+}
+
+test('without settings every file is selected', () => {
+  const filter = new FileFilter();
+  assert.equal(filter.needsSizes(filter.getSettings('')), false);
+  assert.deepEqual(apply({}, [file('a.mkv'), file('b.nfo')]), { selected: ['a.mkv', 'b.nfo'], skipped: [] });
+});
+
+test('include and exclude patterns match the file name or its path in the job', () => {
+  const files = [file('Movie.mkv'), file('Movie.NFO'), file('Extras/Trailer.mkv'), file('Subs/en.srt')];
+
+  assert.deepEqual(apply({ include: ['*.mkv', '*.srt'], exclude: ['Extras/**', '/\\.nfo$/i'] }, files), {
+    selected: ['Movie.mkv', 'Subs/en.srt'],
+    skipped: [['Movie.NFO', 'not included'], ['Extras/Trailer.mkv', 'excluded']]
+  });
+});
+
+test('files below the minimum size are skipped, files of unknown size are kept', () => {
+  const filter = new FileFilter({ minSize: 1000 });
+  assert.equal(filter.needsSizes(filter.getSettings('')), true);
+
+  assert.deepEqual(apply({ minSize: 1000 }, [file('a.mkv', 5000), file('sample.mkv', 999), file('b.mkv', null)]), {
+    selected: ['a.mkv', 'b.mkv'],
+    skipped: [['sample.mkv', 'smaller than the minimum size']]
+  });
+});
+
+test('largest only keeps the largest of the selected files', () => {
+  const files = [file('a.mkv', 300), file('b.mkv', 900), file('c.mkv', null), file('d.nfo', 5000)];
+
+  assert.deepEqual(apply({ largestOnly: true, exclude: ['*.nfo'] }, files), {
+    selected: ['b.mkv'],
+    skipped: [['d.nfo', 'excluded'], ['a.mkv', 'not the largest file'], ['c.mkv', 'not the largest file']]
+  });
+});
+
+test('largest only keeps every file when no size is known', () => {
+  assert.deepEqual(apply({ largestOnly: true }, [file('a.mkv'), file('b.mkv')]), {
+    selected: ['a.mkv', 'b.mkv'],
+    skipped: []
+  });
+});
+
+test('the files setting of a category overrides single defaults', () => {
+  const categories = {
+    get: name => ({
+      movies: { files: { largestOnly: true, minSize: '100', exclude: '*.txt' } },
+      tv: { files: { include: [] } }
+    })[name] || {}
+  };
+  const filter = new FileFilter({ include: ['*.mkv'], exclude: ['*.nfo'], categories });
+
+  assert.deepEqual(filter.getSettings('movies'), { include: ['*.mkv'], exclude: ['*.txt'], minSize: 100, largestOnly: true });
+  assert.deepEqual(filter.getSettings('tv'), { include: [], exclude: ['*.nfo'], minSize: 0, largestOnly: false });
+  assert.deepEqual(filter.getSettings(''), { include: ['*.mkv'], exclude: ['*.nfo'], minSize: 0, largestOnly: false });
+});
@@ -0,0 +1,309 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import InlineDownloader from '../../lib/downloaders/inline/index.js';
+import FileFilter from '../../lib/downloaders/inline/filter.js';
+
+let server;
+let baseUrl;
+let tmpDir;
+let inProgressDir;
+let completedDir;
+// Handles the requests of the current test
+let serve = null;
+let requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    serve(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'inline-'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  requests = [];
+  const testDir = await fs.promises.mkdtemp(path.join(tmpDir, 'test-'));
+  inProgressDir = path.join(testDir, 'in-progress');
+  completedDir = path.join(testDir, 'completed');
+});
+
+function createDownloader(options = {}) {
+  return new InlineDownloader(tmpDir, completedDir, inProgressDir, completedDir, options);
+}
+
+function fileContent(size) {
+  return Buffer.from(Array.from({ length: size }, (_, i) => i % 251));
+}
+
+/**
+ * Serve a file with range support; If-Range only matches the given ETag
+ */
+function serveFile(content, etag = '"v1"') {
+  return (req, res) => {
+    const range = /bytes=(\d+)-(\d*)/.exec(req.headers.range || '');
+    const ifRange = req.headers['if-range'];
+    if (range && (!ifRange || ifRange === etag)) {
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? parseInt(range[2], 10) : content.length - 1;
+      if (start >= content.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${content.length}` });
+        return res.end();
+      }
+      res.writeHead(206, {
+        ETag: etag,
+        'Accept-Ranges': 'bytes',
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${content.length}`
+      });
+      return res.end(content.subarray(start, end + 1));
+    }
+    res.writeHead(200, { ETag: etag, 'Accept-Ranges': 'bytes', 'Content-Length': content.length });
+    res.end(content);
+  };
+}
+
+/**
+ * Leave a partial download in the in-progress folder of a job
+ */
+async function writePartial(job, fileName, data, info) {
+  const folder = path.join(inProgressDir, job);
+  await fs.promises.mkdir(folder, { recursive: true });
+  await fs.promises.writeFile(path.join(folder, `${fileName}.part`), data);
+  await fs.promises.writeFile(path.join(folder, `${fileName}.part.json`), JSON.stringify({ fileName, ...info }));
+}
+
+async function readCompleted(...segments) {
+  return await fs.promises.readFile(path.join(completedDir, ...segments));
+}
+
+test('files whose server ignores ranges are downloaded as a single stream', async () => {
+  const content = fileContent(4000);
+  // Advertises ranges, but always answers with the whole file
+  serve = (req, res) => {
+    res.writeHead(200, { 'Content-Length': content.length, 'Accept-Ranges': 'bytes' });
+    res.end(content);
+  };
+  const downloader = createDownloader({ segments: 4, segmentMinSize: 1000 });
+
+  const result = await downloader.download([`${baseUrl}/dl/1/Job/file.bin`], 'Job');
+
+  assert.deepEqual(result.success, ['file.bin']);
+  assert.deepEqual(await fs.promises.readFile(path.join(completedDir, 'Job', 'file.bin')), content);
+  // Full request, the failed segments, then one full request without a range
+  const last = requests[requests.length - 1];
+  assert.equal(last.headers.range, undefined);
+  assert.ok(requests.some(request => request.headers.range));
+  assert.equal(downloader.unsegmentable.size, 0);
+});
+
+test('partial downloads continue with a Range and If-Range request', async () => {
+  const content = fileContent(3000);
+  const link = `${baseUrl}/dl/1/Job/file.bin`;
+  serve = serveFile(content);
+  await writePartial('Job', 'file.bin', content.subarray(0, 1200), { url: link, total: 3000, etag: '"v1"', lastModified: null });
+
+  await createDownloader().download([link], 'Job');
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers.range, 'bytes=1200-');
+  assert.equal(requests[0].headers['if-range'], '"v1"');
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+  assert.equal(fs.existsSync(path.join(inProgressDir, 'Job')), false);
+});
+
+test('partial downloads of a changed file start over', async () => {
+  const content = fileContent(3000);
+  const link = `${baseUrl}/dl/1/Job/file.bin`;
+  serve = serveFile(content, '"v2"');
+  await writePartial('Job', 'file.bin', Buffer.alloc(1200), { url: link, total: 3000, etag: '"v1"', lastModified: null });
+
+  await createDownloader().download([link], 'Job');
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+});
+
+test('partial downloads larger than the remote file start over', async () => {
+  const content = fileContent(1000);
+  const link = `${baseUrl}/dl/1/Job/file.bin`;
+  serve = serveFile(content);
+  await writePartial('Job', 'file.bin', Buffer.alloc(1500), { url: link, total: 2000, etag: null, lastModified: null });
+
+  await createDownloader().download([link], 'Job');
+
+  assert.deepEqual(requests.map(request => request.headers.range), ['bytes=1500-', undefined]);
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+});
+
+test('interrupted downloads are retried from where they stopped', async () => {
+  const content = fileContent(200000);
+  const complete = serveFile(content);
+  serve = (req, res) => {
+    if (requests.length > 1) return complete(req, res);
+    // Close the connection after part of the file
+    res.writeHead(200, { ETag: '"v1"', 'Content-Length': content.length });
+    res.write(content.subarray(0, 65536), () => setTimeout(() => res.destroy(), 50));
+  };
+
+  await createDownloader().download([`${baseUrl}/dl/1/Job/file.bin`], 'Job');
+
+  assert.equal(requests.length, 2);
+  const resumedAt = parseInt(/bytes=(\d+)-/.exec(requests[1].headers.range)[1], 10);
+  assert.ok(resumedAt > 0 && resumedAt <= 65536);
+  assert.equal(requests[1].headers['if-range'], '"v1"');
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+});
+
+test('large files are downloaded in segments and reassembled', async () => {
+  const content = fileContent(4001);
+  serve = serveFile(content);
+
+  const result = await createDownloader({ segments: 4, segmentMinSize: 1000 }).download([`${baseUrl}/dl/1/Job/file.bin`], 'Job');
+
+  assert.equal(result.success.length, 1);
+  // The first request finds the size, the segments then request their ranges
+  assert.deepEqual(requests.slice(1).map(request => request.headers.range).sort(), [
+    'bytes=0-1000',
+    'bytes=1001-2001',
+    'bytes=2002-3002',
+    'bytes=3003-4000'
+  ]);
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+});
+
+test('files below the minimum segment size are downloaded as a single stream', async () => {
+  const content = fileContent(999);
+  serve = serveFile(content);
+
+  await createDownloader({ segments: 4, segmentMinSize: 1000 }).download([`${baseUrl}/dl/1/Job/file.bin`], 'Job');
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+});
+
+test('segmented partial downloads continue every unfinished segment', async () => {
+  const content = fileContent(4000);
+  const link = `${baseUrl}/dl/1/Job/file.bin`;
+  serve = serveFile(content);
+  // The first segment is done, the second stopped after 500 bytes
+  const data = Buffer.alloc(4000);
+  content.copy(data, 0, 0, 2500);
+  await writePartial('Job', 'file.bin', data, {
+    url: link,
+    total: 4000,
+    etag: '"v1"',
+    lastModified: null,
+    segments: [
+      { start: 0, end: 1999, received: 2000 },
+      { start: 2000, end: 3999, received: 500 }
+    ]
+  });
+
+  await createDownloader({ segments: 2, segmentMinSize: 1000 }).download([link], 'Job');
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers.range, 'bytes=2500-3999');
+  assert.equal(requests[0].headers['if-range'], '"v1"');
+  assert.deepEqual(await readCompleted('Job', 'file.bin'), content);
+});
+
+/**
+ * Serve every file after a short delay, counting the requests open at once
+ */
+function serveConcurrent(content) {
+  const stats = { active: 0, max: 0 };
+  serve = (req, res) => {
+    stats.active++;
+    stats.max = Math.max(stats.max, stats.active);
+    setTimeout(() => {
+      stats.active--;
+      res.writeHead(200, { 'Content-Length': content.length });
+      res.end(content);
+    }, 50);
+  };
+  return stats;
+}
+
+test('fileConcurrency downloads files of a job in parallel', async () => {
+  const stats = serveConcurrent(fileContent(100));
+  const links = [1, 2, 3, 4, 5, 6].map(i => `${baseUrl}/dl/1/Job/file${i}.bin`);
+
+  const result = await createDownloader({ fileConcurrency: 3 }).download(links, 'Job');
+
+  assert.equal(result.success.length, 6);
+  assert.equal(stats.max, 3);
+});
+
+test('maxConnections limits the connections of all jobs', async () => {
+  const stats = serveConcurrent(fileContent(100));
+  const downloader = createDownloader({ fileConcurrency: 3, maxConnections: 2 });
+
+  const results = await Promise.all(['A', 'B'].map(job =>
+    downloader.download([1, 2, 3].map(i => `${baseUrl}/dl/1/${job}/file${i}.bin`), job)));
+
+  assert.deepEqual(results.map(result => result.success.length), [3, 3]);
+  assert.equal(stats.max, 2);
+});
+
+test('files keep the folder layout of their job', async () => {
+  serve = serveFile(fileContent(100));
+  const links = ['Season 1/e1.mkv', 'Season 2/e2.mkv', 'Season 2/Extras/e3.mkv'].map(file =>
+    `${baseUrl}/dl/1/Show/${file.split('/').map(encodeURIComponent).join('/')}`);
+
+  const result = await createDownloader().download(links, 'Show');
+
+  assert.equal(result.success.length, 3);
+  for (const file of ['Season 1/e1.mkv', 'Season 2/e2.mkv', 'Season 2/Extras/e3.mkv']) {
+    assert.deepEqual(await readCompleted('Show', ...file.split('/')), fileContent(100));
+  }
+});
+
+test('files whose remote path leaves the job folder fail', async () => {
+  serve = serveFile(fileContent(100));
+  const links = [
+    `${baseUrl}/dl/1/Job/sub/ok.bin`,
+    // Encoded slashes survive URL normalization and only split into '..' here
+    `${baseUrl}/dl/1/Job/..%2F..%2Fsub/evil1.bin`,
+    `${baseUrl}/dl/1/Job/sub%2F..%2F..%2F../evil2.bin`
+  ];
+
+  const result = await createDownloader().download(links, 'Job');
+
+  assert.equal(result.success.length, 1);
+  assert.equal(result.failed.length, 2);
+  assert.deepEqual(requests.map(request => request.url), ['/dl/1/Job/sub/ok.bin']);
+  assert.deepEqual(await readCompleted('Job', 'sub', 'ok.bin'), fileContent(100));
+  const written = await fs.promises.readdir(path.dirname(completedDir), { recursive: true });
+  assert.deepEqual(written.filter(file => file.includes('evil')), []);
+});
+
+test('files skipped by the filters are reported and not downloaded', async () => {
+  const sizes = { 'movie.mkv': 3000, 'sample.mkv': 200, 'info.nfo': 50 };
+  serve = (req, res) => {
+    const content = fileContent(sizes[path.basename(req.url)]);
+    res.writeHead(200, { 'Content-Length': content.length });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  };
+  const filter = new FileFilter({ exclude: ['*.nfo'], largestOnly: true });
+  const links = Object.keys(sizes).map(name => `${baseUrl}/dl/1/Job/${name}`);
+
+  const result = await createDownloader({ filter }).download(links, 'Job');
+
+  assert.deepEqual(result.success, ['movie.mkv']);
+  assert.deepEqual(result.skipped, [
+    { file: 'info.nfo', size: 50, reason: 'excluded' },
+    { file: 'sample.mkv', size: 200, reason: 'not the largest file' }
+  ]);
+  assert.deepEqual(requests.filter(request => request.method === 'GET').map(request => request.url), ['/dl/1/Job/movie.mkv']);
+});
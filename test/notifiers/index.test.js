@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import Notifiers from '../../lib/notifiers/index.js';
+
+let server;
+let baseUrl;
+let tmpDir;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notifiers-'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+async function loadConfig(config) {
+  const filePath = path.join(tmpDir, `notifiers-${Date.now()}-${Math.random()}.json`);
+  await fs.promises.writeFile(filePath, JSON.stringify(config));
+  return await Notifiers.load(filePath);
+}
+
+test('ntfy publishes JSON to the server root with the topic and auth header', async () => {
+  requests.length = 0;
+  const notifiers = await loadConfig({
+    targets: [{ type: 'ntfy', url: `${baseUrl}/alerts/downloads`, token: 'tk_secret', tags: ['inbox_tray'] }]
+  });
+
+  await notifiers.notify('failed', { name: 'Ubuntu', error: 'Not enough space' });
+
+  assert.equal(requests.length, 1);
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/alerts');
+  assert.equal(request.headers.authorization, 'Bearer tk_secret');
+  assert.match(request.headers['content-type'], /^application\/json/);
+  assert.deepEqual(request.body, {
+    topic: 'downloads',
+    title: 'Failed: Ubuntu',
+    message: 'Ubuntu failed: Not enough space',
+    priority: 4,
+    tags: ['inbox_tray', 'failed']
+  });
+});
+
+test('gotify sends the application token and mapped priority', async () => {
+  requests.length = 0;
+  const notifiers = await loadConfig({
+    targets: [{ type: 'gotify', url: `${baseUrl}/gotify/`, token: 'app-token' }]
+  });
+
+  await notifiers.notify('completed', { name: 'Job', path: '/completed/Job', size: 1024 });
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/gotify/message');
+  assert.equal(requests[0].headers['x-gotify-key'], 'app-token');
+  assert.deepEqual(requests[0].body, {
+    title: 'Completed: Job',
+    message: 'Job was downloaded to /completed/Job (1.0 KB).',
+    priority: 5
+  });
+});
+
+test('discord posts an embed with the event color', async () => {
+  requests.length = 0;
+  const notifiers = await loadConfig({
+    targets: [{ type: 'discord', url: `${baseUrl}/webhooks/1/abc`, username: 'Downloader' }]
+  });
+
+  await notifiers.notify('completed', { name: 'Job', path: '/completed/Job', size: 0 });
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/webhooks/1/abc');
+  assert.equal(requests[0].body.username, 'Downloader');
+  assert.equal(requests[0].body.embeds.length, 1);
+  assert.equal(requests[0].body.embeds[0].title, 'Completed: Job');
+  assert.equal(requests[0].body.embeds[0].description, 'Job was downloaded to /completed/Job (0 B).');
+  assert.equal(requests[0].body.embeds[0].color, 0x2ecc71);
+});
+
+test('targets only receive their events, rendered with global and target templates', async () => {
+  requests.length = 0;
+  const notifiers = await loadConfig({
+    templates: {
+      completed: { title: 'Done: {{name}}', body: '{{name}}{{#category}} in {{category}}{{/category}}' }
+    },
+    targets: [
+      { type: 'gotify', url: `${baseUrl}/all`, token: 'a' },
+      { type: 'gotify', url: `${baseUrl}/failures`, token: 'b', events: ['failed'] },
+      { type: 'gotify', url: `${baseUrl}/custom`, token: 'c', templates: { completed: { title: '[{{event}}] {{name}}' } } }
+    ]
+  });
+
+  await notifiers.notify('completed', { name: 'Job', category: 'movies' });
+
+  const byUrl = Object.fromEntries(requests.map(request => [request.url, request.body]));
+  assert.deepEqual(Object.keys(byUrl).sort(), ['/all/message', '/custom/message']);
+  assert.equal(byUrl['/all/message'].title, 'Done: Job');
+  assert.equal(byUrl['/all/message'].message, 'Job in movies');
+  assert.equal(byUrl['/custom/message'].title, '[completed] Job');
+  assert.equal(byUrl['/custom/message'].message, 'Job in movies');
+});
+
+test('module targets are loaded relative to the config file', async () => {
+  await fs.promises.writeFile(path.join(tmpDir, 'recorder.js'), `
+    export default class Recorder {
+      constructor(settings) { this.url = settings.url; }
+      async send(message) {
+        await fetch(this.url, { method: 'POST', body: JSON.stringify({ title: message.title, data: message.data }) });
+      }
+    }
+  `);
+  requests.length = 0;
+  const notifiers = await loadConfig({
+    targets: [{ type: 'module', path: './recorder.js', url: `${baseUrl}/module` }]
+  });
+
+  await notifiers.notify('queued', { name: 'Job', category: '' });
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].body, { title: 'Queued: Job', data: { name: 'Job', category: '' } });
+});
+
+test('invalid targets are skipped', async () => {
+  const notifiers = await loadConfig({
+    targets: [{ type: 'gotify', url: baseUrl }, { type: 'pager' }, { type: 'ntfy', url: `${baseUrl}/topic` }]
+  });
+
+  assert.deepEqual(notifiers.targets.map(target => target.name), ['ntfy#3']);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSize, render, renderMessage } from '../../lib/notifiers/template.js';
+
+test('render replaces placeholders, dotted paths and arrays', () => {
+  const context = { name: 'Ubuntu', storage: { freeSpace: 42 }, files: ['a.iso', 'b.txt'], missing: null };
+  assert.equal(render('{{name}} {{ storage.freeSpace }} {{files}} [{{missing}}] [{{unknown.key}}]', context),
+    'Ubuntu 42 a.iso, b.txt [] []');
+});
+
+test('render only keeps sections whose value is set', () => {
+  const template = '{{name}}{{#category}} ({{category}}){{/category}}{{#files}}: {{files}}{{/files}}';
+  assert.equal(render(template, { name: 'Job', category: 'movies', files: [] }), 'Job (movies)');
+  assert.equal(render(template, { name: 'Job', category: '', files: ['a'] }), 'Job: a');
+});
+
+test('formatSize uses binary units', () => {
+  assert.equal(formatSize(0), '0 B');
+  assert.equal(formatSize(512), '512 B');
+  assert.equal(formatSize(1536), '1.5 KB');
+  assert.equal(formatSize(5 * 1024 * 1024 * 1024), '5.0 GB');
+});
+
+test('renderMessage uses the default templates with size texts', () => {
+  const message = renderMessage('completed', { name: 'Job', path: '/completed/Job', size: 2097152 });
+  assert.equal(message.event, 'completed');
+  assert.equal(message.title, 'Completed: Job');
+  assert.equal(message.body, 'Job was downloaded to /completed/Job (2.0 MB).');
+  assert.equal(message.priority, 'default');
+
+  assert.equal(renderMessage('failed', { name: 'Job', error: 'boom' }).priority, 'high');
+});
+
+test('renderMessage overrides the defaults per field', () => {
+  const message = renderMessage('failed', { name: 'Job', error: 'boom' }, { failed: { title: '{{event}}: {{name}}' } });
+  assert.equal(message.title, 'failed: Job');
+  assert.equal(message.body, 'Job failed: boom');
+  assert.equal(message.priority, 'high');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import magnet from '../../lib/parsers/magnet.js';
+
+const HEX = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+// The same hash in base32
+const BASE32 = 'YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK';
+
+test('parseMagnet reads the hash, name, length and trackers', () => {
+  const link = `magnet:?xt=urn:btih:${HEX.toUpperCase()}&dn=Ubuntu+24.04&xl=12345&tr=udp%3A%2F%2Fa&tr=udp%3A%2F%2Fb`;
+  assert.deepEqual(magnet.parseMagnet(link), {
+    infoHash: HEX,
+    name: 'Ubuntu 24.04',
+    length: 12345,
+    trackers: ['udp://a', 'udp://b']
+  });
+});
+
+test('base32 hashes are converted to hex', () => {
+  assert.equal(magnet.parseMagnet(`magnet:?xt=urn:btih:${BASE32}`).infoHash, HEX);
+  assert.equal(magnet.parseMagnet(`magnet:?xt=urn:btih:${BASE32.toLowerCase()}`).infoHash, HEX);
+});
+
+test('invalid btih values give no hash', () => {
+  for (const btih of [
+    'z'.repeat(40), // not hex
+    '0189'.repeat(8), // 32 characters outside the base32 alphabet
+    HEX.slice(0, 39),
+    `${HEX}0`,
+    ''
+  ]) {
+    assert.equal(magnet.parseMagnet(`magnet:?xt=urn:btih:${btih}&dn=Name`).infoHash, null, btih);
+  }
+  assert.equal(magnet.parseMagnet('magnet:?xt=urn:btih:').name, null);
+});
+
+test('the first valid btih is used', () => {
+  const link = `magnet:?xt=urn:btmh:1220${'a'.repeat(64)}&xt=urn:btih:${'z'.repeat(40)}&xt=urn:btih:${HEX}`;
+  assert.equal(magnet.parseMagnet(link).infoHash, HEX);
+});
+
+test('links that are not magnet links are rejected', () => {
+  assert.equal(magnet.parseMagnet('https://example.com/a.torrent'), null);
+  assert.equal(magnet.parseMagnet(null), null);
+  assert.equal(magnet.parseMagnet('  magnet:?dn=x ').infoHash, null);
+  assert.equal(magnet.parseMagnet('magnet:?xt=urn:btih:abc&xl=12a').length, null);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import nzbParser from '../../lib/parsers/nzb.js';
+
+const NZB = `<?xml version="1.0" encoding="iso-8859-1" ?>
+<!DOCTYPE nzb PUBLIC "-//newzBin//DTD NZB 1.1//EN" "http://www.newzbin.com/DTD/nzb/nzb-1.1.dtd">
+<nzb xmlns="http://www.newzbin.com/DTD/2003/nzb">
+  <head>
+    <meta type="name">Tom &amp; Jerry &#8211; S01</meta>
+    <meta type="password">s3cr&lt;t</meta>
+    <meta type="name">Ignored second name</meta>
+  </head>
+  <file poster="poster@example.com" date="1700000000" subject='Tom &amp; Jerry "S01.part1.rar" yEnc (1/3)'>
+    <groups><group>alt.binaries.test</group></groups>
+    <segments>
+      <segment bytes="100" number="1">part1of3@example</segment>
+      <segment bytes="200" number="2">part2of3@example</segment>
+      <segment bytes="200" number="2">part2of3-repost@example</segment>
+      <segment bytes="50" number="3">part3of3@example</segment>
+    </segments>
+  </file>
+  <file poster="poster@example.com" date="1700000000" subject="S01.par2 &#x28;1/1&#x29;">
+    <segments>
+      <segment number="1" bytes="10">par@example</segment>
+    </segments>
+  </file>
+</nzb>`;
+
+test('parseNzb sums segments, counting reposted segments once', () => {
+  const result = nzbParser.parseNzb(Buffer.from(NZB));
+
+  assert.equal(result.size, 360);
+  assert.deepEqual(result.files, [
+    { subject: 'Tom & Jerry "S01.part1.rar" yEnc (1/3)', size: 350, segments: 3 },
+    { subject: 'S01.par2 (1/1)', size: 10, segments: 1 }
+  ]);
+});
+
+test('parseNzb decodes entities in the head meta data', () => {
+  const result = nzbParser.parseNzb(NZB);
+
+  assert.equal(result.name, 'Tom & Jerry – S01');
+  assert.equal(result.password, 's3cr<t');
+});
+
+test('parseNzb returns null name and password without a head', () => {
+  const result = nzbParser.parseNzb('<nzb><file subject="a"><segments><segment bytes="5" number="1">x</segment></segments></file></nzb>');
+
+  assert.equal(result.name, null);
+  assert.equal(result.password, null);
+  assert.equal(result.size, 5);
+});
+
+test('parseNzb rejects other files and NZBs without files', () => {
+  assert.throws(() => nzbParser.parseNzb('<html><body>not found</body></html>'), /Not an NZB file/);
+  assert.throws(() => nzbParser.parseNzb('<nzb><head></head></nzb>'), /no files/);
+});
+
+test('parsePasswordName splits a {{password}} suffix', () => {
+  assert.deepEqual(nzbParser.parsePasswordName('Show.S01E01{{secret}}'), { name: 'Show.S01E01', password: 'secret' });
+  assert.deepEqual(nzbParser.parsePasswordName('Show S01E01 {{pass word}} '), { name: 'Show S01E01', password: 'pass word' });
+  assert.deepEqual(nzbParser.parsePasswordName('Show.S01E01'), { name: 'Show.S01E01', password: null });
+  assert.deepEqual(nzbParser.parsePasswordName('Show {{}}'), { name: 'Show {{}}', password: null });
+});
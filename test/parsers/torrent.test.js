@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bencode from '../../lib/parsers/bencode.js';
+import torrentParser from '../../lib/parsers/torrent.js';
+
+const PIECES = '6:pieces20:AAAAAAAAAAAAAAAAAAAA';
+const SINGLE_INFO = `d6:lengthi12345e4:name8:test.iso12:piece lengthi16384e${PIECES}e`;
+
+function torrent(info, extra = '') {
+  return Buffer.from(`d8:announce26:http://tracker.example/ann${extra}4:info${info}e`);
+}
+
+test('decode returns byte strings as Buffers and records top-level ranges', () => {
+  const buffer = Buffer.from('d3:agei42e4:listl1:ai-7ee4:name3:fooe');
+  const { value, ranges } = bencode.decode(buffer);
+
+  assert.equal(value.age, 42);
+  assert.deepEqual(value.list.map(item => Buffer.isBuffer(item) ? item.toString() : item), ['a', -7]);
+  assert.ok(Buffer.isBuffer(value.name));
+  assert.equal(buffer.toString('ascii', ...ranges.list), 'l1:ai-7ee');
+});
+
+test('decode rejects malformed data', () => {
+  assert.throws(() => bencode.decode(Buffer.from('i12')), /unterminated integer/);
+  assert.throws(() => bencode.decode(Buffer.from('i1x2e')), /bad integer/);
+  assert.throws(() => bencode.decode(Buffer.from('10:short')), /string exceeds data/);
+  assert.throws(() => bencode.decode(Buffer.from('x')), /unexpected byte 0x78/);
+});
+
+test('infoHash hashes the info dictionary bytes as they appear in the file', () => {
+  // sha1 of the info dictionary, computed with `printf '<info>' | sha1sum`
+  assert.equal(bencode.infoHash(torrent(SINGLE_INFO)), '3e21b60219ddae6c164ab30787b770fffd8b3d18');
+
+  // Keys out of order change the hash, so the raw bytes must be hashed rather than a re-encoding
+  const unsorted = `d4:name8:test.iso6:lengthi12345e12:piece lengthi16384e${PIECES}e`;
+  assert.equal(bencode.infoHash(torrent(unsorted)), '90d8889e1b8adf1aaf3ed40c7637241007dc2e8e');
+
+  assert.throws(() => bencode.infoHash(Buffer.from('d8:announce3:urle')), /no info dictionary/);
+});
+
+test('parseTorrent reads single-file torrents', () => {
+  const result = torrentParser.parseTorrent(torrent(SINGLE_INFO));
+
+  assert.equal(result.infoHash, '3e21b60219ddae6c164ab30787b770fffd8b3d18');
+  assert.equal(result.name, 'test.iso');
+  assert.equal(result.length, 12345);
+  assert.deepEqual(result.files, [{ path: 'test.iso', length: 12345 }]);
+  assert.deepEqual(result.trackers, ['http://tracker.example/ann']);
+  assert.equal(result.private, false);
+});
+
+test('parseTorrent sums the files of multi-file torrents', () => {
+  const info = 'd5:filesl' +
+    'd6:lengthi1000e4:pathl5:Video8:film.mkvee' +
+    'd6:lengthi250e4:pathl4:Subs6:en.srtee' +
+    'd6:lengthi5e4:pathl8:info.txtee' +
+    `e4:name6:Folder12:piece lengthi16384e${PIECES}7:privatei1ee`;
+  const extra = '13:announce-listll26:http://tracker.example/annel23:udp://backup.example:80ee';
+  const result = torrentParser.parseTorrent(torrent(info, extra));
+
+  assert.equal(result.name, 'Folder');
+  assert.equal(result.length, 1255);
+  assert.deepEqual(result.files, [
+    { path: 'Video/film.mkv', length: 1000 },
+    { path: 'Subs/en.srt', length: 250 },
+    { path: 'info.txt', length: 5 }
+  ]);
+  assert.deepEqual(result.trackers, ['http://tracker.example/ann', 'udp://backup.example:80']);
+  assert.equal(result.private, true);
+});
+
+test('parseTorrent prefers UTF-8 names and reads v2 file trees', () => {
+  const info = 'd9:file treed' +
+    '1:ad5:b.bind0:d6:lengthi7eeee' +
+    '5:c.txtd0:d6:lengthi3eee' +
+    'e4:name3:raw10:name.utf-88:Ünicode12:piece lengthi16384ee';
+  const result = torrentParser.parseTorrent(torrent(info));
+
+  assert.equal(result.name, 'Ünicode');
+  assert.equal(result.length, 10);
+  assert.deepEqual(result.files, [{ path: 'a/b.bin', length: 7 }, { path: 'c.txt', length: 3 }]);
+});
+
+test('parseTorrent rejects files without an info dictionary', () => {
+  assert.throws(() => torrentParser.parseTorrent(Buffer.from('d8:announce3:urle')), /no info dictionary/);
+  assert.throws(() => torrentParser.parseTorrent(torrent('d4:name1:xe')), /no files/);
+});
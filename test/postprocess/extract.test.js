@@ -0,0 +1,95 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Extractor from '../../lib/postprocess/extract.js';
+
+let tmpDir;
+let jobDir;
+
+beforeEach(async () => {
+  tmpDir = tmpDir || await fs.promises.mkdtemp(path.join(os.tmpdir(), 'extract-'));
+  jobDir = await fs.promises.mkdtemp(path.join(tmpDir, 'job-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a tar archive of { name: content } files
+ */
+function buildTar(files) {
+  const blocks = [];
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const block = Buffer.alloc(512);
+    block.write(name, 0, 100);
+    block.write('0000644\0', 100);
+    block.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    block.write('0', 156);
+    block.write('ustar\x0000', 257);
+    block.fill(0x20, 148, 156);
+    block.write(`${block.reduce((sum, byte) => sum + byte, 0).toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(block, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+async function writeFile(name, content) {
+  const filePath = path.join(jobDir, name);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, content);
+  return filePath;
+}
+
+async function listJob() {
+  return (await fs.promises.readdir(jobDir, { recursive: true })).sort();
+}
+
+test('run extracts archives next to them and lists the new files', async () => {
+  const archivePath = await writeFile('job.tar', buildTar({ 'movie.mkv': 'movie', 'Subs/en.srt': 'subs' }));
+  const extractor = new Extractor({ enabled: true, deleteArchives: true });
+
+  const job = await extractor.run({ category: '', paths: [archivePath], size: 0 });
+
+  assert.deepEqual(job.paths, [path.join(jobDir, 'movie.mkv'), path.join(jobDir, 'Subs/en.srt')]);
+  assert.equal(job.size, 9);
+  assert.deepEqual(await listJob(), ['Subs', 'Subs/en.srt', 'movie.mkv']);
+});
+
+test('run never overwrites existing files', async () => {
+  const archivePath = await writeFile('job.tar', buildTar({ 'new.txt': 'new', 'info.nfo': 'from archive' }));
+  const existing = await writeFile('info.nfo', 'original');
+  const extractor = new Extractor({ enabled: true });
+
+  await assert.rejects(extractor.run({ category: '', paths: [archivePath, existing] }),
+    /Extracting 'job.tar' failed: 'info.nfo' already exists/);
+
+  assert.equal(await fs.promises.readFile(existing, 'utf8'), 'original');
+  assert.deepEqual(await listJob(), ['info.nfo', 'job.tar']);
+});
+
+test('run leaves the job folder as it was when an archive is corrupt', async () => {
+  const archive = buildTar({ 'first.txt': 'complete', 'second.txt': 'x'.repeat(2000) });
+  const archivePath = await writeFile('job.tar', archive.subarray(0, 2048));
+  const existing = await writeFile('first.txt', 'original');
+  const extractor = new Extractor({ enabled: true, deleteArchives: true });
+
+  await assert.rejects(extractor.run({ category: '', paths: [archivePath, existing] }), /Unexpected end of tar archive/);
+
+  assert.equal(await fs.promises.readFile(existing, 'utf8'), 'original');
+  assert.deepEqual(await listJob(), ['first.txt', 'job.tar']);
+});
+
+test('run skips disabled jobs and files that are not archives', async () => {
+  const archivePath = await writeFile('job.tar', buildTar({ 'a.txt': 'a' }));
+  const fakePath = await writeFile('fake.zip', 'not a zip archive');
+  const job = { category: '', paths: [archivePath, fakePath] };
+
+  assert.equal(await new Extractor({ enabled: false }).run(job), job);
+  assert.equal(await new Extractor({ enabled: true, exclude: ['*.tar'] }).run(job), job);
+  assert.deepEqual(await listJob(), ['fake.zip', 'job.tar']);
+});
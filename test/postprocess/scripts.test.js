@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ScriptRunner, { jobEnvironment } from '../../lib/postprocess/scripts.js';
+
+let tmpDir;
+let jobDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scripts-'));
+  jobDir = path.join(tmpDir, 'Job');
+  await fs.promises.mkdir(jobDir);
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+function job(extra = {}) {
+  return {
+    jobId: 'job1',
+    name: 'Job',
+    path: jobDir,
+    paths: [path.join(jobDir, 'a.mkv'), path.join(jobDir, 'b.srt')],
+    category: '',
+    size: 2048,
+    ...extra
+  };
+}
+
+test('jobEnvironment describes the job', () => {
+  const env = jobEnvironment(job({ infoHash: 'abc' }));
+  assert.equal(env.JOB_NAME, 'Job');
+  assert.equal(env.JOB_FILES, `${path.join(jobDir, 'a.mkv')}\n${path.join(jobDir, 'b.srt')}`);
+  assert.equal(env.JOB_FILE_COUNT, '2');
+  assert.equal(env.JOB_INFOHASH, 'abc');
+  assert.equal(env.JOB_REQUEST_ID, '');
+  assert.equal(env.JOB_SIZE, '2048');
+});
+
+test('commands run in order in the job folder with the job environment', async () => {
+  const out = path.join(tmpDir, 'env.txt');
+  const runner = new ScriptRunner({
+    commands: [
+      `echo "$JOB_ID|$JOB_NAME|$JOB_FILE_COUNT|$(pwd)" > "${out}"`,
+      `echo second >> "${out}"`
+    ]
+  });
+
+  await runner.run(job());
+
+  assert.equal(await fs.promises.readFile(out, 'utf8'), `job1|Job|2|${jobDir}\nsecond\n`);
+});
+
+test('a failing command fails the job only in fail mode', async () => {
+  const out = path.join(tmpDir, 'after-failure.txt');
+  const commands = ['exit 3', `touch "${out}"`];
+
+  await assert.rejects(new ScriptRunner({ commands, onFailure: 'fail' }).run(job()), { message: "'exit 3' exited with code 3" });
+  assert.equal(fs.existsSync(out), false);
+
+  await new ScriptRunner({ commands, onFailure: 'ignore' }).run(job());
+  assert.equal(fs.existsSync(out), true);
+});
+
+test('commands are killed with the processes they started after the timeout', async () => {
+  const runner = new ScriptRunner({ commands: ['sleep 30 & sleep 30'], timeout: 200, onFailure: 'fail' });
+  const started = Date.now();
+
+  await assert.rejects(runner.run(job()), { message: "'sleep 30 & sleep 30' timed out after 200ms" });
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('invalid failure modes fall back to ignore', () => {
+  assert.equal(new ScriptRunner({ onFailure: 'explode' }).onFailure, 'ignore');
+});
+
+test('the postProcess setting of a category replaces the defaults', () => {
+  const settings = {
+    script: { postProcess: 'echo one' },
+    list: { postProcess: ['echo one', 'echo two'] },
+    full: { postProcess: { commands: 'echo three', timeout: 1000, onFailure: 'fail' } },
+    partial: { postProcess: { onFailure: 'bogus' } }
+  };
+  const runner = new ScriptRunner({
+    commands: ['echo default'],
+    timeout: 5000,
+    categories: { get: name => settings[name] || {} }
+  });
+
+  assert.deepEqual(runner.getSettings(''), { commands: ['echo default'], timeout: 5000, onFailure: 'ignore' });
+  assert.deepEqual(runner.getSettings('script'), { commands: ['echo one'], timeout: 5000, onFailure: 'ignore' });
+  assert.deepEqual(runner.getSettings('list').commands, ['echo one', 'echo two']);
+  assert.deepEqual(runner.getSettings('full'), { commands: ['echo three'], timeout: 1000, onFailure: 'fail' });
+  assert.deepEqual(runner.getSettings('partial'), { commands: ['echo default'], timeout: 5000, onFailure: 'ignore' });
+});
@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { extractTar } from '../../lib/postprocess/tar.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tar-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a tar header block
+ */
+function header(name, size, type = '0', prefix = '') {
+  const block = Buffer.alloc(512);
+  block.write(name, 0, 100);
+  block.write('0000644\0', 100);
+  block.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  block.write('00000000000\0', 136);
+  block.write(type, 156);
+  block.write('ustar\x0000', 257);
+  block.write(prefix, 345, 155);
+
+  block.fill(0x20, 148, 156);
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return block;
+}
+
+function pad(data) {
+  return Buffer.concat([data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+/**
+ * Build a tar archive from { name, data, type, prefix, pax, longName } entries
+ */
+function buildTar(entries) {
+  const blocks = [];
+  for (const { name, data = Buffer.alloc(0), type = '0', prefix = '', pax, longName } of entries) {
+    if (pax) {
+      const records = Object.entries(pax).map(([key, value]) => {
+        const record = ` ${key}=${value}\n`;
+        // The length prefix counts itself
+        let length = Buffer.byteLength(record) + 1;
+        while (String(length).length + Buffer.byteLength(record) !== length) length++;
+        return `${length}${record}`;
+      }).join('');
+      blocks.push(header('PaxHeader', Buffer.byteLength(records), 'x'), pad(Buffer.from(records)));
+    }
+    if (longName) {
+      const nameData = Buffer.from(`${longName}\0`);
+      blocks.push(header('././@LongLink', nameData.length, 'L'), pad(nameData));
+    }
+    blocks.push(header(name, data.length, type, prefix), pad(data));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+async function writeArchive(name, buffer) {
+  const archivePath = path.join(tmpDir, name);
+  await fs.promises.writeFile(archivePath, buffer);
+  return archivePath;
+}
+
+const LONG_FOLDER = 'a-folder-name-that-is-long'.repeat(5);
+
+test('extractTar extracts ustar files, folders and prefixed names', async () => {
+  const archivePath = await writeArchive('ustar.tar', buildTar([
+    { name: './', type: '5' },
+    { name: 'Folder/', type: '5' },
+    { name: 'Folder/file.txt', data: Buffer.from('file data') },
+    { name: 'empty.txt' },
+    { name: 'prefixed.txt', prefix: 'Prefix/Sub', data: Buffer.from('x'.repeat(1000)) },
+    { name: 'link', type: '2' }
+  ]));
+  const destDir = path.join(tmpDir, 'ustar');
+
+  const extracted = await extractTar(archivePath, destDir);
+
+  assert.deepEqual(extracted, ['Folder/file.txt', 'empty.txt', 'Prefix/Sub/prefixed.txt'].map(name => path.join(destDir, name)));
+  assert.equal(await fs.promises.readFile(path.join(destDir, 'Folder/file.txt'), 'utf8'), 'file data');
+  assert.equal((await fs.promises.stat(path.join(destDir, 'empty.txt'))).size, 0);
+  assert.equal(await fs.promises.readFile(path.join(destDir, 'Prefix/Sub/prefixed.txt'), 'utf8'), 'x'.repeat(1000));
+  assert.equal(fs.existsSync(path.join(destDir, 'link')), false);
+});
+
+test('extractTar uses pax paths and GNU long names', async () => {
+  const paxName = `${LONG_FOLDER}/pax-file-ü.txt`;
+  const gnuName = `${LONG_FOLDER}/gnu-file.txt`;
+  const archivePath = await writeArchive('long.tar.gz', zlib.gzipSync(buildTar([
+    { name: 'truncated-pax', pax: { path: paxName }, data: Buffer.from('pax') },
+    { name: 'truncated-gnu', longName: gnuName, data: Buffer.from('gnu') },
+    { name: 'short.txt', data: Buffer.from('short') }
+  ])));
+  const destDir = path.join(tmpDir, 'long');
+
+  const extracted = await extractTar(archivePath, destDir, { gzip: true });
+
+  assert.deepEqual(extracted, [paxName, gnuName, 'short.txt'].map(name => path.join(destDir, name)));
+  assert.equal(await fs.promises.readFile(path.join(destDir, paxName), 'utf8'), 'pax');
+  assert.equal(await fs.promises.readFile(path.join(destDir, gnuName), 'utf8'), 'gnu');
+  assert.equal(await fs.promises.readFile(path.join(destDir, 'short.txt'), 'utf8'), 'short');
+});
+
+test('extractTar rejects entries outside the destination', async () => {
+  const archivePath = await writeArchive('traversal.tar', buildTar([
+    { name: '../evil.txt', data: Buffer.from('evil') }
+  ]));
+
+  await assert.rejects(extractTar(archivePath, path.join(tmpDir, 'traversal')), /Unsafe path '..\/evil.txt'/);
+  assert.equal(fs.existsSync(path.join(tmpDir, 'evil.txt')), false);
+});
+
+test('extractTar rejects corrupt headers and truncated files', async () => {
+  const corrupt = buildTar([{ name: 'file.txt', data: Buffer.from('data') }]);
+  corrupt[0] ^= 0xff;
+  await assert.rejects(extractTar(await writeArchive('corrupt.tar', corrupt), path.join(tmpDir, 'corrupt')), /checksum mismatch/);
+
+  const truncated = buildTar([{ name: 'file.txt', data: Buffer.alloc(2048) }]).subarray(0, 1024);
+  await assert.rejects(extractTar(await writeArchive('truncated.tar', truncated), path.join(tmpDir, 'truncated')), err => {
+    assert.match(err.message, /Unexpected end of tar archive/);
+    assert.deepEqual(err.extracted, [path.join(tmpDir, 'truncated', 'file.txt')]);
+    return true;
+  });
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { crc32, extractZip } from '../../lib/postprocess/zip.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'zip-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a zip archive from { name, data, method } entries
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data = Buffer.alloc(0), method = 0, crc = crc32(0, data) } of entries) {
+    const nameBuffer = Buffer.from(name);
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x031e, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE((name.endsWith('/') ? 0o40755 : 0o100644) * 0x10000, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, stored);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+async function writeArchive(name, buffer) {
+  const archivePath = path.join(tmpDir, name);
+  await fs.promises.writeFile(archivePath, buffer);
+  return archivePath;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(0, Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(crc32(0, Buffer.from('12345')), Buffer.from('6789')), 0xcbf43926);
+});
+
+test('extractZip extracts stored, deflated, empty and nested entries', async () => {
+  const text = Buffer.from('hello world\n'.repeat(100));
+  const archivePath = await writeArchive('mixed.zip', buildZip([
+    { name: 'stored.txt', data: Buffer.from('stored data') },
+    { name: 'Folder/' },
+    { name: 'Folder/deflated.txt', data: text, method: 8 },
+    { name: 'empty.txt' },
+    { name: 'Empty Folder/' }
+  ]));
+  const destDir = path.join(tmpDir, 'mixed');
+
+  const extracted = await extractZip(archivePath, destDir);
+
+  assert.deepEqual(extracted, ['stored.txt', 'Folder/deflated.txt', 'empty.txt'].map(name => path.join(destDir, name)));
+  assert.equal(await fs.promises.readFile(path.join(destDir, 'stored.txt'), 'utf8'), 'stored data');
+  assert.deepEqual(await fs.promises.readFile(path.join(destDir, 'Folder/deflated.txt')), text);
+  assert.equal((await fs.promises.stat(path.join(destDir, 'empty.txt'))).size, 0);
+  assert.ok((await fs.promises.stat(path.join(destDir, 'Empty Folder'))).isDirectory());
+});
+
+test('extractZip fails entries with a wrong checksum', async () => {
+  const archivePath = await writeArchive('corrupt.zip', buildZip([
+    { name: 'bad.txt', data: Buffer.from('data'), method: 8, crc: 0x12345678 }
+  ]));
+
+  await assert.rejects(extractZip(archivePath, path.join(tmpDir, 'corrupt')), err => {
+    assert.match(err.message, /Verification failed for 'bad.txt'/);
+    assert.deepEqual(err.extracted, [path.join(tmpDir, 'corrupt', 'bad.txt')]);
+    return true;
+  });
+});
+
+test('extractZip rejects entries outside the destination', async () => {
+  const archivePath = await writeArchive('traversal.zip', buildZip([
+    { name: '../evil.txt', data: Buffer.from('evil') }
+  ]));
+
+  await assert.rejects(extractZip(archivePath, path.join(tmpDir, 'traversal')), /Unsafe path '..\/evil.txt'/);
+  assert.equal(fs.existsSync(path.join(tmpDir, 'evil.txt')), false);
+});
+
+test('extractZip rejects files that are not zip archives', async () => {
+  const archivePath = await writeArchive('plain.zip', Buffer.from('not a zip archive'));
+
+  await assert.rejects(extractZip(archivePath, path.join(tmpDir, 'plain')), /Not a zip archive/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BandwidthLimiter, { parseRate, parseSchedule, TokenBucket } from '../../lib/utils/bandwidth.js';
+
+test('parseRate understands units and no-limit values', () => {
+  assert.equal(parseRate('512K'), 524288);
+  assert.equal(parseRate('10MB'), 10485760);
+  assert.equal(parseRate('1.5M/s'), 1572864);
+  assert.equal(parseRate('1GiB'), 1073741824);
+  assert.equal(parseRate('2097152'), 2097152);
+  assert.equal(parseRate(1000.7), 1000);
+  for (const value of ['', '0', 'off', 'Unlimited', undefined, null]) {
+    assert.equal(parseRate(value), 0);
+  }
+  assert.throws(() => parseRate('fast'), /Invalid rate 'fast'/);
+  assert.throws(() => parseRate('-1M'), /Invalid rate/);
+});
+
+test('parseSchedule requires a rate for every window', () => {
+  assert.deepEqual(parseSchedule('01:00-07:00=0, 22:00-02:00=2MB'), [
+    { start: 60, end: 420, limit: 0 },
+    { start: 1320, end: 120, limit: 2097152 }
+  ]);
+  assert.deepEqual(parseSchedule(''), []);
+  assert.throws(() => parseSchedule('01:00-07:00'), /Missing rate in schedule window '01:00-07:00'/);
+  assert.throws(() => parseSchedule('01:00-07:00=slow'), /Invalid rate 'slow'/);
+});
+
+test('the token bucket delays transfers beyond the rate', async () => {
+  const bucket = new TokenBucket();
+  const started = Date.now();
+  await bucket.consume(2000, () => 10000);
+  assert.ok(Date.now() - started < 50);
+
+  // The first chunk left a deficit of 0.2 seconds
+  await bucket.consume(2000, () => 10000);
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 150 && elapsed < 1000, `waited ${elapsed}ms`);
+});
+
+test('the token bucket does not wait without a rate', async () => {
+  const bucket = new TokenBucket();
+  const started = Date.now();
+  for (let i = 0; i < 10; i++) {
+    await bucket.consume(1048576, () => 0);
+  }
+  assert.ok(Date.now() - started < 50);
+});
+
+test('the limiter prefers the runtime override over the schedule and configuration', () => {
+  const limiter = new BandwidthLimiter({ limit: 1000, jobLimit: 500 });
+  assert.equal(limiter.getLimit(), 1000);
+  assert.equal(limiter.getJobLimit(), 500);
+
+  // A window covering the whole day is always active
+  limiter.schedule = parseSchedule('00:00-24:00=2K');
+  assert.equal(limiter.getLimit(), 2048);
+  assert.equal(limiter.getStatus().activeWindow, '00:00-24:00');
+
+  limiter.set({ limit: '1M', jobLimit: 0 });
+  assert.equal(limiter.getLimit(), 1048576);
+  assert.equal(limiter.getJobLimit(), 0);
+  assert.equal(limiter.getStatus().activeWindow, null);
+
+  limiter.set({ limit: null });
+  assert.equal(limiter.getLimit(), 2048);
+  assert.equal(limiter.getJobLimit(), 0);
+});
+
+test('an invalid rate changes none of the limits', () => {
+  const limiter = new BandwidthLimiter({ limit: 1000 });
+  assert.throws(() => limiter.set({ limit: '2K', jobLimit: 'slow' }), /Invalid rate/);
+  assert.equal(limiter.getLimit(), 1000);
+  assert.equal(limiter.getJobLimit(), 0);
+});
+
+test('getStatus reports the configured and effective limits', () => {
+  const limiter = new BandwidthLimiter({ limit: 1000, jobLimit: 500, schedule: parseSchedule('01:00-07:00=0') });
+  limiter.set({ jobLimit: '1K' });
+  // The effective limit depends on whether the test runs between 01:00 and 07:00
+  const { limit, activeWindow, ...status } = limiter.getStatus();
+  assert.equal(limit, activeWindow === '01:00-07:00' ? 0 : 1000);
+  assert.deepEqual(status, {
+    jobLimit: 1024,
+    configuredLimit: 1000,
+    configuredJobLimit: 500,
+    override: null,
+    jobOverride: 1024,
+    schedule: [{ start: '01:00', end: '07:00', limit: 0 }]
+  });
+});
+
+test('every job gets its own bucket until it is removed', async () => {
+  const limiter = new BandwidthLimiter({ jobLimit: 1000000 });
+  await limiter.throttle('a', 100);
+  await limiter.throttle('b', 100);
+  assert.deepEqual([...limiter.jobBuckets.keys()], ['a', 'b']);
+
+  limiter.removeJob('a');
+  assert.deepEqual([...limiter.jobBuckets.keys()], ['b']);
+});
@@ -0,0 +1,76 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import DiskSpaceGuard, { getFreeSpace } from '../../lib/utils/diskSpace.js';
+
+/**
+ * Report free space per directory; directories without an entry fail like a missing mount
+ */
+function stubFreeSpace(freeByPath) {
+  return mock.method(fs.promises, 'statfs', async dirPath => {
+    const free = typeof freeByPath === 'function' ? freeByPath(dirPath) : freeByPath[dirPath];
+    if (free === undefined) throw new Error(`ENOENT: no such file or directory, statfs '${dirPath}'`);
+    return { bsize: 1024, bavail: free / 1024 };
+  });
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('getFreeSpace returns the available bytes, or null if unknown', async () => {
+  stubFreeSpace({ '/data': 2048000 });
+  assert.equal(await getFreeSpace('/data'), 2048000);
+  assert.equal(await getFreeSpace('/missing'), null);
+});
+
+test('check requires the size of the job plus the reserve in every directory', async () => {
+  stubFreeSpace({ '/in-progress': 10240000, '/movies': 5120000 });
+  const guard = new DiskSpaceGuard({
+    reserve: 1024000,
+    inProgressPath: '/in-progress',
+    getPaths: category => ['/in-progress', category === 'movies' ? '/movies' : '/in-progress']
+  });
+
+  assert.deepEqual(await guard.check(4096000, 'movies'), { ok: true, path: null, free: null, required: 5120000 });
+  assert.deepEqual(await guard.check(4096001, 'movies'), { ok: false, path: '/movies', free: 5120000, required: 5120001 });
+  assert.equal((await guard.check(4096001, '')).ok, true);
+  assert.equal(guard.freeSpace.get('/movies'), 5120000);
+});
+
+test('check skips directories whose free space is unknown', async () => {
+  stubFreeSpace({});
+  const guard = new DiskSpaceGuard({ reserve: 1024000, inProgressPath: '/in-progress' });
+  assert.equal((await guard.check(1e15, '')).ok, true);
+});
+
+test('waitForSpace pauses downloads until the reserve is free again', async () => {
+  let free = 1024;
+  const statfs = stubFreeSpace(() => free);
+  const guard = new DiskSpaceGuard({ reserve: 1024000, inProgressPath: '/in-progress', pauseInterval: 20 });
+
+  let resumed = false;
+  const waits = [guard.waitForSpace(), guard.waitForSpace()].map(promise => promise.then(() => {
+    resumed = true;
+  }));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(guard.paused, true);
+  assert.equal(resumed, false);
+
+  free = 2048000;
+  await Promise.all(waits);
+  assert.equal(guard.paused, false);
+  const calls = statfs.mock.callCount();
+
+  // The next check only happens after checkInterval
+  await guard.waitForSpace();
+  assert.equal(statfs.mock.callCount(), calls);
+});
+
+test('waitForSpace never waits without a reserve', async () => {
+  const statfs = stubFreeSpace(() => 0);
+  const guard = new DiskSpaceGuard({ inProgressPath: '/in-progress' });
+  await guard.waitForSpace();
+  assert.equal(statfs.mock.callCount(), 0);
+  assert.equal(guard.paused, false);
+});
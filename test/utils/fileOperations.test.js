@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fileOps from '../../lib/utils/fileOperations.js';
+
+const root = path.resolve('/downloads/Job');
+
+test('safeJoin keeps relative paths inside the root', () => {
+  assert.equal(fileOps.safeJoin(root, 'Season 1/e1.mkv'), path.join(root, 'Season 1', 'e1.mkv'));
+  assert.equal(fileOps.safeJoin(root, '/abs/./file.bin'), path.join(root, 'abs', 'file.bin'));
+  assert.equal(fileOps.safeJoin(root, 'dir\\file.bin'), path.join(root, 'dir', 'file.bin'));
+  assert.equal(fileOps.safeJoin(root, 'a:b/c?.txt'), path.join(root, 'a_b', 'c_.txt'));
+});
+
+test('safeJoin rejects parent folders and empty paths', () => {
+  for (const relativePath of ['..', '../evil', 'sub/../../evil', '..\\evil', 'sub/..', '', '/', './.']) {
+    assert.throws(() => fileOps.safeJoin(root, relativePath), { message: `Unsafe path '${relativePath}'` });
+  }
+});
+
+test('safeJoin allows names that only start with dots', () => {
+  assert.equal(fileOps.safeJoin(root, '...'), path.join(root, '...'));
+  assert.equal(fileOps.safeJoin(root, '..hidden/.env'), path.join(root, '..hidden', '.env'));
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import glob from '../../lib/utils/glob.js';
+
+test('* stays within a path segment and ** crosses segments', () => {
+  assert.equal(glob.matchesAny('movie.mkv', ['*.mkv']), true);
+  assert.equal(glob.matchesAny('Extras/movie.mkv', ['*.mkv']), false);
+  assert.equal(glob.matchesAny('Extras/Deleted/scene.mkv', ['Extras/**']), true);
+  assert.equal(glob.matchesAny('Season 1/e1.mkv', ['**/*.mkv']), true);
+});
+
+test('? matches one character and matching ignores case', () => {
+  assert.equal(glob.matchesAny('CD1.NFO', ['cd?.nfo']), true);
+  assert.equal(glob.matchesAny('CD10.nfo', ['cd?.nfo']), false);
+  assert.equal(glob.matchesAny('a/b', ['a?b']), false);
+});
+
+test('regular expression characters in globs are literal', () => {
+  assert.equal(glob.matchesAny('movie(1).mkv', ['movie(1).mkv']), true);
+  assert.equal(glob.matchesAny('movieX1Ymkv', ['movie(1).mkv']), false);
+  assert.equal(glob.matchesAny('[group] a+b.mkv', ['[group]*']), true);
+});
+
+test('/regex/flags patterns are used as regular expressions', () => {
+  assert.equal(glob.toRegExp('/sample/i').test('Movie.SAMPLE.mkv'), true);
+  assert.equal(glob.toRegExp('/sample/').test('Movie.SAMPLE.mkv'), false);
+  assert.equal(glob.matchesAny('file.r01', ['/\\.r\\d+$/']), true);
+});
+
+test('matchesAny without patterns matches nothing', () => {
+  assert.equal(glob.matchesAny('file.mkv', []), false);
+  assert.equal(glob.matchesAny('file.mkv'), false);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ApiServer from '../../lib/api/server.js';
+import registerHealthRoutes from '../../lib/api/health.js';
+import HealthMonitor from '../../lib/utils/health.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'health-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Monitor of a watcher stub whose API client last succeeded apiAge ms ago
+ */
+function createMonitor({ apiAge = 0, stalled = [], watcherState = {}, directories, probe } = {}) {
+  const client = {
+    lastSuccessTime: apiAge === null ? null : Date.now() - apiAge,
+    lastError: null,
+    probes: 0,
+    cloudHistory: async () => {
+      client.probes++;
+      if (probe) probe(client);
+      return [];
+    }
+  };
+  return new HealthMonitor({
+    watcher: { client, stalledDownloads: stalled },
+    getWatcherState: () => ({ watcherHealthy: true, consecutiveErrorCount: 0, ...watcherState }),
+    directories: directories || { inProgress: tmpDir },
+    apiMaxAge: 60000,
+    filePath: path.join(tmpDir, 'health.json')
+  });
+}
+
+test('a working instance is healthy', async () => {
+  const report = await createMonitor().check();
+
+  assert.equal(report.healthy, true);
+  assert.deepEqual(Object.keys(report.checks), ['watcher', 'offcloudApi', 'stalledDownloads', 'directories']);
+  assert.equal(report.checks.directories.directories.inProgress.writable, true);
+});
+
+test('every failing check makes the instance unhealthy', async () => {
+  const watcher = await createMonitor({ watcherState: { consecutiveErrorCount: 6 } }).check();
+  assert.deepEqual([watcher.healthy, watcher.checks.watcher.healthy], [false, false]);
+
+  const stalled = await createMonitor({ stalled: [{ name: 'Job' }] }).check();
+  assert.deepEqual([stalled.healthy, stalled.checks.stalledDownloads.count], [false, 1]);
+
+  const directories = await createMonitor({ directories: { completed: path.join(tmpDir, 'missing') } }).check();
+  assert.equal(directories.healthy, false);
+  assert.deepEqual(directories.checks.directories.directories.completed, {
+    path: path.join(tmpDir, 'missing'),
+    writable: false,
+    error: 'ENOENT'
+  });
+});
+
+test('an idle API is probed at most once a minute', async () => {
+  const monitor = createMonitor({ apiAge: 120000 });
+  const client = monitor.watcher.client;
+
+  const first = await monitor.check();
+  assert.equal(client.probes, 1);
+  assert.equal(first.checks.offcloudApi.healthy, false);
+
+  await monitor.check();
+  assert.equal(client.probes, 1);
+
+  // A successful probe refreshes the last success time
+  const probing = createMonitor({ apiAge: null, probe: probed => { probed.lastSuccessTime = Date.now(); } });
+  assert.equal((await probing.check()).checks.offcloudApi.healthy, true);
+});
+
+test('update writes the report for the Docker probe', async () => {
+  const monitor = createMonitor();
+  const report = await monitor.update();
+
+  const saved = JSON.parse(await fs.promises.readFile(monitor.filePath, 'utf8'));
+  assert.deepEqual(saved, report);
+});
+
+test('the health endpoint only shows details to authorized requests', async () => {
+  const server = new ApiServer({ host: '127.0.0.1', token: 'secret' });
+  server.port = 0;
+  registerHealthRoutes(server, createMonitor({ stalled: [{ name: 'Job' }] }));
+  await server.start();
+  const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+  try {
+    const live = await fetch(`${baseUrl}/health/live`);
+    assert.deepEqual([live.status, await live.json()], [200, { status: 'ok' }]);
+
+    const summary = await fetch(`${baseUrl}/health`);
+    assert.equal(summary.status, 503);
+    assert.deepEqual(await summary.json(), {
+      healthy: false,
+      checks: { watcher: true, offcloudApi: true, stalledDownloads: false, directories: true }
+    });
+
+    const full = await fetch(`${baseUrl}/health`, { headers: { Authorization: 'Bearer secret' } });
+    assert.deepEqual((await full.json()).checks.stalledDownloads.downloads, [{ name: 'Job' }]);
+  } finally {
+    await server.stop();
+  }
+});
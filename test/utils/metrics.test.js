@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiServer from '../../lib/api/server.js';
+import registerMetricsRoutes from '../../lib/api/metrics.js';
+import metrics from '../../lib/utils/metrics.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = new ApiServer({ host: '127.0.0.1', token: 'secret' });
+  server.port = 0;
+  registerMetricsRoutes(server, metrics);
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(async () => {
+  await server.stop();
+});
+
+function metricLines(text, name) {
+  return text.split('\n').filter(line => line.startsWith(name) || line.includes(` ${name} `));
+}
+
+test('counters and gauges are rendered with escaped labels', async () => {
+  const counter = metrics.counter('test_jobs_total', 'Jobs by result');
+  counter.inc({ result: 'completed' });
+  counter.inc({ result: 'completed' }, 2);
+  counter.inc({ result: 'fail "quoted"\nline\\' });
+  const gauge = metrics.gauge('test_queue_length', 'Queued jobs');
+  gauge.set({}, 5);
+  gauge.dec();
+
+  const text = await metrics.render();
+  assert.deepEqual(metricLines(text, 'offcloud_test_jobs_total'), [
+    '# HELP offcloud_test_jobs_total Jobs by result',
+    '# TYPE offcloud_test_jobs_total counter',
+    'offcloud_test_jobs_total{result="completed"} 3',
+    'offcloud_test_jobs_total{result="fail \\"quoted\\"\\nline\\\\"} 1'
+  ]);
+  assert.deepEqual(metricLines(text, 'offcloud_test_queue_length'), [
+    '# HELP offcloud_test_queue_length Queued jobs',
+    '# TYPE offcloud_test_queue_length gauge',
+    'offcloud_test_queue_length 4'
+  ]);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('histograms render cumulative buckets, sum and count', async () => {
+  const histogram = metrics.histogram('test_duration_seconds', 'Durations', [1, 0.1]);
+  histogram.observe({ endpoint: 'a' }, 0.05);
+  histogram.observe({ endpoint: 'a' }, 0.5);
+  histogram.observe({ endpoint: 'a' }, 3);
+
+  assert.deepEqual(metricLines(await metrics.render(), 'offcloud_test_duration_seconds').slice(2), [
+    'offcloud_test_duration_seconds_bucket{endpoint="a",le="0.1"} 1',
+    'offcloud_test_duration_seconds_bucket{endpoint="a",le="1"} 2',
+    'offcloud_test_duration_seconds_bucket{endpoint="a",le="+Inf"} 3',
+    'offcloud_test_duration_seconds_sum{endpoint="a"} 3.55',
+    'offcloud_test_duration_seconds_count{endpoint="a"} 3'
+  ]);
+});
+
+test('the same metric name returns the registered metric', () => {
+  assert.equal(metrics.counter('test_shared_total', 'Shared'), metrics.counter('test_shared_total', 'Shared'));
+});
+
+test('rates average over their window', async () => {
+  const rate = metrics.rate('test_bytes_per_second', 'Throughput', 10000);
+  rate.add(5000);
+  rate.add(15000);
+  assert.equal(rate.get(), 2000);
+  assert.ok((await metrics.render()).includes('\noffcloud_test_bytes_per_second 2000\n'));
+});
+
+test('collectors update gauges before a scrape and a failing one is skipped', async () => {
+  const gauge = metrics.gauge('test_collected', 'Collected value');
+  let value = 1;
+  metrics.onCollect(() => {
+    throw new Error('collector failed');
+  });
+  metrics.onCollect(async () => gauge.set({}, value));
+
+  assert.ok((await metrics.render()).includes('\noffcloud_test_collected 1\n'));
+  value = 2;
+  assert.ok((await metrics.render()).includes('\noffcloud_test_collected 2\n'));
+});
+
+test('the /metrics endpoint serves the text format and needs the token', async () => {
+  assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+
+  const response = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer secret' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+  assert.match(await response.text(), /^# HELP offcloud_/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Schedule, { parseTime, formatTime, parseWindows, findWindow } from '../../lib/utils/schedule.js';
+
+function at(hours, minutes) {
+  return new Date(2026, 0, 15, hours, minutes, 30);
+}
+
+test('parseTime accepts HH:MM up to 24:00', () => {
+  assert.equal(parseTime('0:00'), 0);
+  assert.equal(parseTime(' 07:30 '), 450);
+  assert.equal(parseTime('24:00'), 1440);
+  for (const text of ['24:01', '12:60', '7', '07:5', 'noon']) {
+    assert.throws(() => parseTime(text), new RegExp(`Invalid time '${text}'`));
+  }
+  assert.equal(formatTime(450), '07:30');
+});
+
+test('parseWindows reads windows with optional values', () => {
+  assert.deepEqual(parseWindows('01:00-07:00, 22:00 - 02:00=2M,'), [
+    { start: 60, end: 420, value: undefined },
+    { start: 1320, end: 120, value: '2M' }
+  ]);
+  assert.deepEqual(parseWindows(''), []);
+  assert.deepEqual(parseWindows(undefined), []);
+  assert.throws(() => parseWindows('01:00'), /Invalid time window '01:00'/);
+});
+
+test('windows include their start and exclude their end', () => {
+  const windows = parseWindows('01:00-07:00');
+  assert.equal(findWindow(windows, at(0, 59)), null);
+  assert.equal(findWindow(windows, at(1, 0)), windows[0]);
+  assert.equal(findWindow(windows, at(6, 59)), windows[0]);
+  assert.equal(findWindow(windows, at(7, 0)), null);
+});
+
+test('windows ending before their start cross midnight', () => {
+  const windows = parseWindows('22:00-02:00');
+  assert.equal(findWindow(windows, at(21, 59)), null);
+  assert.equal(findWindow(windows, at(22, 0)), windows[0]);
+  assert.equal(findWindow(windows, at(23, 59)), windows[0]);
+  assert.equal(findWindow(windows, at(0, 0)), windows[0]);
+  assert.equal(findWindow(windows, at(1, 59)), windows[0]);
+  assert.equal(findWindow(windows, at(2, 0)), null);
+});
+
+test('findWindow returns the first matching window', () => {
+  const windows = parseWindows('00:00-24:00=1, 01:00-02:00=2');
+  assert.equal(findWindow(windows, at(1, 30)).value, '1');
+});
+
+test('a schedule without windows is always open', () => {
+  const schedule = Schedule.parse('');
+  assert.equal(schedule.enabled, false);
+  assert.equal(schedule.isOpen(at(3, 0)), true);
+  assert.equal(schedule.nextOpen(at(3, 0)), null);
+  assert.equal(String(schedule), 'always');
+});
+
+test('nextOpen finds the closest window start, wrapping to the next day', () => {
+  const schedule = Schedule.parse('01:00-07:00, 22:00-23:30');
+  assert.equal(String(schedule), '01:00-07:00, 22:00-23:30');
+  assert.equal(schedule.isOpen(at(12, 0)), false);
+  assert.equal(schedule.nextOpen(at(3, 0)), null);
+
+  assert.deepEqual(schedule.nextOpen(at(12, 15)), new Date(2026, 0, 15, 22, 0));
+  assert.deepEqual(schedule.nextOpen(at(23, 45)), new Date(2026, 0, 16, 1, 0));
+});
+
+test('nextOpen of a window crossing midnight', () => {
+  const schedule = Schedule.parse('23:00-05:00');
+  assert.equal(schedule.isOpen(at(0, 30)), true);
+  assert.equal(schedule.isOpen(at(5, 0)), false);
+  assert.deepEqual(schedule.nextOpen(at(5, 0)), new Date(2026, 0, 15, 23, 0));
+});
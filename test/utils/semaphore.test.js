@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Semaphore from '../../lib/utils/semaphore.js';
+
+test('acquire waits once the limit is reached and serves waiters in order', async () => {
+  const semaphore = new Semaphore(2);
+  const order = [];
+  const releaseA = await semaphore.acquire();
+  const releaseB = await semaphore.acquire();
+
+  const waiters = ['c', 'd'].map(name => semaphore.acquire().then(release => {
+    order.push(name);
+    return release;
+  }));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(order, []);
+  assert.equal(semaphore.waiting.length, 2);
+
+  releaseA();
+  const releaseC = await waiters[0];
+  assert.deepEqual(order, ['c']);
+  assert.equal(semaphore.active, 2);
+
+  releaseB();
+  const releaseD = await waiters[1];
+  assert.deepEqual(order, ['c', 'd']);
+
+  releaseC();
+  releaseD();
+  assert.equal(semaphore.active, 0);
+});
+
+test('releasing twice frees only one slot', async () => {
+  const semaphore = new Semaphore(1);
+  const release = await semaphore.acquire();
+  release();
+  release();
+  assert.equal(semaphore.active, 0);
+
+  await semaphore.acquire();
+  assert.equal(semaphore.active, 1);
+});
+
+test('a limit of 0 never waits', async () => {
+  const semaphore = new Semaphore(0);
+  await Promise.all(Array.from({ length: 100 }, () => semaphore.acquire()));
+  assert.equal(semaphore.active, 100);
+  assert.equal(semaphore.waiting.length, 0);
+});
+
+test('run releases the slot when the function throws', async () => {
+  const semaphore = new Semaphore(1);
+  assert.equal(await semaphore.run(async () => 42), 42);
+  await assert.rejects(semaphore.run(async () => {
+    throw new Error('failed');
+  }), /failed/);
+  assert.equal(semaphore.active, 0);
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import StateStore from '../../lib/utils/stateStore.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'state-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('a missing state file starts with empty state', async () => {
+  const store = new StateStore(path.join(tmpDir, 'missing.json'));
+  assert.deepEqual(await store.load(), {});
+  assert.deepEqual(store.get('queue', []), []);
+  assert.equal(store.get('constructor'), null);
+});
+
+test('saved sections are loaded again by a new store', async () => {
+  const filePath = path.join(tmpDir, 'saved.json');
+  const store = new StateStore(filePath);
+  store.set('queue', [{ file: 'a.torrent' }]);
+  store.set('history', []);
+  await store.flush();
+
+  const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  assert.equal(data.version, 1);
+  assert.ok(data.savedAt);
+
+  const restored = new StateStore(filePath);
+  await restored.load();
+  assert.deepEqual(restored.get('queue'), [{ file: 'a.torrent' }]);
+  assert.deepEqual(restored.get('history'), []);
+});
+
+test('changes are written once after the save delay', async () => {
+  const filePath = path.join(tmpDir, 'debounced.json');
+  const store = new StateStore(filePath, { saveDelay: 30 });
+  for (let i = 1; i <= 5; i++) {
+    store.set('count', i);
+  }
+  assert.equal(fs.existsSync(filePath), false);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).sections.count, 5);
+});
+
+test('saves during a write are written after it', async () => {
+  const filePath = path.join(tmpDir, 'concurrent.json');
+  const store = new StateStore(filePath);
+  store.sections.value = 1;
+  const first = store.save();
+  store.sections.value = 2;
+  const second = store.save();
+  await Promise.all([first, second]);
+
+  assert.equal(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).sections.value, 2);
+});
+
+test('an unreadable state file is moved aside', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(tmpDir, 'corrupt-'));
+  const filePath = path.join(dir, 'state.json');
+  await fs.promises.writeFile(filePath, '{"sections": {"queue": [');
+
+  const store = new StateStore(filePath);
+  assert.deepEqual(await store.load(), {});
+
+  const files = await fs.promises.readdir(dir);
+  assert.equal(files.length, 1);
+  assert.match(files[0], /^state\.json\.corrupt-\d+$/);
+});
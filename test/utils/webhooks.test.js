@@ -0,0 +1,72 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import WebhookNotifier, { sign } from '../../lib/utils/webhooks.js';
+
+let server;
+let baseUrl;
+let received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/broken' ? 400 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  received = [];
+});
+
+test('sign returns the HMAC-SHA256 of the body', () => {
+  assert.equal(sign('key', 'The quick brown fox jumps over the lazy dog'),
+    'sha256=f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8');
+});
+
+test('events are posted to every endpoint with a signature of the raw body', async () => {
+  const notifier = new WebhookNotifier({ urls: [`${baseUrl}/a`, `${baseUrl}/b`], secret: 'shared' });
+
+  await notifier.notify('completed', { id: 'job1', name: 'Ubuntu' });
+
+  assert.deepEqual(received.map(request => request.url).sort(), ['/a', '/b']);
+  const [request] = received;
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.event, 'completed');
+  assert.deepEqual(payload.job, { id: 'job1', name: 'Ubuntu' });
+  assert.ok(!Number.isNaN(Date.parse(payload.timestamp)));
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-offcloud-event'], 'completed');
+  assert.equal(request.headers['x-offcloud-signature'], sign('shared', request.body));
+});
+
+test('events are unsigned without a secret', async () => {
+  await new WebhookNotifier({ urls: [`${baseUrl}/a`] }).notify('queued', { id: 'job1' });
+  assert.equal(received[0].headers['x-offcloud-signature'], undefined);
+});
+
+test('only the configured events are sent', async () => {
+  const notifier = new WebhookNotifier({ urls: [`${baseUrl}/a`], events: ['failed'] });
+
+  await notifier.notify('completed', { id: 'job1' });
+  await notifier.notify('failed', { id: 'job2' });
+
+  assert.deepEqual(received.map(request => JSON.parse(request.body).event), ['failed']);
+  assert.equal(new WebhookNotifier().enabled, false);
+});
+
+test('a failing endpoint does not throw', async () => {
+  const notifier = new WebhookNotifier({ urls: [`${baseUrl}/broken`, `${baseUrl}/a`] });
+  await notifier.notify('completed', { id: 'job1' });
+  assert.equal(received.length, 2);
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OffCloudWatcher from '../../lib/watchers/offcloud/index.js';
+import StateStore from '../../lib/utils/stateStore.js';
+
+let tmpDir;
+const watchers = [];
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'watcher-'));
+});
+
+after(async () => {
+  watchers.forEach(watcher => watcher.cleanup());
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+async function restoreWatcher(stateStore) {
+  const watcher = new OffCloudWatcher('key', async () => {}, 3, { stateStore });
+  watchers.push(watcher);
+  await watcher.restoreState();
+  return watcher;
+}
+
+test('queue items, torrents and history survive a restart', async () => {
+  const queuedFile = path.join(tmpDir, 'queued.torrent');
+  await fs.promises.writeFile(queuedFile, 'd4:infodee');
+  const statePath = path.join(tmpDir, 'state.json');
+
+  const store = new StateStore(statePath);
+  store.sections = {
+    queue: [
+      { id: 'job1', file: queuedFile, extension: '.torrent', name: 'Queued', status: 'processing', retries: 1 },
+      { id: 'job2', file: path.join(tmpDir, 'deleted.torrent'), extension: '.torrent', status: 'queued' }
+    ],
+    processedFiles: [
+      [path.join(tmpDir, 'recent.torrent'), { timestamp: Date.now() - 3600000 }],
+      [path.join(tmpDir, 'old.torrent'), { timestamp: Date.now() - 2 * 86400000 }]
+    ],
+    torrents: [
+      { jobId: 'job3', file: path.join(tmpDir, 'a.torrent'), id: 'req-a', status: 'downloading', remoteSize: 100 },
+      { jobId: 'job4', file: path.join(tmpDir, 'b.torrent'), id: 'req-b', status: 'downloading_locally' },
+      { jobId: 'job5', file: path.join(tmpDir, 'c.torrent'), id: 'req-c', status: 'invalid' }
+    ],
+    history: [{ jobId: 'job0', status: 'completed' }]
+  };
+
+  const watcher = await restoreWatcher(store);
+
+  // Items that were being submitted go back to the queue, deleted source files are dropped
+  assert.deepEqual(watcher.queueManager.queue.map(item => [item.id, item.status, item.retries]), [['job1', 'queued', 1]]);
+  assert.deepEqual([...watcher.queueManager.processedFiles.keys()], [path.join(tmpDir, 'recent.torrent')]);
+  // An interrupted local download waits for the remote status again
+  assert.deepEqual(watcher.watchList.map(torrent => [torrent.id, torrent.status]), [['req-a', 'downloading'], ['req-b', 'downloading']]);
+  assert.equal(watcher.watchList[0].remoteSize, 100);
+  assert.deepEqual(watcher.history, [{ jobId: 'job0', status: 'completed' }]);
+
+  // What the watcher saves restores the same jobs again
+  await store.flush();
+  const reloaded = new StateStore(statePath);
+  await reloaded.load();
+  const restarted = await restoreWatcher(reloaded);
+
+  assert.deepEqual(restarted.queueManager.queue.map(item => item.id), ['job1']);
+  assert.deepEqual(restarted.watchList.map(torrent => [torrent.jobId, torrent.id, torrent.status]),
+    [['job3', 'req-a', 'downloading'], ['job4', 'req-b', 'downloading']]);
+  assert.deepEqual(restarted.history, [{ jobId: 'job0', status: 'completed' }]);
+});
+
+test('restored source files are not queued a second time', async () => {
+  const file = path.join(tmpDir, 'known.torrent');
+  await fs.promises.writeFile(file, 'd4:infodee');
+  const store = new StateStore(path.join(tmpDir, 'known.json'));
+  store.sections = { torrents: [{ jobId: 'job1', file, id: 'req-1', status: 'downloading' }] };
+
+  const watcher = await restoreWatcher(store);
+
+  assert.equal(await watcher.addFile(file), null);
+  assert.equal(watcher.queueManager.queue.length, 0);
+});
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OffCloudQueueManager from '../../lib/watchers/offcloud/queuemanager.js';
+
+let tmpDir;
+const managers = [];
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'queue-'));
+});
+
+after(async () => {
+  managers.forEach(manager => manager.cleanup());
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+function createManager(takenNames = [], options = {}) {
+  const { client = null, ...rest } = options;
+  const manager = new OffCloudQueueManager(client, 3, { isNameTaken: async name => takenNames.includes(name), ...rest });
+  managers.push(manager);
+  return manager;
+}
+
+async function writeTorrent(fileName, name, files) {
+  const pieces = '6:pieces20:AAAAAAAAAAAAAAAAAAAA';
+  const info = files
+    ? `d5:filesl${files.map(([filePath, length]) => `d6:lengthi${length}e4:pathl${Buffer.byteLength(filePath)}:${filePath}ee`).join('')}e` +
+      `4:name${Buffer.byteLength(name)}:${name}12:piece lengthi16384e${pieces}e`
+    : `d6:lengthi100e4:name${Buffer.byteLength(name)}:${name}12:piece lengthi16384e${pieces}e`;
+  const filePath = path.join(tmpDir, fileName);
+  await fs.promises.writeFile(filePath, `d4:info${info}e`);
+  return filePath;
+}
+
+test('readMetadata names jobs after the torrent, without the extension of a single file', async () => {
+  const manager = createManager();
+
+  const single = await manager.readMetadata(await writeTorrent('a.torrent', 'Movie.2024.mkv'), '.torrent');
+  assert.equal(single.name, 'Movie.2024');
+  assert.equal(single.size, 100);
+
+  const multi = await manager.readMetadata(await writeTorrent('b.torrent', 'Show.S01', [['e1.mkv', 10], ['e2.mkv', 20]]), '.torrent');
+  assert.equal(multi.name, 'Show.S01');
+  assert.equal(multi.size, 30);
+});
+
+test('uniqueJobName sanitizes names and rejects ones that only point at parent folders', async () => {
+  const manager = createManager();
+
+  assert.equal(await manager.uniqueJobName('Show/S01: Part 1', ''), 'Show_S01_ Part 1');
+  assert.equal(await manager.uniqueJobName('..', ''), null);
+  assert.equal(await manager.uniqueJobName('', ''), null);
+});
+
+test('uniqueJobName adds a suffix to names used by other jobs or folders', async () => {
+  const manager = createManager(['Show', 'Show (2)']);
+  manager.queue.push({ file: path.join(tmpDir, 'Show (3).torrent'), name: null });
+  manager.queue.push({ file: path.join(tmpDir, 'other.torrent'), name: 'Movie' });
+
+  assert.equal(await manager.uniqueJobName('Show', ''), 'Show (4)');
+  assert.equal(await manager.uniqueJobName('Movie', ''), 'Movie (2)');
+  assert.equal(await manager.uniqueJobName('New', ''), 'New');
+});
+
+function queueItem(file, fields = {}) {
+  return { file, status: 'queued', priority: 0, addedTime: 0, infoHash: null, category: '', ...fields };
+}
+
+test('getNextItem picks cached items first within a priority under prefer-cached', () => {
+  const manager = createManager([], { cachePolicy: 'prefer-cached' });
+  manager.queue.push(queueItem('uncached', { addedTime: 1 }));
+  manager.queue.push(queueItem('cached', { addedTime: 2, cached: true }));
+  manager.queue.push(queueItem('urgent', { addedTime: 3, priority: -1 }));
+
+  assert.equal(manager.getNextItem().file, 'urgent');
+  manager.queue.shift();
+  assert.equal(manager.getNextItem().file, 'cached');
+});
+
+test('getNextItem keeps the order they were added in under any', () => {
+  const manager = createManager();
+  manager.queue.push(queueItem('uncached', { addedTime: 1 }));
+  manager.queue.push(queueItem('cached', { addedTime: 2, cached: true }));
+
+  assert.equal(manager.getNextItem().file, 'uncached');
+});
+
+test('getNextItem skips items held under cached-only', () => {
+  const manager = createManager([], { cachePolicy: 'cached-only' });
+  manager.queue.push(queueItem('held', { addedTime: 1, infoHash: 'a'.repeat(40), cached: false }));
+  manager.queue.push(queueItem('nzb', { addedTime: 2 }));
+
+  assert.equal(manager.getNextItem().file, 'nzb');
+});
+
+test('updateCacheStatus holds uncached items under cached-only and looks them up again later', async () => {
+  const lookups = [];
+  const client = { btstatus: async hashes => { lookups.push(hashes); return { cachedItems: [] }; } };
+  const manager = createManager([], { client, cachePolicy: 'cached-only', cacheRecheckInterval: 60000 });
+  const item = queueItem('held', { infoHash: 'a'.repeat(40) });
+  manager.queue.push(item);
+
+  await manager.updateCacheStatus();
+  assert.equal(item.cached, false);
+  assert.ok(manager.isHeldForCache(item));
+  assert.equal(manager.queue.length, 1);
+
+  // Not looked up again before the recheck interval
+  await manager.updateCacheStatus();
+  assert.equal(lookups.length, 1);
+
+  item.cacheCheckedTime -= 60000;
+  client.btstatus = async hashes => { lookups.push(hashes); return { cachedItems: ['A'.repeat(40)] }; };
+  await manager.updateCacheStatus();
+  assert.equal(lookups.length, 2);
+  assert.equal(item.cached, true);
+  assert.equal(manager.getNextItem(), item);
+});
+
+test('updateCacheStatus rejects uncached items under cached-only with reject', async () => {
+  const failed = [];
+  const client = { btstatus: async () => ({ cachedItems: ['b'.repeat(40)] }) };
+  const manager = createManager([], {
+    client,
+    cachePolicy: 'cached-only',
+    uncachedAction: 'reject',
+    onItemFailed: (item, err) => failed.push([item.file, err.message])
+  });
+  manager.queue.push(queueItem('uncached', { infoHash: 'a'.repeat(40) }));
+  manager.queue.push(queueItem('cached', { infoHash: 'b'.repeat(40) }));
+
+  await manager.updateCacheStatus();
+  assert.deepEqual(manager.queue.map(item => item.file), ['cached']);
+  assert.deepEqual(failed, [['uncached', 'Not cached on Offcloud']]);
+});
@@ -0,0 +1,161 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OffCloudWatcher from '../../lib/watchers/offcloud/index.js';
+import OffCloudReconciler from '../../lib/watchers/offcloud/reconciler.js';
+import StateStore from '../../lib/utils/stateStore.js';
+
+let tmpDir;
+let dirs;
+const watchers = [];
+
+before(async () => {
+  tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'reconciler-'));
+});
+
+after(async () => {
+  watchers.forEach(watcher => watcher.cleanup());
+  await fs.promises.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const testDir = await fs.promises.mkdtemp(path.join(tmpDir, 'test-'));
+  dirs = {
+    watch: path.join(testDir, 'watch'),
+    inProgressDir: path.join(testDir, 'in-progress'),
+    completedDir: path.join(testDir, 'completed'),
+    quarantineDir: path.join(testDir, 'quarantine')
+  };
+  for (const dir of Object.values(dirs)) {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+});
+
+/**
+ * Restore a watcher with the given saved torrents and a stubbed cloud history
+ */
+async function createReconciler(history, torrents = [], options = {}) {
+  const store = new StateStore(path.join(dirs.watch, 'state.json'));
+  store.sections = { torrents };
+  const watcher = new OffCloudWatcher('key', async () => {}, 3, { stateStore: store });
+  watchers.push(watcher);
+  await watcher.restoreState();
+
+  const calls = { deleted: [], added: [] };
+  watcher.client.cloudHistory = async () => history;
+  watcher.client.delete = async requestId => calls.deleted.push(requestId);
+  watcher.addFile = async file => calls.added.push(file);
+
+  const reconciler = new OffCloudReconciler(watcher, { ...dirs, ...options });
+  return { reconciler, watcher, calls };
+}
+
+async function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.promises.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.promises.writeFile(path.join(root, file), content);
+  }
+}
+
+function downloaded(requestId, fileName) {
+  return { requestId, fileName, status: 'downloaded', server: 'srv1' };
+}
+
+test('restored jobs missing on Offcloud are re-submitted or dropped', async () => {
+  const sourceFile = path.join(dirs.watch, 'b.torrent');
+  await fs.promises.writeFile(sourceFile, 'd4:infodee');
+  const { reconciler, watcher, calls } = await createReconciler([{ requestId: 'req-a', status: 'downloading' }], [
+    { jobId: 'job1', file: path.join(dirs.watch, 'a.torrent'), id: 'req-a', status: 'downloading' },
+    { jobId: 'job2', file: sourceFile, id: 'req-b', status: 'downloading' },
+    { jobId: 'job3', file: path.join(dirs.watch, 'c.torrent'), id: 'req-c', status: 'downloading' }
+  ]);
+
+  const summary = await reconciler.run();
+
+  assert.deepEqual(summary.resumed, ['a (req-a, downloading)']);
+  assert.deepEqual(summary.resubmitted, [`${sourceFile} (request req-b missing on Offcloud)`]);
+  assert.deepEqual(summary.dropped, ['c (request req-c missing on Offcloud, no source file)']);
+  assert.deepEqual(calls.added, [sourceFile]);
+  assert.deepEqual(watcher.watchList.map(torrent => torrent.id), ['req-a']);
+});
+
+test('in-progress folders are kept, adopted or quarantined', async () => {
+  await writeFiles(dirs.inProgressDir, {
+    'Known/file.bin.part': 'x',
+    'Movie.2024/Movie.2024.mkv.part': 'x',
+    'Renamed/Movie.2024.mkv.part': 'x',
+    'Orphan/file.bin': 'x'
+  });
+  const history = [{ requestId: 'req-known', status: 'downloading' }, downloaded('req-movie', 'Movie.2024.mkv')];
+  const { reconciler, watcher } = await createReconciler(history, [
+    { jobId: 'job1', file: path.join(dirs.watch, 'Known.torrent'), id: 'req-known', status: 'downloading' }
+  ]);
+
+  const summary = await reconciler.run();
+
+  // Only the first folder matching a cloud item adopts it
+  assert.deepEqual(summary.adopted, ['Movie.2024 (re-downloading req-movie)']);
+  assert.equal(summary.quarantined.length, 2);
+  assert.deepEqual((await fs.promises.readdir(dirs.inProgressDir)).sort(), ['Known', 'Movie.2024']);
+  assert.deepEqual((await fs.promises.readdir(dirs.quarantineDir)).sort(), ['Orphan', 'Renamed']);
+
+  const adopted = watcher.findTorrent('req-movie');
+  assert.equal(adopted.jobName, 'Movie.2024');
+  assert.equal(adopted.alturl, 'https://srv1.offcloud.com/cloud/download/req-movie');
+  assert.equal(adopted.hasSourceFile, false);
+});
+
+test('nested in-progress folders match through the links of partial downloads', async () => {
+  await writeFiles(dirs.inProgressDir, {
+    'Show.S01/Season 1/Episode 1.mkv.part': 'x',
+    'Show.S01/Season 1/Episode 1.mkv.part.json': JSON.stringify({
+      url: 'https://srv1.offcloud.com/cloud/download/req-show/Show.S01/Season%201/Episode%201.mkv',
+      fileName: 'Episode 1.mkv'
+    })
+  });
+  const history = [downloaded('req-other', 'Other'), downloaded('req-show', 'Show Season 1')];
+  const { reconciler, watcher } = await createReconciler(history);
+
+  const summary = await reconciler.run();
+
+  assert.deepEqual(summary.adopted, ['Show.S01 (re-downloading req-show)']);
+  assert.deepEqual(summary.quarantined, []);
+  assert.equal(watcher.findTorrent('req-show').jobName, 'Show.S01');
+  // The other item is neither completed nor adopted
+  assert.deepEqual(summary.untracked, ['Other (req-other)']);
+});
+
+test('untracked cloud items are removed once completed, adopted if enabled, reported otherwise', async () => {
+  await writeFiles(dirs.completedDir, { 'Done/file.mkv': 'x' });
+  const history = [
+    downloaded('req-done', 'Done.mkv'),
+    downloaded('req-orphan', 'Orphan.mkv'),
+    { requestId: 'req-busy', fileName: 'Busy', status: 'downloading' }
+  ];
+
+  const report = await createReconciler(history);
+  const reported = await report.reconciler.run();
+  assert.deepEqual(report.calls.deleted, ['req-done']);
+  assert.deepEqual(reported.untracked, ['Orphan.mkv (req-orphan)']);
+  assert.deepEqual(reported.adopted, []);
+
+  const adopt = await createReconciler(history, [], { adoptCloudOrphans: true });
+  const adopted = await adopt.reconciler.run();
+  assert.deepEqual(adopted.adopted, ['Orphan.mkv (re-downloading req-orphan)']);
+  assert.equal(adopt.watcher.findTorrent('req-orphan').jobName, 'Orphan');
+});
+
+test('reconciliation is skipped when the cloud history cannot be loaded', async () => {
+  await writeFiles(dirs.inProgressDir, { 'Orphan/file.bin': 'x' });
+  const { reconciler, watcher } = await createReconciler([]);
+  watcher.client.cloudHistory = async () => {
+    throw new Error('API unavailable');
+  };
+
+  const summary = await reconciler.run();
+
+  assert.deepEqual(summary.quarantined, []);
+  assert.deepEqual(await fs.promises.readdir(dirs.inProgressDir), ['Orphan']);
+});